@@ -0,0 +1,618 @@
+import { readFileSync } from 'fs';
+import { characterSets } from './renderer/character-sets.js';
+import { testPatterns } from './webcam/test-pattern.js';
+import { SCALE_MODES } from './utils/viewport.js';
+import { CAPTURE_FORMATS } from './webcam/capture-mode.js';
+import { COLOR_DEPTHS, detectColorDepth } from './renderer/ansi.js';
+import { renderModes } from './renderer/render-modes.js';
+import { ditherModes } from './renderer/dither.js';
+import { LEVELS_MODES, ADJUSTMENT_RANGES } from './renderer/adjustments.js';
+import { GRAPHICS_OPTIONS } from './renderer/graphics.js';
+import { effects } from './effects/index.js';
+import { SNAPSHOT_FORMATS } from './utils/snapshot.js';
+import { videoCodecs, getVideoCodec, VIDEO_FORMATS, VIDEO_QUALITY_RANGE } from './recording/video-recorder.js';
+import { isCastFile } from './player/playback.js';
+
+/**
+ * Error raised for invalid command-line usage
+ * Reported as a one-line message before the UI starts
+ */
+export class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliError';
+  }
+}
+
+const SOURCES = ['device', 'file', 'test', 'stdin'];
+const STDIN_FORMATS = ['auto', 'y4m', 'rawvideo'];
+const PIXEL_FORMATS = ['gray', 'rgb24', 'yuv420p', 'yuv422p', 'yuv444p'];
+const OUTPUT_FORMATS = ['plain', 'ansi', 'json'];
+
+/**
+ * Default option values (null = use the capture backend's own default)
+ */
+export const defaultOptions = {
+  source: null,
+  input: null,
+  device: null,
+  fps: 20,
+  charset: null,
+  scale: 'fit',
+  color: 'gray',
+  render: 'ascii',
+  brailleContrast: null,
+  edgeThreshold: null,
+  dither: 'none',
+  brightness: 0,
+  contrast: 1,
+  gamma: 1,
+  invert: false,
+  levels: 'off',
+  effects: null,  // Effect names in chain order
+  graphics: 'off',
+  workers: null,  // null = one per spare CPU core (at most 2)
+  cellAspect: null,  // null = detect from the terminal
+  pattern: null,
+  hwaccel: true,
+  forceSoftware: false,
+  inputSize: null,
+  captureFormat: null,
+  captureFps: null,
+  stdinFormat: 'auto',
+  pixelFormat: 'gray',
+  quality: 75,
+  tmpFile: null,
+  snapshotDir: null,
+  snapshotFormat: 'jpg',
+  record: null,  // .cast file to record to from the start
+  videoDir: null,  // null = ./recordings
+  videoCodec: 'h264',
+  videoFormat: null,  // null = the codec's default container
+  videoQuality: VIDEO_QUALITY_RANGE.default,
+  headless: false,  // Write frames to stdout instead of running the UI
+  frames: null,  // Headless: frames to write before exiting, null = until interrupted
+  once: false,  // Headless: write one frame and exit
+  format: null,  // Headless output format, null = plain
+  size: null,  // Headless grid size { width, height }, null = the terminal's (80x24 if none)
+  loop: false,  // Headless: loop file input instead of ending with it
+  play: null,  // Recording opened with "play <file>"
+  listDevices: false,
+  help: false,
+  version: false
+};
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Object} Options (see defaultOptions)
+ * @throws {CliError} On unknown flags or invalid values
+ */
+export function parseArgs(argv) {
+  const options = { ...defaultOptions };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positional.push(arg);
+      continue;
+    }
+
+    // Support both "--fps 30" and "--fps=30"
+    const eqIndex = arg.indexOf('=');
+    const flag = eqIndex > 0 ? arg.slice(0, eqIndex) : arg;
+    const inlineValue = eqIndex > 0 ? arg.slice(eqIndex + 1) : null;
+
+    const takeValue = () => {
+      if (inlineValue !== null) return inlineValue;
+      const value = argv[++i];
+      if (value === undefined || (value.startsWith('--') && value.length > 2)) {
+        throw new CliError(`${flag} requires a value`);
+      }
+      return value;
+    };
+
+    switch (flag) {
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      case '-v':
+      case '--version':
+        options.version = true;
+        break;
+      case '--source':
+        options.source = parseChoice(flag, takeValue(), SOURCES);
+        break;
+      case '-i':
+      case '--input':
+        options.input = takeValue();
+        break;
+      case '-d':
+      case '--device':
+        options.device = takeValue();
+        break;
+      case '--fps':
+        options.fps = parseInteger(flag, takeValue(), 1, 120);
+        break;
+      case '-c':
+      case '--charset':
+        options.charset = parseCharset(flag, takeValue());
+        break;
+      case '--scale':
+        options.scale = parseChoice(flag, takeValue(), SCALE_MODES);
+        break;
+      case '--render':
+        options.render = parseChoice(flag, takeValue(), renderModes.map(mode => mode.name));
+        break;
+      case '--braille-contrast':
+        options.brailleContrast = parseNumber(flag, takeValue(), 0.5, 4);
+        break;
+      case '--edge-threshold':
+        options.edgeThreshold = parseInteger(flag, takeValue(), 8, 160);
+        break;
+      case '--brightness':
+      case '--contrast':
+      case '--gamma': {
+        const name = flag.slice(2);
+        const { min, max } = ADJUSTMENT_RANGES[name];
+        options[name] = parseNumber(flag, takeValue(), min, max);
+        break;
+      }
+      case '--invert':
+        options.invert = true;
+        break;
+      case '--levels':
+        options.levels = parseChoice(flag, takeValue(), LEVELS_MODES);
+        break;
+      case '--effects':
+        options.effects = parseEffects(flag, takeValue());
+        break;
+      case '--dither':
+        options.dither = parseChoice(flag, takeValue(), ditherModes.map(mode => mode.name));
+        break;
+      case '--workers':
+        options.workers = parseInteger(flag, takeValue(), 0, 8);
+        break;
+      case '--graphics':
+        options.graphics = parseChoice(flag, takeValue(), GRAPHICS_OPTIONS);
+        break;
+      case '--color':
+        options.color = parseColor(flag, takeValue());
+        break;
+      case '--cell-aspect':
+        options.cellAspect = parseCellAspect(flag, takeValue());
+        break;
+      case '--pattern':
+        options.pattern = parseChoice(flag, takeValue(), testPatterns.map(p => p.name));
+        break;
+      case '--no-hwaccel':
+        options.hwaccel = false;
+        break;
+      case '--force-software':
+        options.forceSoftware = true;
+        break;
+      case '--input-size':
+        options.inputSize = parseSize(flag, takeValue());
+        break;
+      case '--capture-format':
+        options.captureFormat = parseChoice(flag, takeValue(), CAPTURE_FORMATS);
+        break;
+      case '--capture-fps':
+        options.captureFps = parseInteger(flag, takeValue(), 1, 240);
+        break;
+      case '--input-format':
+        options.stdinFormat = parseChoice(flag, takeValue(), STDIN_FORMATS);
+        break;
+      case '--pixel-format':
+        options.pixelFormat = parseChoice(flag, takeValue(), PIXEL_FORMATS);
+        break;
+      case '--quality':
+        options.quality = parseInteger(flag, takeValue(), 1, 100);
+        break;
+      case '--tmp-file':
+        options.tmpFile = takeValue();
+        break;
+      case '--snapshot-dir':
+        options.snapshotDir = takeValue();
+        break;
+      case '--record':
+        options.record = takeValue();
+        break;
+      case '--video-dir':
+        options.videoDir = takeValue();
+        break;
+      case '--video-codec':
+        options.videoCodec = parseChoice(flag, takeValue(), videoCodecs.map(codec => codec.name));
+        break;
+      case '--video-format':
+        options.videoFormat = parseChoice(flag, takeValue(), VIDEO_FORMATS);
+        break;
+      case '--video-quality':
+        options.videoQuality = parseInteger(
+          flag, takeValue(), VIDEO_QUALITY_RANGE.min, VIDEO_QUALITY_RANGE.max
+        );
+        break;
+      case '--snapshot-format':
+        options.snapshotFormat = parseChoice(flag, takeValue(), SNAPSHOT_FORMATS);
+        break;
+      case '--headless':
+        options.headless = true;
+        break;
+      case '--frames':
+        options.frames = parseInteger(flag, takeValue(), 1, 1000000);
+        break;
+      case '--once':
+        options.once = true;
+        break;
+      case '--format':
+        options.format = parseChoice(flag, takeValue(), OUTPUT_FORMATS);
+        break;
+      case '--size':
+        options.size = parseSize(flag, takeValue());
+        break;
+      case '--loop':
+        options.loop = true;
+        break;
+      case '--list-devices':
+        options.listDevices = true;
+        break;
+      default:
+        throw new CliError(`Unknown option: ${flag}`);
+    }
+  }
+
+  // "play <file>" opens a recording in the player
+  if (positional[0] === 'play') {
+    if (positional.length !== 2) {
+      throw new CliError('play expects one recording: play <file.cast|video>');
+    }
+    options.play = positional.pop();
+    positional.pop();
+  }
+
+  if (positional.length > 1) {
+    throw new CliError(`Unexpected argument: ${positional[1]}`);
+  }
+
+  // A bare path is shorthand for --input <path>
+  if (positional.length === 1) {
+    if (options.input) {
+      throw new CliError(`Input given twice: ${options.input} and ${positional[0]}`);
+    }
+    options.input = positional[0];
+  }
+
+  // The video container follows the codec unless one is given
+  const codec = getVideoCodec(options.videoCodec);
+  if (!options.videoFormat) {
+    options.videoFormat = codec.containers[0];
+  } else if (!codec.containers.includes(options.videoFormat)) {
+    throw new CliError(`--video-codec ${codec.name} needs --video-format ${codec.containers.join(' or ')}`);
+  }
+
+  return resolveSource(resolveHeadless(options));
+}
+
+/**
+ * Check headless options against each other and the UI-only options
+ * @param {Object} options - Parsed options
+ * @returns {Object} Options
+ * @private
+ */
+function resolveHeadless(options) {
+  if (!options.headless) {
+    if (options.frames || options.once || options.format || options.size || options.loop) {
+      throw new CliError('--frames, --once, --format, --size and --loop only apply with --headless');
+    }
+    return options;
+  }
+
+  if (options.play) {
+    throw new CliError('play cannot be used with --headless');
+  }
+
+  if (options.frames && options.once) {
+    throw new CliError('--frames cannot be used with --once');
+  }
+
+  if (options.graphics !== 'off') {
+    throw new CliError('--graphics cannot be used with --headless');
+  }
+
+  if (options.record) {
+    throw new CliError('--record cannot be used with --headless');
+  }
+
+  return options;
+}
+
+/**
+ * Work out the capture source and reject conflicting flags
+ * @param {Object} options - Parsed options
+ * @returns {Object} Options with source set
+ * @private
+ */
+function resolveSource(options) {
+  // Recordings replace the capture: videos play as files, .cast files need none
+  if (options.play) {
+    if (options.source || options.input) {
+      throw new CliError('play cannot be used with --source or --input');
+    }
+    if (isCastFile(options.play)) {
+      return options;
+    }
+    options.input = options.play;
+  }
+
+  // "--input -" reads a stream from stdin
+  if (options.input === '-') {
+    if (options.source && options.source !== 'stdin') {
+      throw new CliError(`--input - cannot be used with --source ${options.source}`);
+    }
+    options.source = 'stdin';
+    options.input = null;
+  }
+
+  if (!options.source) {
+    options.source = options.input ? 'file' : 'device';
+  }
+
+  if (options.source === 'stdin' && options.stdinFormat === 'rawvideo' && !options.inputSize) {
+    throw new CliError('--input-format rawvideo requires --input-size WxH');
+  }
+
+  if (options.source === 'stdin' && process.platform === 'win32' && !options.headless) {
+    throw new CliError('Reading video from stdin is not supported on Windows (no /dev/tty for keyboard input)');
+  }
+
+  if (options.source === 'file' && !options.input) {
+    throw new CliError('--source file requires --input <path>');
+  }
+
+  if (options.source !== 'file' && options.input) {
+    throw new CliError(`--input cannot be used with --source ${options.source}`);
+  }
+
+  if (options.forceSoftware && options.source !== 'device') {
+    throw new CliError('--force-software only applies to --source device');
+  }
+
+  if ((options.captureFormat || options.captureFps) && options.source !== 'device') {
+    throw new CliError('--capture-format and --capture-fps only apply to --source device');
+  }
+
+  return options;
+}
+
+/**
+ * Get the HybridCapture options from parsed options
+ * @param {Object} options - Options from parseArgs()
+ * @returns {Object} Capture options
+ */
+export function getCaptureOptions(options) {
+  return {
+    source: options.source,
+    input: options.input,
+    pattern: options.pattern,
+    fps: options.fps,
+    device: options.device,
+    hwaccel: options.hwaccel,
+    forceSoftware: options.forceSoftware,
+    inputSize: options.inputSize,
+    captureFormat: options.captureFormat,
+    captureFps: options.captureFps,
+    stdinFormat: options.stdinFormat,
+    pixelFormat: options.pixelFormat,
+    quality: options.quality,
+    tmpFile: options.tmpFile,
+    // Recordings stop at their end, other files loop; headless runs end with the file
+    loop: options.headless ? options.loop : !options.play,
+    color: (options.color || 'gray') !== 'gray'
+  };
+}
+
+function parseInteger(flag, value, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new CliError(`${flag} expects an integer between ${min} and ${max} (got "${value}")`);
+  }
+  return number;
+}
+
+function parseNumber(flag, value, min, max) {
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number) || number < min || number > max) {
+    throw new CliError(`${flag} expects a number between ${min} and ${max} (got "${value}")`);
+  }
+  return number;
+}
+
+function parseChoice(flag, value, choices) {
+  const choice = choices.find(c => c.toLowerCase() === value.toLowerCase());
+  if (!choice) {
+    throw new CliError(`${flag} must be one of: ${choices.join(', ')} (got "${value}")`);
+  }
+  return choice;
+}
+
+function parseCellAspect(flag, value) {
+  if (value.toLowerCase() === 'auto') return null;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0.5 || number > 4) {
+    throw new CliError(`${flag} expects a number between 0.5 and 4, or auto (got "${value}")`);
+  }
+  return number;
+}
+
+function parseColor(flag, value) {
+  if (value.toLowerCase() === 'auto') return detectColorDepth();
+  return parseChoice(flag, value, COLOR_DEPTHS);
+}
+
+function parseCharset(flag, value) {
+  return parseChoice(flag, value, characterSets.map(set => set.name));
+}
+
+function parseEffects(flag, value) {
+  const names = value.split(',').map(name => name.trim()).filter(Boolean);
+  const choices = effects.map(effect => effect.name);
+  return [...new Set(names.map(name => parseChoice(flag, name, choices)))];
+}
+
+function parseSize(flag, value) {
+  const match = /^(\d+)x(\d+)$/i.exec(value);
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+    throw new CliError(`${flag} expects WIDTHxHEIGHT, e.g. 1280x720 (got "${value}")`);
+  }
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+/**
+ * Format a device list for --list-devices
+ * @param {Array<Object>} devices - Devices from listDevices()
+ * @returns {string}
+ */
+export function formatDeviceList(devices) {
+  if (devices.length === 0) {
+    return 'No video devices found.';
+  }
+
+  const lines = [];
+  for (const device of devices) {
+    lines.push(`${device.id}  ${device.name}`);
+
+    if (device.formats === null) {
+      lines.push('    (formats unknown - install v4l2-ctl or ffmpeg to probe)');
+      continue;
+    }
+
+    for (const format of device.formats) {
+      const sizes = format.sizes.map(size => {
+        const fps = size.fps.length > 0 ? `@${Math.max(...size.fps)}` : '';
+        return `${size.width}x${size.height}${fps}`;
+      });
+      lines.push(`    ${format.format.padEnd(10)} ${sizes.join(' ')}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Get the package version
+ * @returns {string}
+ */
+export function getVersion() {
+  const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+  return pkg.version;
+}
+
+/**
+ * Get usage text for --help
+ * @returns {string}
+ */
+export function getUsage() {
+  const charsets = characterSets.map(set => set.name).join(', ');
+  const patterns = testPatterns.map(p => p.name).join(', ');
+
+  return `Usage: terminal-webcam [options] [input]
+       terminal-webcam [options] play <file>
+
+Live webcam feed in the terminal. A bare input path plays a video file
+(mp4/mkv/webm) or a directory of JPEG/PNG frames instead of the camera;
+"-" reads a Y4M or rawvideo stream from stdin, e.g.
+
+  ffmpeg -i talk.mp4 -f yuv4mpegpipe - | terminal-webcam --input -
+
+"play" opens a recording: an asciinema .cast file (from r or elsewhere) or
+a camera recording (from R) with pause, frame steps, seeking and speed
+control. Character set, color and effect controls work on camera
+recordings, which keep the pixels; .cast files keep the rendered text.
+
+Source:
+  --source <type>        Capture source: ${SOURCES.join(', ')} (default: device,
+                         or file when an input is given)
+  -i, --input <path>     Video file or frame directory for --source file,
+                         or - for a stream on stdin
+  -d, --device <device>  Camera device (/dev/videoN or index on Linux,
+                         index on macOS, name on Windows). Defaults to
+                         the last camera picked with the 'c' key
+  --list-devices         List cameras and their formats, then exit
+  --pattern <name>       Initial test pattern: ${patterns}
+
+Capture:
+  --fps <n>              Target render frame rate, 1-120 (default: 20)
+  --input-size <WxH>     Camera capture size, or the frame size of rawvideo
+                         on stdin (default: the cheapest native camera mode
+                         that covers the window)
+  --capture-format <fmt> Camera input format: ${CAPTURE_FORMATS.join(', ')}
+                         (default: negotiated)
+  --capture-fps <n>      Camera frame rate (default: negotiated)
+  --input-format <fmt>   Stdin stream format: ${STDIN_FORMATS.join(', ')} (default: auto)
+  --pixel-format <fmt>   Stdin rawvideo pixel format: ${PIXEL_FORMATS.join(', ')}
+                         (default: gray)
+  --no-hwaccel           Use FFmpeg without GPU decoding
+  --force-software       Skip FFmpeg and capture through node-webcam
+  --quality <n>          JPEG quality for software capture, 1-100 (default: 75)
+  --tmp-file <path>      Temp frame file for software capture
+
+Display:
+  -c, --charset <name>   Initial character set: ${charsets}
+  --scale <mode>         How the picture fills the window: ${SCALE_MODES.join(', ')}
+                         (default: fit)
+  --render <mode>        Render mode: ${renderModes.map(mode => mode.name).join(', ')}
+                         (default: ascii)
+  --braille-contrast <n> Contrast gain for braille dots, 0.5-4 (default: 1)
+  --edge-threshold <n>   Edge strength needed for a line character in edges
+                         mode, 8-160 (default: 48)
+  --dither <mode>        Dithering for ASCII and braille (default: none):
+                         ${ditherModes.map(mode => mode.name).join(', ')}
+  --brightness <n>       Brightness offset, -1 to 1 (default: 0)
+  --contrast <n>         Contrast gain, 0.1-4 (default: 1)
+  --gamma <n>            Gamma, 0.2-5; above 1 lifts dark areas (default: 1)
+  --invert               Swap dark and light
+  --levels <mode>        Tone stretch per frame: ${LEVELS_MODES.join(', ')} (default: off)
+  --effects <list>       Video effects to start with, comma-separated, applied
+                         in order:
+                         ${effects.map(effect => effect.name).join(', ')}
+  --graphics <mode>      Inline graphics instead of characters: kitty, sixel,
+                         auto to detect (falls back to text), or off (default: off)
+  --color <depth>        Color depth: ${COLOR_DEPTHS.join(', ')}, or auto to
+                         follow COLORTERM/TERM (default: gray)
+  --cell-aspect <n>      Terminal cell height/width ratio, or auto to ask
+                         the terminal (default: auto, 2 if it cannot tell)
+  --workers <n>          Frame conversion threads, 0-8; 0 converts on the main
+                         thread (default: one per spare CPU core, at most 2)
+
+Output:
+  --snapshot-dir <dir>   Where snapshots are saved (default: ./snapshots)
+  --snapshot-format <f>  What s saves: jpg or png for the camera image, txt or
+                         ans for the rendered frame (default: jpg); S saves all
+  --record <file.cast>   Record the session as an asciinema v2 file from the
+                         start; r stops it and starts new ones next to it
+                         (default for r: ./recordings)
+  --video-dir <dir>      Where R saves camera recordings (default: ./recordings)
+  --video-codec <name>   Camera recording codec: ${videoCodecs.map(codec => codec.name).join(', ')}
+                         (default: h264)
+  --video-format <fmt>   Camera recording container: ${VIDEO_FORMATS.join(', ')} (default: mp4,
+                         mkv for ffv1)
+  --video-quality <n>    Camera recording CRF, 0-51, lower is better (default: 23)
+
+Headless:
+  --headless             Write frames to stdout instead of showing the UI
+  --once                 Write one frame, then exit
+  --frames <n>           Write n frames, then exit (default: until interrupted)
+  --format <fmt>         Frame format: plain, ansi (colors from --color), or
+                         json with one object per line (default: plain)
+  --size <WxH>           Frame size in characters (default: the terminal's,
+                         80x24 when stdout is not a terminal)
+  --loop                 Loop a video file or frame directory instead of
+                         exiting at its end
+
+  -h, --help             Show this help
+  -v, --version          Show version`;
+}
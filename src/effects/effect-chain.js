@@ -0,0 +1,145 @@
+import sharp from 'sharp';
+import { effects, getEffect } from './index.js';
+import { toGray, toRgb } from '../utils/pixels.js';
+
+/**
+ * An ordered list of effects, each switched on or off
+ *
+ * Every effect keeps its place in the order while switched off, so turning
+ * one back on puts it where it was. The chain is plain data apart from the
+ * effect modules, and crosses to conversion workers as getSettings().
+ */
+class EffectChain {
+  constructor() {
+    this.order = effects.map(effect => effect.name);
+    this.enabled = new Set();
+  }
+
+  /**
+   * Get the chain as plain data
+   * @returns {Object} { order, enabled }
+   */
+  getSettings() {
+    return { order: [...this.order], enabled: [...this.enabled] };
+  }
+
+  /**
+   * Restore a chain from getSettings()
+   * @param {Object} settings - { order, enabled }
+   */
+  applySettings(settings) {
+    this.order = [...settings.order];
+    this.enabled = new Set(settings.enabled);
+  }
+
+  /**
+   * Switch on exactly the given effects, in the given order
+   * The rest keep their relative order after them
+   * @param {Array<string>} names - Effect names
+   */
+  setEnabled(names) {
+    for (const name of names) {
+      if (!getEffect(name)) {
+        throw new Error(`Unknown effect: ${name}`);
+      }
+    }
+    this.order = [...names, ...this.order.filter(name => !names.includes(name))];
+    this.enabled = new Set(names);
+  }
+
+  /**
+   * Switch an effect on or off
+   * @param {string} name - Effect name
+   * @returns {boolean} Whether it is now on
+   */
+  toggle(name) {
+    if (this.enabled.has(name)) {
+      this.enabled.delete(name);
+      return false;
+    }
+    this.enabled.add(name);
+    return true;
+  }
+
+  /**
+   * Move an effect earlier or later in the order
+   * @param {string} name - Effect name
+   * @param {number} delta - -1 for earlier, 1 for later
+   * @returns {number} Its new index
+   */
+  move(name, delta) {
+    const index = this.order.indexOf(name);
+    const target = Math.max(0, Math.min(this.order.length - 1, index + delta));
+    this.order.splice(index, 1);
+    this.order.splice(target, 0, name);
+    return target;
+  }
+
+  /**
+   * Get every effect in chain order
+   * @returns {Array<Object>} { effect, enabled }
+   */
+  list() {
+    return this.order.map(name => ({ effect: getEffect(name), enabled: this.enabled.has(name) }));
+  }
+
+  /**
+   * Check whether any effect is on
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.enabled.size > 0;
+  }
+
+  /**
+   * Run a frame through the effects that are on
+   * Frames come back unchanged when none are; otherwise JPEG and YUV frames
+   * are first turned into raw pixels, gray or RGB as the output needs
+   * @param {Object} frame - Frame from a FrameSource
+   * @param {boolean} color - Whether the output uses color
+   * @returns {Promise<Object>} Frame in 'gray' or 'rgb24' (or the input frame)
+   */
+  async apply(frame, color) {
+    if (!this.isActive()) {
+      return frame;
+    }
+
+    let output = await normalizeFrame(frame, color);
+    const context = { time: (frame.timestamp || Date.now()) / 1000 };
+
+    for (const name of this.order) {
+      if (this.enabled.has(name)) {
+        output = getEffect(name).apply(output, context);
+      }
+    }
+    return output;
+  }
+}
+
+/**
+ * Turn a frame into 'gray' or 'rgb24' pixels
+ * @param {Object} frame - Frame in any supported format
+ * @param {boolean} color - RGB if true, grayscale otherwise
+ * @returns {Promise<Object>} Frame
+ * @private
+ */
+async function normalizeFrame(frame, color) {
+  if (frame.format === 'jpeg') {
+    const pipeline = sharp(frame.data);
+    const { data, info } = await (color ? pipeline.removeAlpha().toColourspace('srgb') : pipeline.grayscale())
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { ...frame, data, width: info.width, height: info.height, format: color ? 'rgb24' : 'gray' };
+  }
+
+  if (frame.format === 'gray' || frame.format === 'rgb24') {
+    return frame;
+  }
+
+  const data = color
+    ? toRgb(frame.data, frame.format, frame.width, frame.height)
+    : toGray(frame.data, frame.format, frame.width, frame.height);
+  return { ...frame, data, format: color ? 'rgb24' : 'gray' };
+}
+
+export default EffectChain;
@@ -0,0 +1,22 @@
+import { getChannels, withPixels } from './helpers.js';
+
+/**
+ * Flip: turn the picture upside down
+ */
+export default {
+  name: 'flip',
+  label: 'Flip',
+  description: 'Flip top and bottom',
+
+  apply(frame) {
+    const { data, width, height } = frame;
+    const rowBytes = width * getChannels(frame);
+    const output = Buffer.allocUnsafe(rowBytes * height);
+
+    for (let y = 0; y < height; y++) {
+      data.copy(output, (height - 1 - y) * rowBytes, y * rowBytes, (y + 1) * rowBytes);
+    }
+
+    return withPixels(frame, output);
+  }
+};
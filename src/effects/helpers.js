@@ -0,0 +1,41 @@
+/**
+ * Helpers shared by effect modules
+ */
+
+/**
+ * Get the bytes per pixel of a normalized frame
+ * @param {Object} frame - Frame in 'gray' or 'rgb24'
+ * @returns {number} 1 or 3
+ */
+function getChannels(frame) {
+  return frame.format === 'gray' ? 1 : 3;
+}
+
+/**
+ * Make the output frame of an effect, keeping the input's other fields
+ * @param {Object} frame - Input frame
+ * @param {Buffer} data - New pixels
+ * @param {Object} changes - Fields that differ, e.g. { width, height, format }
+ * @returns {Object} New frame
+ */
+function withPixels(frame, data, changes = {}) {
+  return { ...frame, ...changes, data };
+}
+
+/**
+ * Get the brightness of a pixel
+ * @param {Buffer} data - Pixels
+ * @param {number} offset - Byte offset of the pixel
+ * @param {number} channels - 1 or 3
+ * @returns {number} 0-255
+ */
+function lumaAt(data, offset, channels) {
+  if (channels === 1) return data[offset];
+  return (data[offset] * 77 + data[offset + 1] * 150 + data[offset + 2] * 29) >> 8;
+}
+
+export {
+  getChannels,
+  withPixels,
+  lumaAt
+};
@@ -0,0 +1,45 @@
+/**
+ * Video effects: frame processors run between capture and conversion
+ *
+ * Each effect is a module with a default export:
+ *   {
+ *     name,         // string - id used on the command line and in settings
+ *     label,        // string - shown in the effects menu and status bar
+ *     description,  // string - one line for the menu
+ *     apply(frame, context)  // returns a new frame
+ *   }
+ *
+ * apply() gets frames as 'gray' or 'rgb24' (see EffectChain) and returns a
+ * frame in one of those formats, with its own pixel buffer; the input is
+ * never changed, the capture keeps it cached. An effect may change the size
+ * (rotate) or turn gray into color (thermal). context is { time } in seconds,
+ * for animated effects.
+ *
+ * To add an effect, write its module and list it below.
+ */
+
+import mirror from './mirror.js';
+import flip from './flip.js';
+import rotate from './rotate.js';
+import pixelate from './pixelate.js';
+import posterize from './posterize.js';
+import thermal from './thermal.js';
+import scanlines from './scanlines.js';
+import matrixRain from './matrix-rain.js';
+
+// Built-in effects, in their default order
+const effects = [mirror, flip, rotate, pixelate, posterize, thermal, scanlines, matrixRain];
+
+/**
+ * Find an effect by name
+ * @param {string} name - Effect name
+ * @returns {Object|undefined}
+ */
+function getEffect(name) {
+  return effects.find(effect => effect.name === name);
+}
+
+export {
+  effects,
+  getEffect
+};
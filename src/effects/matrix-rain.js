@@ -0,0 +1,144 @@
+import { getChannels, withPixels, lumaAt } from './helpers.js';
+
+// Rain columns across the frame; glyphs are twice as tall as they are wide
+const COLUMNS = 40;
+const GLYPH_ASPECT = 2;
+
+// Trail length as a share of the frame height
+const TRAIL = 0.6;
+
+// Glyph changes per second
+const FLICKER_RATE = 8;
+
+const HEAD_COLOR = [190, 255, 190];
+const TRAIL_COLOR = [0, 255, 70];
+
+// 3x5 glyphs, one string per row; a glyph cell is 4x6 with the spacing
+const GLYPHS = [
+  ['###', '#.#', '#.#', '#.#', '###'],
+  ['.#.', '##.', '.#.', '.#.', '###'],
+  ['###', '..#', '.##', '..#', '###'],
+  ['#.#', '#.#', '###', '..#', '..#'],
+  ['###', '#..', '###', '..#', '##.'],
+  ['###', '.#.', '.#.', '.#.', '.#.'],
+  ['#.#', '.#.', '#.#', '.#.', '#.#'],
+  ['###', '#..', '##.', '#..', '#..'],
+  ['..#', '.#.', '###', '.#.', '#..'],
+  ['#..', '###', '#.#', '###', '..#']
+].map(rows => rows.map(row => [...row].map(bit => bit === '#')));
+const GLYPH_COLUMNS = 4;
+const GLYPH_ROWS = 6;
+
+/**
+ * Matrix rain: green glyph trails falling through the dark parts of the picture
+ *
+ * The rain is a pure function of the frame size and the time, with no state
+ * between frames: every conversion worker draws the same rain for the same
+ * moment, and frames converted out of order still line up.
+ */
+export default {
+  name: 'matrix',
+  label: 'Matrix rain',
+  description: 'Green rain in the dark areas',
+
+  apply(frame, context) {
+    const { data, width, height } = frame;
+    const channels = getChannels(frame);
+    const glyphWidth = width / COLUMNS;
+    const glyphHeight = glyphWidth * GLYPH_ASPECT;
+    const rows = Math.ceil(height / glyphHeight);
+    const { intensity, glyphs } = getRain(rows, context.time);
+    const output = Buffer.allocUnsafe(width * height * 3);
+
+    for (let y = 0; y < height; y++) {
+      const row = Math.floor(y / glyphHeight);
+      const glyphY = Math.floor(((y % glyphHeight) / glyphHeight) * GLYPH_ROWS);
+
+      for (let x = 0; x < width; x++) {
+        const src = (y * width + x) * channels;
+        const dst = (y * width + x) * 3;
+        const column = Math.floor(x / glyphWidth);
+        const glyphX = Math.floor(((x % glyphWidth) / glyphWidth) * GLYPH_COLUMNS);
+        const cell = row * COLUMNS + column;
+        const glyphRow = GLYPHS[glyphs[cell]][glyphY];
+        const level = glyphRow && glyphRow[glyphX] ? intensity[cell] : 0;
+
+        const r = data[src];
+        const g = channels === 3 ? data[src + 1] : r;
+        const b = channels === 3 ? data[src + 2] : r;
+        if (level === 0) {
+          output[dst] = r;
+          output[dst + 1] = g;
+          output[dst + 2] = b;
+          continue;
+        }
+
+        // Rain shows in the dark and fades out over bright areas
+        const weight = Math.min(1, level) * (1 - lumaAt(data, src, channels) / 255);
+        const color = level > 1 ? HEAD_COLOR : TRAIL_COLOR;
+        output[dst] = r + (color[0] - r) * weight;
+        output[dst + 1] = g + (color[1] - g) * weight;
+        output[dst + 2] = b + (color[2] - b) * weight;
+      }
+    }
+
+    return withPixels(frame, output, { format: 'rgb24' });
+  }
+};
+
+/**
+ * Get the rain in every glyph cell at a moment
+ * @param {number} rows - Glyph rows in the frame
+ * @param {number} time - Seconds
+ * @returns {Object} { intensity, glyphs }, per cell, row-major: intensity is 0
+ *   for none, up to 1 along a trail and above 1 for the leading glyph; glyphs
+ *   holds indexes into GLYPHS
+ * @private
+ */
+function getRain(rows, time) {
+  const intensity = new Float32Array(rows * COLUMNS);
+  const glyphs = new Uint8Array(rows * COLUMNS);
+  const trail = Math.max(2, Math.round(rows * TRAIL));
+  const cycle = rows + trail;
+  const tick = Math.floor(time * FLICKER_RATE);
+
+  for (let column = 0; column < COLUMNS; column++) {
+    // Each column falls at its own speed (in frame heights per second) and phase
+    const speed = 0.25 + hash(column, 1, 0) * 0.5;
+    const head = (time * speed * rows + hash(column, 2, 0) * cycle) % cycle;
+
+    for (let row = 0; row < rows; row++) {
+      const distance = head - row;
+      if (distance < 0 || distance >= trail) continue;
+
+      // Glyphs change now and then
+      glyphs[row * COLUMNS + column] = Math.floor(hash(column, row, tick >> 2) * GLYPHS.length);
+
+      if (distance < 1) {
+        intensity[row * COLUMNS + column] = 2;
+        continue;
+      }
+
+      // Some glyphs in the trail blink off for a moment
+      const lit = hash(column, row, tick) > 0.2;
+      intensity[row * COLUMNS + column] = lit ? 1 - distance / trail : 0;
+    }
+  }
+
+  return { intensity, glyphs };
+}
+
+/**
+ * Hash three integers to a number in [0, 1)
+ * @param {number} a
+ * @param {number} b
+ * @param {number} c
+ * @returns {number}
+ * @private
+ */
+function hash(a, b, c) {
+  let h = Math.imul(a, 0x27d4eb2d) ^ Math.imul(b, 0x165667b1) ^ Math.imul(c, 0x9e3779b1);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return ((h ^ (h >>> 16)) >>> 0) / 0x100000000;
+}
@@ -0,0 +1,29 @@
+import { getChannels, withPixels } from './helpers.js';
+
+/**
+ * Mirror: flip left and right, like looking into a mirror
+ */
+export default {
+  name: 'mirror',
+  label: 'Mirror',
+  description: 'Flip left and right',
+
+  apply(frame) {
+    const { data, width, height } = frame;
+    const channels = getChannels(frame);
+    const output = Buffer.allocUnsafe(width * height * channels);
+
+    for (let y = 0; y < height; y++) {
+      const row = y * width;
+      for (let x = 0; x < width; x++) {
+        const src = (row + x) * channels;
+        const dst = (row + width - 1 - x) * channels;
+        for (let c = 0; c < channels; c++) {
+          output[dst + c] = data[src + c];
+        }
+      }
+    }
+
+    return withPixels(frame, output);
+  }
+};
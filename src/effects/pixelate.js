@@ -0,0 +1,47 @@
+import { getChannels, withPixels } from './helpers.js';
+
+// Blocks across the frame; the block size follows the frame width
+const BLOCKS_ACROSS = 32;
+
+/**
+ * Pixelate: average the picture over large square blocks
+ */
+export default {
+  name: 'pixelate',
+  label: 'Pixelate',
+  description: 'Large square blocks',
+
+  apply(frame) {
+    const { data, width, height } = frame;
+    const channels = getChannels(frame);
+    const block = Math.max(2, Math.round(width / BLOCKS_ACROSS));
+    const output = Buffer.allocUnsafe(width * height * channels);
+    const sums = new Array(channels);
+
+    for (let by = 0; by < height; by += block) {
+      const yEnd = Math.min(height, by + block);
+      for (let bx = 0; bx < width; bx += block) {
+        const xEnd = Math.min(width, bx + block);
+        const count = (yEnd - by) * (xEnd - bx);
+
+        sums.fill(0);
+        for (let y = by; y < yEnd; y++) {
+          for (let x = bx; x < xEnd; x++) {
+            const offset = (y * width + x) * channels;
+            for (let c = 0; c < channels; c++) sums[c] += data[offset + c];
+          }
+        }
+
+        for (let c = 0; c < channels; c++) sums[c] = Math.round(sums[c] / count);
+        for (let y = by; y < yEnd; y++) {
+          for (let x = bx; x < xEnd; x++) {
+            const offset = (y * width + x) * channels;
+            for (let c = 0; c < channels; c++) output[offset + c] = sums[c];
+          }
+        }
+      }
+    }
+
+    return withPixels(frame, output);
+  }
+};
@@ -0,0 +1,30 @@
+import { withPixels } from './helpers.js';
+
+// Levels kept per channel
+const LEVELS = 4;
+
+// Every byte value mapped to its level, spread over the full range
+const TABLE = new Uint8Array(256);
+for (let i = 0; i < 256; i++) {
+  TABLE[i] = Math.round(Math.floor((i * LEVELS) / 256) * (255 / (LEVELS - 1)));
+}
+
+/**
+ * Posterize: cut each channel down to a few flat levels
+ */
+export default {
+  name: 'posterize',
+  label: 'Posterize',
+  description: `${LEVELS} levels per channel`,
+
+  apply(frame) {
+    const { data } = frame;
+    const output = Buffer.allocUnsafe(data.length);
+
+    for (let i = 0; i < data.length; i++) {
+      output[i] = TABLE[data[i]];
+    }
+
+    return withPixels(frame, output);
+  }
+};
@@ -0,0 +1,31 @@
+import { getChannels, withPixels } from './helpers.js';
+
+/**
+ * Rotate: turn the picture 90° clockwise
+ * The frame comes out tall instead of wide; the scale mode fits it into the
+ * video box like any other frame of that shape
+ */
+export default {
+  name: 'rotate',
+  label: 'Rotate',
+  description: 'Turn 90° clockwise',
+
+  apply(frame) {
+    const { data, width, height } = frame;
+    const channels = getChannels(frame);
+    const output = Buffer.allocUnsafe(width * height * channels);
+
+    // Source (x, y) lands at (height - 1 - y, x) in a height-wide frame
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const src = (y * width + x) * channels;
+        const dst = (x * height + (height - 1 - y)) * channels;
+        for (let c = 0; c < channels; c++) {
+          output[dst + c] = data[src + c];
+        }
+      }
+    }
+
+    return withPixels(frame, output, { width: height, height: width });
+  }
+};
@@ -0,0 +1,30 @@
+import { getChannels, withPixels } from './helpers.js';
+
+// Brightness kept on the darkened rows
+const DARKEN = 0.55;
+
+/**
+ * Scanlines: darken every other row, like an old CRT
+ * Rows are those of the camera frame; shrunk to a few dozen terminal rows
+ * they show best with graphics output or the finer render modes
+ */
+export default {
+  name: 'scanlines',
+  label: 'Scanlines',
+  description: 'Darken every other row',
+
+  apply(frame) {
+    const { data, width, height } = frame;
+    const rowBytes = width * getChannels(frame);
+    const output = Buffer.from(data);
+
+    for (let y = 1; y < height; y += 2) {
+      const end = (y + 1) * rowBytes;
+      for (let i = y * rowBytes; i < end; i++) {
+        output[i] = data[i] * DARKEN;
+      }
+    }
+
+    return withPixels(frame, output);
+  }
+};
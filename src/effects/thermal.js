@@ -0,0 +1,65 @@
+import { getChannels, withPixels, lumaAt } from './helpers.js';
+
+// False-color stops from cold to hot: [position, r, g, b]
+const STOPS = [
+  [0, 0, 0, 0],
+  [0.15, 20, 0, 120],
+  [0.35, 120, 0, 160],
+  [0.55, 220, 30, 40],
+  [0.75, 255, 140, 0],
+  [0.9, 255, 230, 40],
+  [1, 255, 255, 255]
+];
+
+// Color of every brightness, interpolated between the stops
+const PALETTE = buildPalette();
+
+/**
+ * Thermal: show brightness as a heat-camera false-color palette
+ * The output is always color, even from a grayscale frame
+ */
+export default {
+  name: 'thermal',
+  label: 'Thermal',
+  description: 'Heat-camera false color',
+
+  apply(frame) {
+    const { data, width, height } = frame;
+    const channels = getChannels(frame);
+    const count = width * height;
+    const output = Buffer.allocUnsafe(count * 3);
+
+    for (let i = 0; i < count; i++) {
+      const color = lumaAt(data, i * channels, channels) * 3;
+      output[i * 3] = PALETTE[color];
+      output[i * 3 + 1] = PALETTE[color + 1];
+      output[i * 3 + 2] = PALETTE[color + 2];
+    }
+
+    return withPixels(frame, output, { format: 'rgb24' });
+  }
+};
+
+/**
+ * Build the 256-entry RGB palette
+ * @returns {Uint8Array}
+ * @private
+ */
+function buildPalette() {
+  const palette = new Uint8Array(256 * 3);
+
+  for (let i = 0; i < 256; i++) {
+    const position = i / 255;
+    let stop = 1;
+    while (stop < STOPS.length - 1 && STOPS[stop][0] < position) stop++;
+
+    const [p0, ...from] = STOPS[stop - 1];
+    const [p1, ...to] = STOPS[stop];
+    const t = (position - p0) / (p1 - p0);
+    for (let c = 0; c < 3; c++) {
+      palette[i * 3 + c] = Math.round(from[c] + (to[c] - from[c]) * t);
+    }
+  }
+
+  return palette;
+}
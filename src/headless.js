@@ -0,0 +1,264 @@
+import HybridCapture from './webcam/hybrid-capture.js';
+import TerminalRenderer from './renderer/terminal.js';
+import { createWebcamConfig } from './webcam/config.js';
+import { CharacterSetManager } from './renderer/character-sets.js';
+import { getCaptureOptions, defaultOptions } from './cli.js';
+import { DEFAULT_CELL_ASPECT } from './utils/viewport.js';
+import { getTerminalSize } from './utils/terminal-size.js';
+import { getRenderMode } from './renderer/render-modes.js';
+import { getDitherMode } from './renderer/dither.js';
+import { DEFAULT_ADJUSTMENTS } from './renderer/adjustments.js';
+
+// Grid size when stdout is not a terminal and no --size is given
+const DEFAULT_SIZE = { width: 80, height: 24 };
+
+// Captured frames waiting for conversion before piped input stops being read
+const MAX_QUEUED_FRAMES = 4;
+
+/**
+ * Headless mode: frames go straight to stdout, without blessed
+ *
+ * For scripts and pipes: grab one frame for a chat bot or a tmux status
+ * line, or a fixed number of frames to compare. Frames are written as
+ *   plain - characters only, one line per row
+ *   ansi  - characters with SGR color codes (follows --color)
+ *   json  - one JSON object per frame and line, rows as plain text
+ * Text frames are separated by an empty line; on a terminal a stream of
+ * frames is redrawn in place instead. Unlike the UI, which shows the latest
+ * frame and drops the rest, every captured frame is converted and written in
+ * order: frames queue while stdout or the converter is busy, and stdin is
+ * not read further until the queue empties.
+ */
+class HeadlessApp {
+  /**
+   * @param {Object} options - Application options, as returned by parseArgs()
+   */
+  constructor(options = defaultOptions) {
+    this.options = options;
+    this.config = createWebcamConfig(100, 25, { targetFPS: options.fps });
+    this.format = options.format || 'plain';
+    this.size = options.size || this._getOutputSize();
+    this.maxFrames = options.once ? 1 : options.frames;  // null = until interrupted
+    this.webcam = new HybridCapture(getCaptureOptions(options));
+    this.renderer = null;
+    this.isRunning = false;
+    this.frameCount = 0;
+    this.queue = [];  // Captured frames not converted yet
+    this.converting = false;  // Working through the queue
+    this.inputEnded = false;  // File or stdin input finished, quit after its last frame
+
+    // Redraw in place only for a stream of frames on a terminal
+    this.inPlace = process.stdout.isTTY && this.format !== 'json' && this.maxFrames !== 1;
+  }
+
+  /**
+   * Initialize capture and start writing frames
+   */
+  async start() {
+    try {
+      const { options } = this;
+      const viewport = {
+        mode: options.scale || 'fit',
+        cellAspect: options.cellAspect || DEFAULT_CELL_ASPECT
+      };
+
+      this.renderer = new TerminalRenderer(this.webcam, this.config, { workers: options.workers ?? undefined });
+      this.renderer.setCharacterSet(new CharacterSetManager(options.charset).getChars());
+      this.renderer.setViewport(viewport);
+      this.renderer.setColorDepth(options.color || 'gray');
+      this.renderer.setRenderMode(getRenderMode(options.render || 'ascii').name);
+      this.renderer.setDither(getDitherMode(options.dither || 'none').name);
+      this.renderer.setAdjustments({
+        brightness: options.brightness ?? DEFAULT_ADJUSTMENTS.brightness,
+        contrast: options.contrast ?? DEFAULT_ADJUSTMENTS.contrast,
+        gamma: options.gamma ?? DEFAULT_ADJUSTMENTS.gamma,
+        invert: !!options.invert,
+        levels: options.levels || DEFAULT_ADJUSTMENTS.levels
+      });
+      if (options.effects) {
+        this.renderer.setEffects(options.effects);
+      }
+      if (options.brailleContrast) {
+        this.renderer.setModeParameter('braille', options.brailleContrast);
+      }
+      if (options.edgeThreshold) {
+        this.renderer.setModeParameter('edges', options.edgeThreshold);
+      }
+
+      this.renderer.setDimensionProvider(() => this.size);
+
+      // Listening before initialize() keeps the frame it waits for
+      this.webcam.on('frame', (frame) => this._queueFrame(frame));
+
+      const capture = this.renderer.getCaptureSettings(this.size.width, this.size.height);
+      await this.webcam.initialize(capture.width, capture.height, capture.viewport);
+
+      // File playback that cannot recover will not deliver the frames asked for
+      this.webcam.on('failed', ({ reason }) => {
+        console.error(`Capture failed: ${reason}`);
+        this.quit(1);
+      });
+
+      // Stdin and file input (unless looped) end, the camera and the test pattern run until interrupted
+      this.webcam.on('ended', () => {
+        this.inputEnded = true;
+        if (this._isInputDone()) {
+          this.quit(0);
+        }
+      });
+
+      // A closed pipe (e.g. "| head -n 5") ends the run, it is not an error
+      process.stdout.on('error', (error) => {
+        this.quit(error.code === 'EPIPE' ? 0 : 1);
+      });
+
+      if (this.inPlace) {
+        process.stdout.write('\x1b[?25l\x1b[2J');
+      }
+
+      this.isRunning = true;
+      this.renderer.startConversion();
+      this._convertQueued();
+
+    } catch (error) {
+      await this.webcam.cleanup();
+      console.error(`Failed to start: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Queue a captured frame for conversion
+   * Copied, as captures reuse their frame buffers
+   * @param {Object} frame - Frame from the capture
+   * @private
+   */
+  _queueFrame(frame) {
+    this.queue.push({ ...frame, data: Buffer.from(frame.data) });
+    if (this.queue.length >= MAX_QUEUED_FRAMES) {
+      this.webcam.holdInput(true);
+    }
+    this._convertQueued();
+  }
+
+  /**
+   * Convert and write queued frames one at a time, in capture order
+   * @private
+   */
+  async _convertQueued() {
+    if (!this.isRunning || this.converting) return;
+
+    this.converting = true;
+    while (this.isRunning && this.queue.length > 0) {
+      const frame = this.queue.shift();
+      if (this.queue.length === 0) {
+        this.webcam.holdInput(false);
+      }
+
+      let result;
+      try {
+        ({ result } = await this.renderer.convertFrame(frame));
+      } catch (error) {
+        console.error(`Frame conversion failed: ${error.message}`);
+        continue;
+      }
+      if (!result || !this.isRunning) continue;
+
+      await this._writeFrame(result);
+      if (this.maxFrames && this.frameCount >= this.maxFrames) {
+        this.quit(0);
+      }
+    }
+    this.converting = false;
+
+    if (this._isInputDone()) {
+      this.quit(0);
+    }
+  }
+
+  /**
+   * Write a rendered frame to stdout, waiting until stdout takes more output
+   * @param {CellGrid} grid - Frame from the renderer
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeFrame(grid) {
+    this.frameCount++;
+    if (!process.stdout.write(this._formatFrame(grid))) {
+      await new Promise(resolve => process.stdout.once('drain', resolve));
+    }
+  }
+
+  /**
+   * Serialize a frame in the output format
+   * @param {CellGrid} grid - Frame
+   * @returns {string}
+   * @private
+   */
+  _formatFrame(grid) {
+    if (this.format === 'json') {
+      return JSON.stringify({
+        frame: this.frameCount,
+        timestamp: Date.now(),
+        width: grid.width,
+        height: grid.height,
+        lines: grid.toText().split('\n')
+      }) + '\n';
+    }
+
+    const text = this.format === 'ansi' ? grid.toAnsi() : grid.toText();
+    if (this.inPlace) {
+      return `\x1b[H${text}`;
+    }
+    return this.frameCount > 1 ? `\n${text}\n` : `${text}\n`;
+  }
+
+  /**
+   * Whether the input has ended and all its frames have been written
+   * @returns {boolean}
+   * @private
+   */
+  _isInputDone() {
+    return this.inputEnded && this.queue.length === 0 && !this.converting;
+  }
+
+  /**
+   * Get the grid size from the terminal on stdout
+   * One row is left free so the shell prompt does not scroll the frame
+   * @returns {Object} { width, height } in cells
+   * @private
+   */
+  _getOutputSize() {
+    if (!process.stdout.isTTY) {
+      return DEFAULT_SIZE;
+    }
+    const { width, height } = getTerminalSize();
+    return { width, height: Math.max(1, height - 1) };
+  }
+
+  /**
+   * Stop capture and exit once stdout has taken everything written
+   * @param {number} exitCode - Process exit code
+   */
+  async quit(exitCode = 0) {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+
+    if (this.renderer) {
+      this.renderer.stop();
+    }
+    if (this.webcam) {
+      await this.webcam.cleanup();
+    }
+
+    const tail = this.inPlace ? '\n\x1b[?25h' : '';
+    if (process.stdout.writable) {
+      process.stdout.write(tail, () => process.exit(exitCode));
+    } else {
+      process.exit(exitCode);
+    }
+  }
+}
+
+export default HeadlessApp;
@@ -8,21 +8,74 @@ import HybridCapture from './webcam/hybrid-capture.js';
 import TerminalRenderer from './renderer/terminal.js';
 import Screen from './ui/screen.js';
 import Controls from './ui/controls.js';
-import config, { createWebcamConfig, getOptimalCaptureResolution } from './webcam/config.js';
+import HeadlessApp from './headless.js';
+import PlayerApp from './player/player-app.js';
+import { createWebcamConfig, getOptimalCaptureResolution } from './webcam/config.js';
 import { CharacterSetManager } from './renderer/character-sets.js';
-import { promises as fs } from 'fs';
+import {
+  parseArgs, getUsage, getVersion, formatDeviceList, getCaptureOptions, CliError, defaultOptions
+} from './cli.js';
+import { listDevices } from './webcam/devices.js';
+import { loadSettings, saveSettings } from './utils/settings.js';
+import { SCALE_MODES, DEFAULT_CELL_ASPECT } from './utils/viewport.js';
+import { SNAPSHOT_FORMATS, isImageFormat, formatGrid } from './utils/snapshot.js';
+import { COLOR_DEPTHS, COLOR_DEPTH_LABELS } from './renderer/ansi.js';
+import CellGrid from './renderer/cell-grid.js';
+import AsciicastRecorder from './recording/asciicast-recorder.js';
+import VideoRecorder from './recording/video-recorder.js';
+import { getRenderMode, getNextRenderMode } from './renderer/render-modes.js';
+import { ditherModes, getDitherMode } from './renderer/dither.js';
+import { GRAPHICS_LABELS, DEFAULT_CELL_WIDTH, detectGraphicsFromEnv } from './renderer/graphics.js';
+import { getNextSpeed, formatSpeed, isCastFile } from './player/playback.js';
+import {
+  DEFAULT_ADJUSTMENTS, LEVELS_MODES, ADJUSTMENT_RANGES, clampAdjustment, formatAdjustments
+} from './renderer/adjustments.js';
+import { promises as fs, existsSync, openSync } from 'fs';
+import tty from 'tty';
 import path from 'path';
 
+// A frame that fails to convert usually fails again on every tick; the same
+// error is shown at most this often (milliseconds)
+const RENDER_ERROR_INTERVAL = 5000;
+
 class TerminalWebcamApp {
-  constructor() {
-    this.webcam = new HybridCapture();
+  /**
+   * @param {Object} options - Application options, as returned by parseArgs()
+   */
+  constructor(options = defaultOptions) {
+    this.options = options;
+    this.config = createWebcamConfig(100, 25, { targetFPS: options.fps });
+    this.viewport = {
+      mode: options.scale || 'fit',
+      cellAspect: options.cellAspect || DEFAULT_CELL_ASPECT
+    };
+    this.colorDepth = options.color || 'gray';
+    this.renderMode = getRenderMode(options.render || 'ascii');
+    this.dither = getDitherMode(options.dither || 'none');
+    this.adjustments = {
+      brightness: options.brightness ?? DEFAULT_ADJUSTMENTS.brightness,
+      contrast: options.contrast ?? DEFAULT_ADJUSTMENTS.contrast,
+      gamma: options.gamma ?? DEFAULT_ADJUSTMENTS.gamma,
+      invert: !!options.invert,
+      levels: options.levels || DEFAULT_ADJUSTMENTS.levels
+    };
+    this.webcam = new HybridCapture(getCaptureOptions(options));
     this.renderer = null;
     this.screen = new Screen();
     this.controls = null;
-    this.charsetManager = new CharacterSetManager();
+    this.charsetManager = new CharacterSetManager(options.charset);
     this.isRunning = false;
     this.snapshotCounter = 0;
-    this.captureMode = null;  // 'hardware' or 'software'
+    this.captureMode = null;  // 'hardware', 'software', 'file' or 'test'
+    this.cellSize = null;  // Terminal cell size in pixels, once reported
+    this.graphicsProtocol = null;  // 'kitty' or 'sixel' while inline graphics are on
+    this.detectedGraphics = undefined;  // Protocol found by detection, null for none
+    this.effectsMenuIndex = 0;  // Selected entry of the effects menu
+    this.lastFrame = null;  // Latest rendered frame, for text snapshots
+    this.recorder = null;  // AsciicastRecorder while recording
+    this.videoRecorder = null;  // VideoRecorder while recording the camera
+    this.onVideoFrame = null;  // Capture 'nativeframe' listener feeding videoRecorder
+    this.lastRenderError = { message: null, time: 0 };  // Last error shown by onRenderError()
   }
 
   /**
@@ -31,39 +84,91 @@ class TerminalWebcamApp {
   async start() {
     try {
 
+      // Create renderer, it decides what the capture has to deliver
+      this.renderer = new TerminalRenderer(this.webcam, this.config, { workers: this.options.workers ?? undefined });
+      this.renderer.setCharacterSet(this.charsetManager.getChars());
+      this.renderer.setViewport(this.viewport);
+      this.renderer.setColorDepth(this.colorDepth);
+      this.renderer.setRenderMode(this.renderMode.name);
+      this.renderer.setDither(this.dither.name);
+      this.renderer.setAdjustments(this.adjustments);
+      if (this.options.effects) {
+        this.renderer.setEffects(this.options.effects);
+      }
+      if (this.options.brailleContrast) {
+        this.renderer.setModeParameter('braille', this.options.brailleContrast);
+      }
+      if (this.options.edgeThreshold) {
+        this.renderer.setModeParameter('edges', this.options.edgeThreshold);
+      }
+
+      // OPTIMIZATION #2 & #3: Get terminal dimensions and initialize capture
+      // Capture starts before the UI so source errors print on a normal terminal
+      const { width: termWidth, height: termHeight } = this.screen.getVideoDimensions();
+      const capture = this.renderer.getCaptureSettings(termWidth, termHeight);
+
+      // Initialize hybrid capture (tries hardware first, falls back to software)
+      this.captureMode = await this.webcam.initialize(capture.width, capture.height, capture.viewport);
+
       // Initialize UI
-      this.screen.initialize();
+      this.screen.initialize({ input: this._getKeyboardInput() });
       const blessedScreen = this.screen.getScreen();
+      this.screen.updateStats({
+        captureMode: this.captureMode,
+        scaleMode: this.viewport.mode,
+        colorDepth: this.colorDepth,
+        renderMode: this._getRenderModeLabel(),
+        dither: this._getDitherLabel(),
+        adjustments: formatAdjustments(this.adjustments),
+        effects: this._getEffectsLabel()
+      });
+
+      // Report FFmpeg supervisor activity
+      this._watchCapture();
 
       // Setup controls
       this.controls = new Controls(blessedScreen);
-      this.controls.setup(
-        () => this.quit(),
-        () => this.saveSnapshot(),
-        () => this.toggleLogs(),
-        () => this.nextCharset(),
-        () => this.prevCharset()
-      );
+      this.controls.setup({
+        onQuit: () => this.quit(),
+        onSnapshot: () => this.saveSnapshot(),
+        onSnapshotAll: () => this.saveSnapshot(SNAPSHOT_FORMATS),
+        onToggleRecording: () => this.toggleRecording(),
+        onToggleVideoRecording: () => this.toggleVideoRecording(),
+        onToggleLogs: () => this.toggleLogs(),
+        onNextCharset: () => this.nextCharset(),
+        onPrevCharset: () => this.prevCharset(),
+        onNextPattern: () => this.nextTestPattern(),
+        onNextCamera: () => this.nextCamera(),
+        onCycleScale: () => this.cycleScaleMode(),
+        onCycleColor: () => this.cycleColorDepth(),
+        onCycleRenderMode: () => this.cycleRenderMode(),
+        onAdjustParameter: (steps) => this.adjustModeParameter(steps),
+        onCycleDither: () => this.cycleDither(),
+        onAdjustImage: (name, steps) => this.adjustImage(name, steps),
+        onToggleInvert: () => this.toggleInvert(),
+        onCycleLevels: () => this.cycleLevels(),
+        onResetAdjustments: () => this.resetAdjustments(),
+        onToggleGraphics: () => this.toggleGraphics(),
+        onEffectsMenu: (action) => this.effectsMenu(action),
+        ...(this.captureMode === 'file' && {
+          onSeek: (delta) => this.seek(delta),
+          onTogglePause: () => this.togglePause(),
+          onStep: (count) => this.stepFrame(count),
+          onChangeSpeed: (direction) => this.changeSpeed(direction)
+        })
+      });
 
       // Handle help toggle
       blessedScreen.on('help-toggle', () => {
         this.screen.toggleHelp(this.controls.getHelpText());
       });
 
-      // OPTIMIZATION #2 & #3: Get terminal dimensions and initialize capture
-      const { width: termWidth, height: termHeight } = this.screen.getVideoDimensions();
-
-      // Initialize hybrid capture (tries hardware first, falls back to software)
-      this.captureMode = await this.webcam.initialize(termWidth, termHeight);
-
       // Handle terminal resize
       blessedScreen.on('resize', () => {
-        const { width: newTermWidth, height: newTermHeight } = this.screen.getVideoDimensions();
-        this.webcam.updateResolution(newTermWidth, newTermHeight);
+        this._resizeCapture();
       });
 
-      // Create renderer
-      this.renderer = new TerminalRenderer(this.webcam, config);
+      this.screen.updateStats({ charsetName: this.charsetManager.getName() });
 
       // Set dimension provider to use screen dimensions
       this.renderer.setDimensionProvider(() => {
@@ -74,22 +179,76 @@ class TerminalWebcamApp {
       this.isRunning = true;
       this.renderer.start(
         (frame) => this.onFrame(frame),
-        (stats) => this.onStats(stats)
+        (stats) => this.onStats(stats),
+        (error) => this.onRenderError(error)
       );
 
       this.screen.render();
 
+      if (this.options.record) {
+        await this._startRecording(path.resolve(this.options.record));
+      }
+
+      if (!this.options.cellAspect || this.options.graphics !== 'off') {
+        this._detectTerminal();
+      }
+
+    } catch (error) {
+      // quit() only tears down a running app, so clean up directly
+      this.screen.destroy();
+      await this.webcam.cleanup();
+      console.error(`Failed to start application: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Get the keyboard stream for blessed
+   * When stdin carries video, keys are read from the controlling terminal instead
+   * @returns {tty.ReadStream|null} Terminal stream, or null to use stdin
+   * @private
+   */
+  _getKeyboardInput() {
+    if (this.options.source !== 'stdin') return null;
+
+    try {
+      return new tty.ReadStream(openSync('/dev/tty', 'r'));
     } catch (error) {
-      console.error('Failed to start application:', error);
-      this.quit(1);
+      throw new Error(`Cannot open /dev/tty for keyboard input while reading video from stdin (${error.message})`);
     }
   }
 
+  /**
+   * Surface capture failures and runtime fallbacks in the UI
+   * @private
+   */
+  _watchCapture() {
+    const fallbackReason = this.webcam.getFallbackReason();
+    if (fallbackReason) {
+      this.screen.showNotification(`FFmpeg capture failed (${fallbackReason}), using software mode`, 5000);
+    }
+
+    this.webcam.on('status', ({ message }) => {
+      this.screen.showNotification(message, 3000);
+    });
+
+    this.webcam.on('modechange', ({ mode, reason }) => {
+      this.captureMode = mode;
+      this.screen.updateStats({ captureMode: mode });
+      this.screen.showNotification(`FFmpeg capture failed (${reason}), switched to ${mode} mode`, 5000);
+    });
+
+    this.webcam.on('failed', ({ reason }) => {
+      this.screen.showNotification(`Playback failed: ${reason}`, 5000);
+    });
+  }
+
   /**
    * Handle new frame
    */
   onFrame(frame) {
     if (!this.isRunning) return;
+    this.lastFrame = frame;
     this.screen.updateVideo(frame);
   }
 
@@ -98,9 +257,91 @@ class TerminalWebcamApp {
    */
   onStats(stats) {
     if (!this.isRunning) return;
+
+    // File playback position comes from the capture, not the renderer
+    if (this.captureMode === 'file') {
+      stats = { ...stats, playback: this.webcam.getStats().playback || null };
+    }
+
+    stats = {
+      ...stats,
+      outputRate: this.screen.takeOutputRate(),
+      recording: this._getRecordingStats(),
+      videoRecording: this.videoRecorder ? { elapsed: this.videoRecorder.getElapsed() } : null
+    };
+
     this.screen.updateStats(stats);
   }
 
+  /**
+   * Show a frame conversion failure without flooding the screen
+   * @param {Error} error - Why the frame could not be converted
+   */
+  onRenderError(error) {
+    if (!this.isRunning) return;
+
+    const now = Date.now();
+    const { message, time } = this.lastRenderError;
+    if (error.message === message && now - time < RENDER_ERROR_INTERVAL) return;
+
+    this.lastRenderError = { message: error.message, time: now };
+    this.screen.showNotification(`Frame conversion failed: ${error.message}`, 3000);
+  }
+
+  /**
+   * Seek file playback
+   * @param {number} delta - Seconds to move
+   */
+  seek(delta) {
+    if (this.webcam.seek(delta)) {
+      this._updatePlayback();
+    }
+  }
+
+  /**
+   * Pause or resume file playback
+   */
+  togglePause() {
+    const { playback } = this.webcam.getStats();
+    if (playback && this.webcam.setPaused(!playback.paused)) {
+      this._updatePlayback();
+    }
+  }
+
+  /**
+   * Step file playback by frames, pausing it
+   * @param {number} count - Frames to move, negative to go back
+   */
+  stepFrame(count) {
+    if (this.webcam.step(count)) {
+      this._updatePlayback();
+    }
+  }
+
+  /**
+   * Make file playback slower or faster
+   * @param {number} direction - +1 for faster, -1 for slower
+   */
+  changeSpeed(direction) {
+    const { playback } = this.webcam.getStats();
+    if (!playback) return;
+
+    const speed = getNextSpeed(playback.speed, direction);
+    if (speed !== playback.speed && this.webcam.setSpeed(speed)) {
+      this._updatePlayback();
+      this.screen.showNotification(`Speed: ${formatSpeed(speed)}`);
+    }
+  }
+
+  /**
+   * Show the file playback state in the status bar
+   * @private
+   */
+  _updatePlayback() {
+    const { playback } = this.webcam.getStats();
+    this.screen.updateStats({ playback });
+  }
+
   /**
    * Toggle performance logs
    */
@@ -130,6 +371,321 @@ class TerminalWebcamApp {
     this.screen.showNotification(`Character set: ${charset.name} - ${charset.description}`);
   }
 
+  /**
+   * Cycle the scale mode (fit, fill, stretch)
+   */
+  cycleScaleMode() {
+    const index = SCALE_MODES.indexOf(this.viewport.mode);
+    const mode = SCALE_MODES[(index + 1) % SCALE_MODES.length];
+    this.setViewport({ mode });
+    this.screen.updateStats({ scaleMode: mode });
+    this.screen.showNotification(`Scale mode: ${mode}`);
+  }
+
+  /**
+   * Cycle the color depth (gray, 256 colors, truecolor)
+   * FFmpeg switches between gray and color output as needed
+   */
+  cycleColorDepth() {
+    const index = COLOR_DEPTHS.indexOf(this.colorDepth);
+    this.colorDepth = COLOR_DEPTHS[(index + 1) % COLOR_DEPTHS.length];
+
+    this.webcam.setColorOutput(this.colorDepth !== 'gray');
+    if (this.renderer) {
+      this.renderer.setColorDepth(this.colorDepth);
+    }
+    this.screen.updateStats({ colorDepth: this.colorDepth });
+    this.screen.showNotification(`Color: ${COLOR_DEPTH_LABELS[this.colorDepth]}`);
+  }
+
+  /**
+   * Cycle the render mode (ASCII, half blocks)
+   */
+  cycleRenderMode() {
+    this.renderMode = getNextRenderMode(this.renderMode.name);
+    this.renderer.setRenderMode(this.renderMode.name);
+    this._resizeCapture();
+    this.screen.updateStats({ renderMode: this._getRenderModeLabel() });
+    this.screen.showNotification(`Render mode: ${this.renderMode.label} - ${this.renderMode.description}`);
+  }
+
+  /**
+   * Adjust the render mode's parameter (braille contrast, edge threshold)
+   * @param {number} steps - Steps to move (negative to decrease)
+   */
+  adjustModeParameter(steps) {
+    const result = this.renderer.adjustModeParameter(steps);
+    if (!result) {
+      this.screen.showNotification(`${this.renderMode.label} mode has no adjustable parameter`);
+      return;
+    }
+
+    this.screen.updateStats({ renderMode: this._getRenderModeLabel() });
+    this.screen.showNotification(`${result.parameter.label}: ${result.value}`);
+  }
+
+  /**
+   * Cycle the dither mode
+   */
+  cycleDither() {
+    const index = ditherModes.indexOf(this.dither);
+    this.dither = ditherModes[(index + 1) % ditherModes.length];
+    this.renderer.setDither(this.dither.name);
+    this.screen.updateStats({ dither: this._getDitherLabel() });
+    this.screen.showNotification(`Dither: ${this.dither.label}`);
+  }
+
+  /**
+   * Step brightness, contrast or gamma
+   * @param {string} name - 'brightness', 'contrast' or 'gamma'
+   * @param {number} steps - Steps to move (negative to decrease)
+   */
+  adjustImage(name, steps) {
+    const value = clampAdjustment(name, this.adjustments[name] + steps * ADJUSTMENT_RANGES[name].step);
+    this._setAdjustments({ [name]: value });
+    this.screen.showNotification(`${name[0].toUpperCase()}${name.slice(1)}: ${value}`);
+  }
+
+  /**
+   * Toggle inverted brightness
+   */
+  toggleInvert() {
+    this._setAdjustments({ invert: !this.adjustments.invert });
+    this.screen.showNotification(`Invert: ${this.adjustments.invert ? 'ON' : 'OFF'}`);
+  }
+
+  /**
+   * Cycle the levels mode (off, auto, equalize)
+   */
+  cycleLevels() {
+    const index = LEVELS_MODES.indexOf(this.adjustments.levels);
+    this._setAdjustments({ levels: LEVELS_MODES[(index + 1) % LEVELS_MODES.length] });
+    this.screen.showNotification(`Levels: ${this.adjustments.levels}`);
+  }
+
+  /**
+   * Reset all image adjustments
+   */
+  resetAdjustments() {
+    this._setAdjustments(DEFAULT_ADJUSTMENTS);
+    this.screen.showNotification('Image adjustments reset');
+  }
+
+  /**
+   * Apply adjustment changes to the renderer and status bar
+   * @param {Object} adjustments - Changed values
+   * @private
+   */
+  _setAdjustments(adjustments) {
+    this.adjustments = { ...this.adjustments, ...adjustments };
+    this.renderer.setAdjustments(this.adjustments);
+    this.screen.updateStats({ adjustments: formatAdjustments(this.adjustments) });
+  }
+
+  /**
+   * Drive the effects menu
+   * @param {string} action - 'open', 'close', 'up', 'down', 'toggle', 'earlier' or 'later'
+   */
+  effectsMenu(action) {
+    const entries = this.renderer.listEffects();
+    const { name } = entries[this.effectsMenuIndex].effect;
+
+    switch (action) {
+      case 'close':
+        this.screen.hideEffectsMenu();
+        return;
+      case 'up':
+      case 'down': {
+        const step = action === 'up' ? -1 : 1;
+        this.effectsMenuIndex = (this.effectsMenuIndex + step + entries.length) % entries.length;
+        break;
+      }
+      case 'toggle':
+        this.renderer.toggleEffect(name);
+        this.screen.updateStats({ effects: this._getEffectsLabel() });
+        break;
+      case 'earlier':
+      case 'later':
+        this.effectsMenuIndex = this.renderer.moveEffect(name, action === 'earlier' ? -1 : 1);
+        this.screen.updateStats({ effects: this._getEffectsLabel() });
+        break;
+    }
+
+    this.screen.showEffectsMenu(
+      this.controls.getEffectsMenuText(this.renderer.listEffects(), this.effectsMenuIndex)
+    );
+  }
+
+  /**
+   * Get the status bar label for the effects that are on
+   * @returns {string|null} Labels in chain order, or null when none are on
+   * @private
+   */
+  _getEffectsLabel() {
+    const labels = this.renderer.listEffects()
+      .filter(entry => entry.enabled)
+      .map(entry => entry.effect.label);
+    return labels.length > 0 ? labels.join(' + ') : null;
+  }
+
+  /**
+   * Get the status bar label for the dither mode
+   * @returns {string|null} Label, or null when not dithering
+   * @private
+   */
+  _getDitherLabel() {
+    return this.dither.name === 'none' ? null : this.dither.label;
+  }
+
+  /**
+   * Get the status bar label for the render mode
+   * ASCII mode is described by its character set instead
+   * @returns {string|null}
+   * @private
+   */
+  _getRenderModeLabel() {
+    const { name, label, parameter } = this.renderMode;
+    if (name === 'ascii') return null;
+    if (!parameter) return label;
+
+    return `${label} ${parameter.name} ${this.renderer.getModeParameter(name)}`;
+  }
+
+  /**
+   * Apply a new scale mode or cell aspect ratio to capture and rendering
+   * @param {Object} viewport - { mode, cellAspect }
+   */
+  setViewport(viewport) {
+    this.viewport = { ...this.viewport, ...viewport };
+    this.renderer.setViewport(this.viewport);
+    this._resizeCapture();
+  }
+
+  /**
+   * Resize the capture for the video box and the render mode
+   * @private
+   */
+  _resizeCapture() {
+    const { width, height } = this.screen.getVideoDimensions();
+    const capture = this.renderer.getCaptureSettings(width, height);
+    this.webcam.updateResolution(capture.width, capture.height, capture.viewport);
+  }
+
+  /**
+   * Ask the terminal for its cell size and graphics support
+   * Corrects the aspect ratio (terminals that do not answer keep the
+   * default) and turns on inline graphics when requested
+   * @private
+   */
+  async _detectTerminal() {
+    this.cellSize = await this.screen.detectCellSize();
+    if (!this.isRunning) return;
+
+    let resize = false;
+
+    if (this.cellSize && !this.options.cellAspect) {
+      const cellAspect = Number((this.cellSize.height / this.cellSize.width).toFixed(3));
+      // Small differences are not worth restarting FFmpeg for
+      if (Math.abs(cellAspect - this.viewport.cellAspect) / this.viewport.cellAspect > 0.05) {
+        this.viewport = { ...this.viewport, cellAspect };
+        this.renderer.setViewport(this.viewport);
+        resize = true;
+      }
+    }
+
+    if (this.options.graphics !== 'off') {
+      const protocol = await this._detectGraphics();
+      if (!this.isRunning) return;
+
+      if (protocol) {
+        this._setGraphics(protocol);
+        resize = true;
+      } else {
+        this.screen.showNotification('No Kitty graphics or Sixel support detected, using text rendering', 5000);
+      }
+    }
+
+    if (resize) {
+      this._resizeCapture();
+    }
+  }
+
+  /**
+   * Toggle inline graphics (Kitty or Sixel) and text rendering
+   */
+  async toggleGraphics() {
+    if (this.graphicsProtocol) {
+      this._setGraphics(null);
+      this._resizeCapture();
+      this.screen.showNotification('Graphics off, using text rendering');
+      return;
+    }
+
+    const protocol = await this._detectGraphics();
+    if (!this.isRunning) return;
+    if (!protocol) {
+      this.screen.showNotification('No Kitty graphics or Sixel support detected, staying in text mode', 3000);
+      return;
+    }
+
+    this._setGraphics(protocol);
+    this._resizeCapture();
+    this.screen.showNotification(`Graphics: ${GRAPHICS_LABELS[protocol]}`);
+  }
+
+  /**
+   * Find the graphics protocol to use
+   * --graphics kitty/sixel is taken as given; otherwise the environment is
+   * checked for Kitty, then the terminal is asked about Sixel (once)
+   * @returns {Promise<string|null>} 'kitty', 'sixel', or null if neither is supported
+   * @private
+   */
+  async _detectGraphics() {
+    const requested = this.options.graphics;
+    if (requested === 'kitty' || requested === 'sixel') {
+      return requested;
+    }
+
+    if (this.detectedGraphics === undefined) {
+      this.detectedGraphics = detectGraphicsFromEnv() || (await this.screen.detectSixel() ? 'sixel' : null);
+    }
+    return this.detectedGraphics;
+  }
+
+  /**
+   * Switch the renderer and screen to a graphics protocol, or back to text
+   * Follow with _resizeCapture(), the frame size changes
+   * @param {string|null} protocol - 'kitty' or 'sixel', or null for text
+   * @private
+   */
+  _setGraphics(protocol) {
+    this.graphicsProtocol = protocol;
+    this.renderer.setGraphics(protocol, this._getCellSize());
+    this.screen.setGraphicsProtocol(protocol);
+    this.screen.updateStats({ graphics: protocol ? GRAPHICS_LABELS[protocol] : null });
+  }
+
+  /**
+   * Get the cell size in whole pixels, estimated from the aspect ratio when
+   * the terminal did not report it
+   * Rounded down: the reported size may include the window padding, and a
+   * Sixel image that is too large would spill over the border
+   * @returns {Object} { width, height }
+   * @private
+   */
+  _getCellSize() {
+    if (!this.cellSize) {
+      return {
+        width: DEFAULT_CELL_WIDTH,
+        height: Math.round(DEFAULT_CELL_WIDTH * this.viewport.cellAspect)
+      };
+    }
+    return {
+      width: Math.max(1, Math.floor(this.cellSize.width)),
+      height: Math.max(1, Math.floor(this.cellSize.height))
+    };
+  }
+
   /**
    * Switch to previous character set
    */
@@ -143,46 +699,85 @@ class TerminalWebcamApp {
   }
 
   /**
-   * Save a snapshot
+   * Switch to the next synthetic test pattern
    */
-  async saveSnapshot() {
+  nextTestPattern() {
+    const pattern = this.webcam.nextTestPattern();
+    if (pattern) {
+      this.screen.showNotification(`Test pattern: ${pattern.name} - ${pattern.description}`);
+    }
+  }
+
+  /**
+   * Switch to the next camera and remember it for the next start
+   */
+  async nextCamera() {
+    try {
+      const device = await this.webcam.nextDevice();
+      if (!device) {
+        this.screen.showNotification('No other camera available');
+        return;
+      }
+
+      this.screen.showNotification(`Camera: ${device.name} (${device.id})`);
+      await saveSettings({ device: device.id });
+    } catch (error) {
+      this.screen.showNotification('Error switching camera: ' + error.message);
+    }
+  }
+
+  /**
+   * Save a snapshot of the current frame
+   * Image formats save the captured frame, text formats the rendered one;
+   * all files of one snapshot share a timestamped name
+   * @param {Array<string>} formats - Snapshot formats (see utils/snapshot.js)
+   */
+  async saveSnapshot(formats = [this.options.snapshotFormat]) {
     try {
       // Create snapshots directory if it doesn't exist
-      const snapshotsDir = path.join(process.cwd(), 'snapshots');
+      const snapshotsDir = path.resolve(this.options.snapshotDir || 'snapshots');
       await fs.mkdir(snapshotsDir, { recursive: true });
 
       // Generate filename with timestamp
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `snapshot-${timestamp}.jpg`;
-      const filepath = path.join(snapshotsDir, filename);
-
-      if (this.captureMode === 'hardware') {
-        // Hardware mode: convert raw pixels back to JPEG
-        const frame = this.webcam.getLatestFrame();
-        if (frame) {
-          // For now, show a message that snapshots aren't supported in hardware mode
-          this.screen.showNotification('Snapshot in hardware mode: coming soon');
-          // TODO: Convert raw pixels to JPEG using Sharp
-        } else {
-          this.screen.showNotification('No frame available');
-        }
-      } else {
-        // Software mode: copy the JPEG file
-        const tmpFile = this.webcam.getLatestFramePath();
-        if (tmpFile) {
-          await fs.copyFile(tmpFile, filepath);
-          this.snapshotCounter++;
-          this.screen.showNotification(`Snapshot saved: ${filename}`);
+      const basePath = path.join(snapshotsDir, `snapshot-${timestamp}`);
+      const saved = [];
+      const skipped = [];
+
+      for (const format of formats) {
+        const filepath = `${basePath}.${format}`;
+
+        if (isImageFormat(format)) {
+          if (await this.webcam.saveSnapshot(filepath, format)) {
+            saved.push(format);
+          } else {
+            skipped.push(format);
+          }
+        } else if (this.lastFrame instanceof CellGrid) {
+          await fs.writeFile(filepath, formatGrid(this.lastFrame, format));
+          saved.push(format);
         } else {
-          this.screen.showNotification('No frame available for snapshot');
+          // Nothing rendered yet, or inline graphics are on
+          skipped.push(format);
         }
       }
 
+      if (saved.length === 0) {
+        this.screen.showNotification('No frame available for snapshot');
+        return;
+      }
+
+      this.snapshotCounter++;
+      const name = `snapshot-${timestamp}.${saved.length === 1 ? saved[0] : `{${saved.join(',')}}`}`;
+      const note = skipped.length > 0 ? ` (no ${skipped.join('/')} frame)` : '';
+      this.screen.showNotification(`Snapshot saved: ${name}${note}`, 3000);
+
     } catch (error) {
       this.screen.showNotification('Error saving snapshot: ' + error.message);
     }
   }
 
+
   /**
    * Quit the application
    */
@@ -196,6 +791,14 @@ class TerminalWebcamApp {
       this.renderer.stop();
     }
 
+    // Finish the recordings, so the files end with the last frame
+    if (this.recorder) {
+      await this._stopRecording();
+    }
+    if (this.videoRecorder) {
+      await this._stopVideoRecording();
+    }
+
     // Cleanup webcam
     if (this.webcam) {
       await this.webcam.cleanup();
@@ -209,6 +812,143 @@ class TerminalWebcamApp {
     process.exit(exitCode);
   }
 
+  /**
+   * Start or stop recording the session to an asciinema .cast file
+   * New recordings go next to the --record file, or into ./recordings
+   */
+  async toggleRecording() {
+    if (this.recorder) {
+      await this._stopRecording();
+      return;
+    }
+
+    const directory = this.options.record
+      ? path.dirname(path.resolve(this.options.record))
+      : path.resolve('recordings');
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    await this._startRecording(path.join(directory, `recording-${timestamp}.cast`));
+  }
+
+  /**
+   * Start recording rendered frames
+   * @param {string} filepath - .cast file to write
+   * @private
+   */
+  async _startRecording(filepath) {
+    try {
+      await fs.mkdir(path.dirname(filepath), { recursive: true });
+    } catch (error) {
+      this.screen.showNotification(`Cannot record: ${error.message}`, 4000);
+      return;
+    }
+
+    const recorder = new AsciicastRecorder(filepath, { title: 'terminal-webcam' });
+    recorder.on('error', (error) => {
+      this.screen.showNotification(`Recording failed: ${error.message}`, 5000);
+      if (this.recorder === recorder) {
+        this._stopRecording();
+      }
+    });
+    recorder.start();
+
+    this.recorder = recorder;
+    this.renderer.setRecorder(recorder);
+    this.screen.updateStats({ recording: this._getRecordingStats() });
+    const note = this.graphicsProtocol ? ' (text frames only, inline graphics are not recorded)' : '';
+    this.screen.showNotification(`Recording to ${path.basename(filepath)}${note}`, 3000);
+  }
+
+  /**
+   * Stop recording and finish the file
+   * @private
+   */
+  async _stopRecording() {
+    const recorder = this.recorder;
+    this.recorder = null;
+    this.renderer.setRecorder(null);
+    this.screen.updateStats({ recording: null });
+
+    const { filepath, bytes } = await recorder.stop();
+    if (bytes > 0) {
+      this.screen.showNotification(`Recording saved: ${path.basename(filepath)}`, 3000);
+    }
+  }
+
+  /**
+   * Get the status bar figures of the recording
+   * @returns {Object|null} { elapsed, bytes }, or null when not recording
+   * @private
+   */
+  _getRecordingStats() {
+    if (!this.recorder) return null;
+    return { elapsed: this.recorder.getElapsed(), bytes: this.recorder.bytes };
+  }
+
+  /**
+   * Start or stop recording the camera video to a file
+   */
+  async toggleVideoRecording() {
+    if (this.videoRecorder) {
+      await this._stopVideoRecording();
+      return;
+    }
+
+    const directory = path.resolve(this.options.videoDir || 'recordings');
+    try {
+      await fs.mkdir(directory, { recursive: true });
+    } catch (error) {
+      this.screen.showNotification(`Cannot record video: ${error.message}`, 4000);
+      return;
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filepath = path.join(directory, `video-${timestamp}.${this.options.videoFormat}`);
+    const recorder = new VideoRecorder(filepath, {
+      codec: this.options.videoCodec,
+      quality: this.options.videoQuality,
+      getPixelAspect: () => this.webcam.getNativePixelAspect()
+    });
+
+    recorder.on('error', (error) => {
+      this.screen.showNotification(`Video recording failed: ${error.message}`, 5000);
+      if (this.videoRecorder === recorder) {
+        this._stopVideoRecording();
+      }
+    });
+    recorder.start();
+
+    // Fed from the capture, the camera is not opened a second time
+    this.videoRecorder = recorder;
+    this.onVideoFrame = (frame) => recorder.writeFrame(frame);
+    this.webcam.on('nativeframe', this.onVideoFrame);
+    this.webcam.setNativeOutput(true);
+
+    this.screen.updateStats({ videoRecording: { elapsed: 0 } });
+    this.screen.showNotification(`Recording video to ${path.basename(filepath)}`, 3000);
+  }
+
+  /**
+   * Stop recording the camera and wait for the file to be finished
+   * @private
+   */
+  async _stopVideoRecording() {
+    const recorder = this.videoRecorder;
+    this.videoRecorder = null;
+    this.webcam.off('nativeframe', this.onVideoFrame);
+    this.onVideoFrame = null;
+    // Dropping the second output restarts FFmpeg, not worth it on quit
+    if (this.isRunning) {
+      this.webcam.setNativeOutput(false);
+    }
+    this.screen.updateStats({ videoRecording: null });
+
+    const { filepath, frames, droppedFrames } = await recorder.stop();
+    if (frames > 0) {
+      const dropped = droppedFrames > 0 ? `, ${droppedFrames} frames dropped` : '';
+      this.screen.showNotification(`Video saved: ${path.basename(filepath)}${dropped}`, 3000);
+    }
+  }
+
   /**
    * Handle unexpected errors
    */
@@ -218,8 +958,50 @@ class TerminalWebcamApp {
   }
 }
 
+// Parse command line before anything touches the terminal
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (error) {
+  if (!(error instanceof CliError)) throw error;
+  console.error(`terminal-webcam: ${error.message}`);
+  console.error('Run with --help for usage.');
+  process.exit(2);
+}
+
+if (options.help) {
+  console.log(getUsage());
+  process.exit(0);
+}
+
+if (options.version) {
+  console.log(getVersion());
+  process.exit(0);
+}
+
+if (options.listDevices) {
+  console.log(formatDeviceList(await listDevices()));
+  process.exit(0);
+}
+
+// Fall back to the camera picked last time, if it is still plugged in
+if (options.source === 'device' && !options.device) {
+  const { device } = await loadSettings();
+  if (device && (!device.startsWith('/dev/') || existsSync(device))) {
+    options.device = device;
+  }
+}
+
 // Create and start the application
-const app = new TerminalWebcamApp();
+// asciinema recordings get their own player; videos play through the capture
+let app;
+if (options.headless) {
+  app = new HeadlessApp(options);
+} else if (options.play && isCastFile(options.play)) {
+  app = new PlayerApp(options);
+} else {
+  app = new TerminalWebcamApp(options);
+}
 
 // Handle unexpected errors
 process.on('uncaughtException', (error) => {
@@ -0,0 +1,413 @@
+import CellGrid from '../renderer/cell-grid.js';
+import { ansi256ToRgb } from '../renderer/ansi.js';
+
+// xterm's default colors 0-15; the palette proper (16-255) is in ansi.js
+const BASIC_COLORS = [
+  0x000000, 0xcd0000, 0x00cd00, 0xcdcd00, 0x0000ee, 0xcd00cd, 0x00cdcd, 0xe5e5e5,
+  0x7f7f7f, 0xff0000, 0x00ff00, 0xffff00, 0x5c5cff, 0xff00ff, 0x00ffff, 0xffffff
+];
+
+// Color depths from least to most, for tracking the richest one seen
+const DEPTH_ORDER = ['gray', '256', 'truecolor'];
+
+/**
+ * A virtual terminal screen fed with recorded output
+ *
+ * Understands what recordings of full-screen programs are made of: text,
+ * cursor movement, erasing, scrolling at the bottom line and SGR colors.
+ * Other sequences (modes, titles, inline graphics) are parsed and dropped.
+ * Cells are kept as a CellGrid, so recorded frames go to the display like
+ * rendered ones.
+ *
+ * White on black (SGR 37 and 40) are taken as the default colors, which is
+ * how the video box's own style is written (see sgrColor() in ansi.js).
+ * The grid's color depth follows the richest colors the output has used.
+ */
+class AnsiScreen {
+  /**
+   * @param {number} width - Columns
+   * @param {number} height - Rows
+   */
+  constructor(width, height) {
+    this.colorDepth = 'gray';
+    this.resize(width, height);
+  }
+
+  /**
+   * Clear the screen at a new size, with the cursor at the top left
+   * @param {number} width - Columns
+   * @param {number} height - Rows
+   */
+  resize(width, height) {
+    this.grid = new CellGrid(width, height, this.colorDepth);
+    this.x = 0;
+    this.y = 0;
+    this.wrapPending = false;  // Cursor sits past the last column
+    this.saved = { x: 0, y: 0 };
+    this.fg = -1;
+    this.bg = -1;
+    this.inverse = false;
+    this.pending = '';  // Incomplete escape sequence from the end of the last write
+  }
+
+  /**
+   * Interpret terminal output
+   * @param {string} text - Output as recorded
+   */
+  write(text) {
+    const input = this.pending + text;
+    this.pending = '';
+
+    let i = 0;
+    while (i < input.length) {
+      const code = input.codePointAt(i);
+
+      if (code === 0x1b) {
+        const end = this._parseEscape(input, i);
+        if (end < 0) {
+          this.pending = input.slice(i);
+          return;
+        }
+        i = end;
+        continue;
+      }
+
+      i += code > 0xffff ? 2 : 1;
+      switch (code) {
+        case 0x0a:  // LF
+        case 0x0b:
+        case 0x0c:
+          this._lineFeed();
+          break;
+        case 0x0d:  // CR
+          this.x = 0;
+          this.wrapPending = false;
+          break;
+        case 0x08:  // BS
+          this.x = Math.max(0, this.x - 1);
+          this.wrapPending = false;
+          break;
+        case 0x09:  // TAB
+          this.x = Math.min(this.grid.width - 1, (Math.floor(this.x / 8) + 1) * 8);
+          break;
+        default:
+          if (code >= 0x20 && code !== 0x7f) {
+            this._print(code);
+          }
+      }
+    }
+  }
+
+  /**
+   * Get a copy of the screen
+   * @returns {CellGrid}
+   */
+  snapshot() {
+    const { width, height, chars, fg, bg } = this.grid;
+    return CellGrid.fromArrays(width, height, this.colorDepth, chars.slice(), fg.slice(), bg.slice());
+  }
+
+  /**
+   * Put the screen back to a snapshot, as taken by snapshot()
+   * @param {CellGrid} grid - Screen contents
+   * @param {Object} state - Cursor and attributes, as returned by getState()
+   */
+  restore(grid, state) {
+    const { width, height, colorDepth, chars, fg, bg } = grid;
+    this.grid = CellGrid.fromArrays(width, height, colorDepth, chars.slice(), fg.slice(), bg.slice());
+    Object.assign(this, state, { saved: { ...state.saved } });
+  }
+
+  /**
+   * Get the cursor and attributes, to restore with a snapshot
+   * @returns {Object}
+   */
+  getState() {
+    const { x, y, wrapPending, fg, bg, inverse, pending, colorDepth } = this;
+    return { x, y, wrapPending, fg, bg, inverse, pending, colorDepth, saved: { ...this.saved } };
+  }
+
+  /**
+   * Write a character at the cursor and advance it
+   * @param {number} code - Code point
+   * @private
+   */
+  _print(code) {
+    const { width } = this.grid;
+
+    if (this.wrapPending) {
+      this.x = 0;
+      this._lineFeed();
+    }
+
+    const cell = this.y * width + this.x;
+    this.grid.chars[cell] = code;
+    this.grid.fg[cell] = this.inverse ? (this.bg < 0 ? 0x000000 : this.bg) : this.fg;
+    this.grid.bg[cell] = this.inverse ? (this.fg < 0 ? BASIC_COLORS[7] : this.fg) : this.bg;
+
+    if (this.x === width - 1) {
+      this.wrapPending = true;
+    } else {
+      this.x++;
+    }
+  }
+
+  /**
+   * Move the cursor down a line, scrolling at the bottom
+   * @private
+   */
+  _lineFeed() {
+    this.wrapPending = false;
+    if (this.y < this.grid.height - 1) {
+      this.y++;
+      return;
+    }
+
+    const { width, chars, fg, bg } = this.grid;
+    for (const cells of [chars, fg, bg]) {
+      cells.copyWithin(0, width);
+    }
+    this._clearCells(chars.length - width, chars.length);
+  }
+
+  /**
+   * Parse the escape sequence starting at an index and apply it
+   * @param {string} input - Output
+   * @param {number} start - Index of the ESC
+   * @returns {number} Index after the sequence, or -1 if it is cut off
+   * @private
+   */
+  _parseEscape(input, start) {
+    if (start + 1 >= input.length) return -1;
+    const type = input[start + 1];
+
+    if (type === '[') {
+      const match = /^\x1b\[([<=>?]?)([\d;:]*)[ -/]*([@-~])/.exec(input.slice(start, start + 64));
+      if (!match) {
+        // Too long to be a sequence we know, or not complete yet
+        return input.length - start < 64 ? -1 : start + 2;
+      }
+      if (!match[1]) {
+        this._applyCsi(match[3], match[2]);
+      }
+      return start + match[0].length;
+    }
+
+    // OSC, DCS (Sixel), APC (Kitty graphics), PM and SOS run to ST or BEL
+    if (']P_^X'.includes(type)) {
+      const st = input.indexOf('\x1b\\', start + 2);
+      const bel = type === ']' ? input.indexOf('\x07', start + 2) : -1;
+      const ends = [st >= 0 ? st + 2 : -1, bel >= 0 ? bel + 1 : -1].filter(end => end >= 0);
+      return ends.length > 0 ? Math.min(...ends) : -1;
+    }
+
+    switch (type) {
+      case '7':
+        this.saved = { x: this.x, y: this.y };
+        break;
+      case '8':
+        this.x = this.saved.x;
+        this.y = this.saved.y;
+        this.wrapPending = false;
+        break;
+      case 'c':
+        this.resize(this.grid.width, this.grid.height);
+        break;
+      case '(':
+      case ')':
+        // Character set selection takes one more byte
+        return start + 2 < input.length ? start + 3 : -1;
+    }
+    return start + 2;
+  }
+
+  /**
+   * Apply a CSI sequence
+   * @param {string} final - Final character
+   * @param {string} paramText - Parameters, e.g. "1;2"
+   * @private
+   */
+  _applyCsi(final, paramText) {
+    const params = paramText.split(/[;:]/).map(Number);
+    const arg = (index, fallback = 1) => params[index] || fallback;
+    const { width, height } = this.grid;
+    this.wrapPending = false;
+
+    switch (final) {
+      case 'H':
+      case 'f':
+        this.y = clamp(arg(0) - 1, 0, height - 1);
+        this.x = clamp(arg(1) - 1, 0, width - 1);
+        break;
+      case 'A':
+        this.y = Math.max(0, this.y - arg(0));
+        break;
+      case 'B':
+      case 'e':
+        this.y = Math.min(height - 1, this.y + arg(0));
+        break;
+      case 'C':
+      case 'a':
+        this.x = Math.min(width - 1, this.x + arg(0));
+        break;
+      case 'D':
+        this.x = Math.max(0, this.x - arg(0));
+        break;
+      case 'E':
+        this.y = Math.min(height - 1, this.y + arg(0));
+        this.x = 0;
+        break;
+      case 'F':
+        this.y = Math.max(0, this.y - arg(0));
+        this.x = 0;
+        break;
+      case 'G':
+      case '`':
+        this.x = clamp(arg(0) - 1, 0, width - 1);
+        break;
+      case 'd':
+        this.y = clamp(arg(0) - 1, 0, height - 1);
+        break;
+      case 'J':
+        this._eraseDisplay(params[0] || 0);
+        break;
+      case 'K':
+        this._eraseLine(params[0] || 0);
+        break;
+      case 'X':
+        this._clearCells(this.y * width + this.x, this.y * width + Math.min(width, this.x + arg(0)));
+        break;
+      case 'm':
+        this._applySgr(paramText === '' ? [0] : params);
+        break;
+    }
+  }
+
+  /**
+   * Erase part of the screen (ED)
+   * @param {number} mode - 0 from the cursor, 1 up to the cursor, 2/3 all
+   * @private
+   */
+  _eraseDisplay(mode) {
+    const cursor = this.y * this.grid.width + this.x;
+    if (mode === 0) {
+      this._clearCells(cursor, this.grid.chars.length);
+    } else if (mode === 1) {
+      this._clearCells(0, cursor + 1);
+    } else {
+      this._clearCells(0, this.grid.chars.length);
+    }
+  }
+
+  /**
+   * Erase part of the cursor's line (EL)
+   * @param {number} mode - 0 from the cursor, 1 up to the cursor, 2 all
+   * @private
+   */
+  _eraseLine(mode) {
+    const rowStart = this.y * this.grid.width;
+    const cursor = rowStart + this.x;
+    if (mode === 0) {
+      this._clearCells(cursor, rowStart + this.grid.width);
+    } else if (mode === 1) {
+      this._clearCells(rowStart, cursor + 1);
+    } else {
+      this._clearCells(rowStart, rowStart + this.grid.width);
+    }
+  }
+
+  /**
+   * Blank a range of cells with the current background
+   * @param {number} from - First cell
+   * @param {number} to - Cell after the last
+   * @private
+   */
+  _clearCells(from, to) {
+    this.grid.chars.fill(0x20, from, to);
+    this.grid.fg.fill(-1, from, to);
+    this.grid.bg.fill(this.bg, from, to);
+  }
+
+  /**
+   * Apply SGR attributes; only colors and inverse matter for a CellGrid
+   * @param {Array<number>} params - Parameters
+   * @private
+   */
+  _applySgr(params) {
+    for (let i = 0; i < params.length; i++) {
+      const p = params[i];
+
+      if (p === 0) {
+        this.fg = -1;
+        this.bg = -1;
+        this.inverse = false;
+      } else if (p === 7) {
+        this.inverse = true;
+      } else if (p === 27) {
+        this.inverse = false;
+      } else if (p === 37 || p === 39) {
+        this.fg = -1;
+      } else if (p === 40 || p === 49) {
+        this.bg = -1;
+      } else if ((p >= 30 && p <= 36) || (p >= 90 && p <= 97)) {
+        this.fg = this._basicColor(p >= 90 ? p - 82 : p - 30);
+      } else if ((p >= 41 && p <= 47) || (p >= 100 && p <= 107)) {
+        this.bg = this._basicColor(p >= 100 ? p - 92 : p - 40);
+      } else if (p === 38 || p === 48) {
+        const [color, used] = this._extendedColor(params, i + 1);
+        if (p === 38) this.fg = color; else this.bg = color;
+        i += used;
+      }
+    }
+  }
+
+  /**
+   * Get a color of the 16-color palette
+   * @param {number} index - 0-15
+   * @returns {number} 0xRRGGBB
+   * @private
+   */
+  _basicColor(index) {
+    this._noteDepth('256');
+    return BASIC_COLORS[index];
+  }
+
+  /**
+   * Read a 38/48 color: 5;n (palette) or 2;r;g;b
+   * @param {Array<number>} params - SGR parameters
+   * @param {number} index - Index after the 38/48
+   * @returns {Array} [0xRRGGBB or -1, parameters used]
+   * @private
+   */
+  _extendedColor(params, index) {
+    if (params[index] === 5) {
+      const n = params[index + 1] || 0;
+      this._noteDepth('256');
+      return [n < 16 ? BASIC_COLORS[n] : ansi256ToRgb(Math.min(255, n)), 2];
+    }
+    if (params[index] === 2) {
+      const [r = 0, g = 0, b = 0] = params.slice(index + 1, index + 4);
+      this._noteDepth('truecolor');
+      return [((r & 0xff) << 16) | ((g & 0xff) << 8) | (b & 0xff), 4];
+    }
+    return [-1, 1];
+  }
+
+  /**
+   * Raise the color depth to at least a level
+   * @param {string} depth - 'gray', '256' or 'truecolor'
+   * @private
+   */
+  _noteDepth(depth) {
+    if (DEPTH_ORDER.indexOf(depth) > DEPTH_ORDER.indexOf(this.colorDepth)) {
+      this.colorDepth = depth;
+      this.grid.colorDepth = depth;
+    }
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+export default AnsiScreen;
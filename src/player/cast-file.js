@@ -0,0 +1,126 @@
+import { promises as fs } from 'fs';
+
+/**
+ * Read an asciinema recording
+ *
+ * v2 files (what AsciicastRecorder writes) are a JSON header line followed
+ * by one [seconds, type, data] event per line; v1 files are a single JSON
+ * object with [delay, data] pairs under "stdout". Output ('o') and resize
+ * ('r') events are kept, input and markers are not needed for playback.
+ * Pauses longer than the header's idle_time_limit are shortened to it, as
+ * asciinema's own player does.
+ *
+ * @param {string} filepath - .cast file
+ * @returns {Promise<Object>} { width, height, title, duration, events } with
+ *   events as { time, type, data }, time in seconds from the start
+ * @throws {Error} If the file is not an asciinema v1 or v2 recording
+ */
+export async function readCastFile(filepath) {
+  const text = await fs.readFile(filepath, 'utf8');
+  const lines = text.split('\n').filter(line => line.trim() !== '');
+
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (error) {
+    // A v1 file is one JSON document, usually spread over several lines
+    header = parseJson(text, filepath);
+  }
+
+  if (header.version === 1) {
+    return finish(header, readV1Events(header));
+  }
+  if (header.version === 2) {
+    return finish(header, readV2Events(lines.slice(1), filepath));
+  }
+  throw new Error(`${filepath} is not an asciinema v1 or v2 recording`);
+}
+
+/**
+ * Get the events of a v2 file
+ * @param {Array<string>} lines - Event lines
+ * @param {string} filepath - For error messages
+ * @returns {Array<Object>} { time, type, data }
+ * @private
+ */
+function readV2Events(lines, filepath) {
+  const events = [];
+
+  for (const line of lines) {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      // A recording cut short by a crash ends in a partial line
+      break;
+    }
+    if (!Array.isArray(event) || event.length < 3) {
+      throw new Error(`${filepath} has an invalid event: ${line.slice(0, 40)}`);
+    }
+
+    const [time, type, data] = event;
+    if (type === 'o' || type === 'r') {
+      events.push({ time: Number(time), type, data: String(data) });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Get the events of a v1 file
+ * @param {Object} document - The whole recording
+ * @returns {Array<Object>} { time, type, data }
+ * @private
+ */
+function readV1Events(document) {
+  let time = 0;
+  return (document.stdout || []).map(([delay, data]) => {
+    time += Number(delay);
+    return { time, type: 'o', data: String(data) };
+  });
+}
+
+/**
+ * Apply the idle time limit and describe the recording
+ * @param {Object} header - Header (v2) or document (v1)
+ * @param {Array<Object>} events - Events in time order
+ * @returns {Object}
+ * @private
+ */
+function finish(header, events) {
+  const limit = header.idle_time_limit || Infinity;
+  let previous = 0;
+  let shift = 0;
+
+  for (const event of events) {
+    const gap = event.time - previous;
+    previous = event.time;
+    shift += Math.max(0, gap - limit);
+    event.time -= shift;
+  }
+
+  return {
+    width: header.width || 80,
+    height: header.height || 24,
+    title: header.title || null,
+    duration: events.length > 0 ? events[events.length - 1].time : 0,
+    events
+  };
+}
+
+/**
+ * Parse a whole file as JSON
+ * @param {string} text - File contents
+ * @param {string} filepath - For error messages
+ * @returns {Object}
+ * @throws {Error} If the file is not JSON
+ * @private
+ */
+function parseJson(text, filepath) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${filepath} is not an asciinema recording`);
+  }
+}
@@ -0,0 +1,296 @@
+import { EventEmitter } from 'events';
+import AnsiScreen from './ansi-screen.js';
+
+// Seconds of recording between stored screens; seeking replays at most this much
+const KEYFRAME_INTERVAL = 5;
+
+/**
+ * Plays an asciinema recording as a stream of CellGrid frames
+ *
+ * The output events are run through an AnsiScreen and the screen is
+ * emitted after each batch of events that fell due, so recordings show up
+ * in the video box like live frames. Seeking and stepping backwards start
+ * from the nearest stored screen (one every KEYFRAME_INTERVAL seconds,
+ * built when the player is created) instead of from the beginning.
+ *
+ * A frame step is one output event: AsciicastRecorder writes one per frame.
+ *
+ * Events:
+ *   'frame' (grid) - the screen changed
+ *   'ended' ()     - playback reached the end and paused there
+ */
+class CastPlayer extends EventEmitter {
+  /**
+   * @param {Object} recording - From readCastFile()
+   */
+  constructor(recording) {
+    super();
+    this.events = recording.events;
+    this.duration = recording.duration;
+    this.screen = new AnsiScreen(recording.width, recording.height);
+    this.index = 0;  // Next event to apply
+    this.position = 0;  // Seconds into the recording, as of positionTime
+    this.positionTime = 0;  // performance.now() when position was taken
+    this.paused = true;
+    this.speed = 1;
+    this.timer = null;
+    this.recordedDepth = 'gray';  // Richest colors in the recording, found by _buildKeyframes()
+    this.keyframes = this._buildKeyframes();
+    this.colorDepth = this.recordedDepth;  // Depth frames are shown at
+  }
+
+  /**
+   * Show the first frame and start playing
+   */
+  start() {
+    this._goToIndex(this._getIndexAt(0));
+    this.setPaused(false);
+  }
+
+  /**
+   * Stop the playback clock
+   */
+  stop() {
+    this.paused = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Pause or resume
+   * Resuming at the end starts over
+   * @param {boolean} paused - Whether to pause
+   */
+  setPaused(paused) {
+    if (paused === this.paused) return;
+
+    if (paused) {
+      this.position = this.getPosition();
+      this.stop();
+      return;
+    }
+
+    if (this.index >= this.events.length) {
+      this._goToIndex(0);
+      this.position = 0;
+    }
+    this.paused = false;
+    this.positionTime = performance.now();
+    this._scheduleNext();
+  }
+
+  /**
+   * Check whether playback is paused
+   * @returns {boolean}
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Pause and move by output events
+   * @param {number} count - Events to move, negative to go back
+   */
+  step(count) {
+    this.setPaused(true);
+    const index = Math.min(Math.max(this.index + count, 0), this.events.length);
+    this._goToIndex(index);
+    this.position = index > 0 ? this.events[index - 1].time : 0;
+  }
+
+  /**
+   * Move the playback position
+   * @param {number} delta - Seconds to move, negative to go back
+   */
+  seek(delta) {
+    const position = Math.min(Math.max(this.getPosition() + delta, 0), this.duration);
+    this._goToIndex(this._getIndexAt(position));
+    this.position = position;
+    this.positionTime = performance.now();
+
+    if (!this.paused) {
+      clearTimeout(this.timer);
+      this._scheduleNext();
+    }
+  }
+
+  /**
+   * Change the playback speed, keeping the position
+   * @param {number} speed - Speed factor (1 = as recorded)
+   */
+  setSpeed(speed) {
+    this.position = this.getPosition();
+    this.positionTime = performance.now();
+    this.speed = speed;
+
+    if (!this.paused) {
+      clearTimeout(this.timer);
+      this._scheduleNext();
+    }
+  }
+
+  /**
+   * Get the playback position
+   * @returns {number} Seconds into the recording
+   */
+  getPosition() {
+    if (this.paused) return this.position;
+    const elapsed = ((performance.now() - this.positionTime) / 1000) * this.speed;
+    return Math.min(this.position + elapsed, this.duration);
+  }
+
+  /**
+   * Get the playback state for the status bar
+   * @returns {Object} { position, duration, paused, speed }
+   */
+  getPlayback() {
+    return {
+      position: this.getPosition(),
+      duration: this.duration,
+      paused: this.paused,
+      speed: this.speed
+    };
+  }
+
+  /**
+   * Change the color depth frames are shown at
+   * @param {string} colorDepth - 'gray', '256' or 'truecolor'
+   */
+  setColorDepth(colorDepth) {
+    this.colorDepth = colorDepth;
+    this._emitFrame();
+  }
+
+  /**
+   * Wait for the next event to fall due
+   * @private
+   */
+  _scheduleNext() {
+    if (this.index >= this.events.length) {
+      this.position = this.duration;
+      this.stop();
+      this.emit('ended');
+      return;
+    }
+
+    const wait = (this.events[this.index].time - this.getPosition()) / this.speed;
+    this.timer = setTimeout(() => this._tick(), Math.max(0, wait * 1000));
+  }
+
+  /**
+   * Apply the events that are due and show the result
+   * @private
+   */
+  _tick() {
+    if (this.paused) return;
+
+    const position = this.getPosition();
+    while (this.index < this.events.length && this.events[this.index].time <= position) {
+      this._apply(this.events[this.index++]);
+    }
+
+    this._emitFrame();
+    this._scheduleNext();
+  }
+
+  /**
+   * Emit the screen as a frame
+   * @private
+   */
+  _emitFrame() {
+    const grid = this.screen.snapshot();
+    grid.colorDepth = this.colorDepth;
+    this.emit('frame', grid);
+  }
+
+  /**
+   * Put the screen in the state after the events before an index, and show it
+   * @param {number} index - Number of events applied
+   * @private
+   */
+  _goToIndex(index) {
+    // The nearest stored screen at or before the index, unless going forward from here is shorter
+    let keyframe = this.keyframes[0];
+    for (const candidate of this.keyframes) {
+      if (candidate.index > index) break;
+      keyframe = candidate;
+    }
+
+    if (index < this.index || keyframe.index > this.index) {
+      this.screen.restore(keyframe.grid, keyframe.state);
+      this.index = keyframe.index;
+    }
+
+    while (this.index < index) {
+      this._apply(this.events[this.index++]);
+    }
+    this._emitFrame();
+  }
+
+  /**
+   * Get the number of events due at a position
+   * @param {number} position - Seconds into the recording
+   * @returns {number}
+   * @private
+   */
+  _getIndexAt(position) {
+    let low = 0;
+    let high = this.events.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.events[middle].time <= position) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Run the recording once, storing the screen every KEYFRAME_INTERVAL seconds
+   * @returns {Array<Object>} { index, grid, state } in index order
+   * @private
+   */
+  _buildKeyframes() {
+    const keyframes = [];
+    let nextTime = 0;
+
+    for (let index = 0; index <= this.events.length; index++) {
+      const event = this.events[index];
+      if (!event || event.time >= nextTime) {
+        keyframes.push({ index, grid: this.screen.snapshot(), state: this.screen.getState() });
+        nextTime = (event ? event.time : 0) + KEYFRAME_INTERVAL;
+      }
+      if (event) {
+        this._apply(event);
+      }
+    }
+
+    // Every frame is shown at the depth of the richest colors in the recording
+    this.recordedDepth = this.screen.colorDepth;
+
+    const [first] = keyframes;
+    this.screen.restore(first.grid, first.state);
+    return keyframes;
+  }
+
+  /**
+   * Apply one event to the screen
+   * @param {Object} event - { type, data }
+   * @private
+   */
+  _apply(event) {
+    if (event.type === 'o') {
+      this.screen.write(event.data);
+      return;
+    }
+
+    const match = /^(\d+)x(\d+)$/.exec(event.data);
+    if (match) {
+      this.screen.resize(Number(match[1]), Number(match[2]));
+    }
+  }
+}
+
+export default CastPlayer;
@@ -0,0 +1,37 @@
+import path from 'path';
+
+/**
+ * Playback speeds offered by the player, slowest first
+ */
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Get the next slower or faster playback speed
+ * @param {number} speed - Current speed
+ * @param {number} direction - +1 for faster, -1 for slower
+ * @returns {number} New speed, unchanged at either end
+ */
+export function getNextSpeed(speed, direction) {
+  const index = PLAYBACK_SPEEDS.indexOf(speed);
+  const next = Math.min(Math.max(index + direction, 0), PLAYBACK_SPEEDS.length - 1);
+  return PLAYBACK_SPEEDS[next];
+}
+
+/**
+ * Format a speed for the status bar and notifications
+ * @param {number} speed - Playback speed
+ * @returns {string} e.g. "0.25×" or "2×"
+ */
+export function formatSpeed(speed) {
+  return `${speed}×`;
+}
+
+/**
+ * Check whether a recording is an asciinema file
+ * Anything else is played as video through FFmpeg
+ * @param {string} filepath - Recording path
+ * @returns {boolean}
+ */
+export function isCastFile(filepath) {
+  return path.extname(filepath).toLowerCase() === '.cast';
+}
@@ -0,0 +1,198 @@
+import path from 'path';
+import Screen from '../ui/screen.js';
+import Controls from '../ui/controls.js';
+import CastPlayer from './cast-player.js';
+import { readCastFile } from './cast-file.js';
+import { getNextSpeed, formatSpeed } from './playback.js';
+import { COLOR_DEPTHS, COLOR_DEPTH_LABELS } from '../renderer/ansi.js';
+import { defaultOptions } from '../cli.js';
+
+// How often the status bar follows the playback position
+const STATS_INTERVAL = 1000;
+
+/**
+ * Player for asciinema recordings ("play <file.cast>")
+ *
+ * Shows the recording in the usual UI: frames come from a CastPlayer
+ * instead of the capture and renderer, and go through Screen.updateVideo()
+ * like live ones. A .cast file holds rendered text, so only the controls
+ * that make sense on text are offered: playback, and the color depth the
+ * frames are shown at. Camera recordings keep their pixels and play in the
+ * full app instead (see index.js).
+ */
+class PlayerApp {
+  /**
+   * @param {Object} options - Application options, as returned by parseArgs()
+   */
+  constructor(options = defaultOptions) {
+    this.options = options;
+    this.filepath = path.resolve(options.play);
+    this.screen = new Screen();
+    this.controls = null;
+    this.player = null;
+    this.isRunning = false;
+    this.statsTimer = null;
+    this.frameCount = 0;  // Frames shown since the last stats update
+    this.recordingFps = 0;  // Output events per second of recording
+    this.dimensions = { width: 0, height: 0 };
+  }
+
+  /**
+   * Open the recording and start playing it
+   */
+  async start() {
+    let recording;
+    try {
+      recording = await readCastFile(this.filepath);
+    } catch (error) {
+      console.error(`Failed to open recording: ${error.message}`);
+      process.exit(1);
+    }
+
+    this.player = new CastPlayer(recording);
+    this.recordingFps = recording.duration > 0 ? recording.events.length / recording.duration : 0;
+
+    this.screen.initialize();
+    const blessedScreen = this.screen.getScreen();
+
+    this.controls = new Controls(blessedScreen);
+    this.controls.setup({
+      onQuit: () => this.quit(),
+      onTogglePause: () => this.togglePause(),
+      onStep: (count) => this.stepFrame(count),
+      onSeek: (delta) => this.seek(delta),
+      onChangeSpeed: (direction) => this.changeSpeed(direction),
+      onCycleColor: () => this.cycleColorDepth()
+    });
+
+    blessedScreen.on('help-toggle', () => {
+      this.screen.toggleHelp(this.controls.getHelpText());
+    });
+
+    this.player.on('frame', (grid) => this.onFrame(grid));
+    this.player.on('ended', () => {
+      this._updatePlayback();
+      this.screen.showNotification('Playback finished', 3000);
+    });
+
+    this.screen.updateStats({
+      captureMode: 'cast',
+      colorDepth: this.player.colorDepth,
+      renderMode: recording.title || path.basename(this.filepath)
+    });
+
+    this.isRunning = true;
+    this.player.start();
+    this.statsTimer = setInterval(() => this._updateStats(), STATS_INTERVAL);
+    this._updatePlayback();
+  }
+
+  /**
+   * Show a frame of the recording
+   * @param {CellGrid} grid - Screen of the recording
+   */
+  onFrame(grid) {
+    if (!this.isRunning) return;
+    this.frameCount++;
+    this.dimensions = { width: grid.width, height: grid.height };
+    this.screen.updateVideo(grid);
+  }
+
+  /**
+   * Pause or resume playback
+   */
+  togglePause() {
+    this.player.setPaused(!this.player.isPaused());
+    this._updatePlayback();
+  }
+
+  /**
+   * Step by frames, pausing playback
+   * @param {number} count - Frames to move, negative to go back
+   */
+  stepFrame(count) {
+    this.player.step(count);
+    this._updatePlayback();
+  }
+
+  /**
+   * Move the playback position
+   * @param {number} delta - Seconds to move
+   */
+  seek(delta) {
+    this.player.seek(delta);
+    this._updatePlayback();
+  }
+
+  /**
+   * Make playback slower or faster
+   * @param {number} direction - +1 for faster, -1 for slower
+   */
+  changeSpeed(direction) {
+    const speed = getNextSpeed(this.player.speed, direction);
+    if (speed === this.player.speed) return;
+
+    this.player.setSpeed(speed);
+    this.screen.updateStats({
+      targetFps: Math.round(this.recordingFps * speed),
+      playback: this.player.getPlayback()
+    });
+    this.screen.showNotification(`Speed: ${formatSpeed(speed)}`);
+  }
+
+  /**
+   * Cycle the color depth frames are shown at
+   */
+  cycleColorDepth() {
+    const index = COLOR_DEPTHS.indexOf(this.player.colorDepth);
+    const colorDepth = COLOR_DEPTHS[(index + 1) % COLOR_DEPTHS.length];
+
+    this.player.setColorDepth(colorDepth);
+    this.screen.updateStats({ colorDepth });
+    this.screen.showNotification(`Color: ${COLOR_DEPTH_LABELS[colorDepth]}`);
+  }
+
+  /**
+   * Show the playback state in the status bar
+   * @private
+   */
+  _updatePlayback() {
+    this.screen.updateStats({ playback: this.player.getPlayback() });
+  }
+
+  /**
+   * Update the frame rate, size and position in the status bar
+   * @private
+   */
+  _updateStats() {
+    if (!this.isRunning) return;
+
+    const playback = this.player.getPlayback();
+    this.screen.updateStats({
+      fps: Math.round((this.frameCount * 1000) / STATS_INTERVAL),
+      targetFps: Math.round(this.recordingFps * playback.speed),
+      dimensions: this.dimensions,
+      outputRate: this.screen.takeOutputRate(),
+      playback
+    });
+    this.frameCount = 0;
+  }
+
+  /**
+   * Stop playback and restore the terminal
+   * @param {number} exitCode - Process exit code
+   */
+  async quit(exitCode = 0) {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    clearInterval(this.statsTimer);
+    if (this.player) {
+      this.player.stop();
+    }
+    this.screen.destroy();
+    process.exit(exitCode);
+  }
+}
+
+export default PlayerApp;
@@ -0,0 +1,140 @@
+import { EventEmitter } from 'events';
+import { createWriteStream } from 'fs';
+import VideoOutput from '../ui/video-output.js';
+import Bitmap from '../renderer/bitmap.js';
+
+/**
+ * Records rendered frames to an asciinema v2 .cast file
+ *
+ * The file is a JSON header line followed by one JSON event per line,
+ * [seconds, 'o', text], replayed by asciinema players as terminal output.
+ * Frames are written the way VideoOutput sends them to the terminal, so
+ * only the cells that changed since the previous frame are stored and a
+ * still scene costs almost nothing. A change of grid size becomes a resize
+ * event ('r') followed by a full frame.
+ *
+ * Only text frames can be recorded; inline graphics frames are skipped.
+ *
+ * Events:
+ *   'error' (error) - the file could not be written; recording has stopped
+ */
+class AsciicastRecorder extends EventEmitter {
+  /**
+   * @param {string} filepath - Where to write the recording
+   * @param {Object} options - { title: shown by players (optional) }
+   */
+  constructor(filepath, options = {}) {
+    super();
+    this.filepath = filepath;
+    this.title = options.title || null;
+    this.stream = null;
+    this.startTime = 0;  // performance.now() when recording started
+    this.bytes = 0;
+    this.size = null;  // Grid size of the last frame { width, height }
+    this.pending = '';
+    this.output = new VideoOutput({ _write: (data) => { this.pending += data; } });
+  }
+
+  /**
+   * Open the file and start the clock
+   * The header is written with the first frame, once the size is known
+   */
+  start() {
+    this.stream = createWriteStream(this.filepath);
+    this.stream.on('error', (error) => {
+      this.stream = null;
+      this.emit('error', error);
+    });
+    this.startTime = performance.now();
+  }
+
+  /**
+   * Record a frame, timed now
+   * @param {CellGrid|Bitmap} frame - Frame as handed to the display
+   */
+  writeFrame(frame) {
+    if (!this.stream || !frame || frame instanceof Bitmap) return;
+
+    const time = (performance.now() - this.startTime) / 1000;
+    const { width, height } = frame;
+    let prefix = '';
+
+    if (!this.size) {
+      this._writeLine({
+        version: 2,
+        width,
+        height,
+        timestamp: Math.floor(Date.now() / 1000),
+        ...(this.title ? { title: this.title } : {}),
+        env: { TERM: process.env.TERM || 'xterm-256color', SHELL: process.env.SHELL || '' }
+      });
+      prefix = '\x1b[?25l\x1b[2J';
+    } else if (width !== this.size.width || height !== this.size.height) {
+      this._writeEvent(time, 'r', `${width}x${height}`);
+      this.output.invalidate();
+      prefix = '\x1b[2J';
+    }
+    this.size = { width, height };
+
+    this.pending = '';
+    this.output.write(frame, { left: 0, top: 0, width, height });
+    if (prefix || this.pending) {
+      this._writeEvent(time, 'o', prefix + this.pending);
+    }
+  }
+
+  /**
+   * Finish the file
+   * @returns {Promise<Object>} { filepath, duration in seconds, bytes }
+   */
+  async stop() {
+    const summary = { filepath: this.filepath, duration: this.getElapsed(), bytes: this.bytes };
+    const stream = this.stream;
+    this.stream = null;
+
+    if (stream) {
+      await new Promise((resolve) => stream.end(resolve));
+    }
+    return summary;
+  }
+
+  /**
+   * Check whether frames are being recorded
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.stream !== null;
+  }
+
+  /**
+   * Get the time since recording started
+   * @returns {number} Seconds
+   */
+  getElapsed() {
+    return (performance.now() - this.startTime) / 1000;
+  }
+
+  /**
+   * Write an event line
+   * @param {number} time - Seconds since the start
+   * @param {string} type - 'o' for output, 'r' for resize
+   * @param {string} data - Event data
+   * @private
+   */
+  _writeEvent(time, type, data) {
+    this._writeLine([Number(time.toFixed(6)), type, data]);
+  }
+
+  /**
+   * Write one JSON line to the file
+   * @param {*} value - Header or event
+   * @private
+   */
+  _writeLine(value) {
+    const line = JSON.stringify(value) + '\n';
+    this.bytes += Buffer.byteLength(line);
+    this.stream.write(line);
+  }
+}
+
+export default AsciicastRecorder;
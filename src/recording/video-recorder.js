@@ -0,0 +1,304 @@
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+import sharp from 'sharp';
+import { toRgb, fromRgb, getFrameSize } from '../utils/pixels.js';
+import { computeViewport, sampleViewport } from '../utils/viewport.js';
+
+/**
+ * Video codecs for camera recordings
+ * encoderArgs() turns the quality setting (CRF, lower is better) into FFmpeg
+ * output options; containers lists what the codec can be stored in, the
+ * first one being the default
+ */
+export const videoCodecs = [
+  {
+    name: 'h264',
+    label: 'H.264',
+    containers: ['mp4', 'mkv'],
+    encoderArgs: (quality) => ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', String(quality)]
+  },
+  {
+    name: 'h265',
+    label: 'H.265',
+    containers: ['mp4', 'mkv'],
+    // hvc1 is the tag Apple players want in MP4
+    encoderArgs: (quality) => [
+      '-c:v', 'libx265', '-preset', 'fast', '-crf', String(quality), '-tag:v', 'hvc1'
+    ]
+  },
+  {
+    name: 'vp9',
+    label: 'VP9',
+    containers: ['mp4', 'mkv'],
+    encoderArgs: (quality) => [
+      '-c:v', 'libvpx-vp9', '-deadline', 'realtime', '-cpu-used', '8', '-crf', String(quality), '-b:v', '0'
+    ]
+  },
+  {
+    name: 'ffv1',
+    label: 'FFV1 (lossless)',
+    containers: ['mkv'],
+    encoderArgs: () => ['-c:v', 'ffv1']
+  }
+];
+
+export const VIDEO_FORMATS = ['mp4', 'mkv'];
+
+export const VIDEO_QUALITY_RANGE = { min: 0, max: 51, default: 23 };
+
+// Time FFmpeg gets to finish the file after its input is closed
+const FINALIZE_TIMEOUT = 10000;
+
+// Lines of FFmpeg stderr kept for error reports
+const STDERR_HISTORY = 20;
+
+/**
+ * Find a video codec by name
+ * @param {string} name - Codec name
+ * @returns {Object|undefined}
+ */
+export function getVideoCodec(name) {
+  return videoCodecs.find(codec => codec.name === name);
+}
+
+/**
+ * Records the camera frames to a video file through a second FFmpeg process
+ *
+ * It is fed the capture's 'nativeframe' events, so the camera is opened
+ * only once: with FFmpeg capture these are the camera's frames at its own
+ * resolution and in color, from a second output ahead of the scaling for
+ * the terminal (see HybridCapture.setNativeOutput). Frames are sent as they
+ * arrive and timed by the wall clock, so the video plays at the speed it was
+ * captured.
+ *
+ * The size and pixel format are fixed by the first frame. Frames of that
+ * shape go to the encoder as they are; others (after switching cameras) are
+ * fitted into it, letterboxed. Frames with non-square pixels (the test
+ * pattern is drawn in cell-shaped pixels) are scaled to square ones.
+ *
+ * Frames are dropped rather than queued while the encoder is behind.
+ *
+ * Events:
+ *   'error' (error) - FFmpeg failed; recording has stopped
+ */
+class VideoRecorder extends EventEmitter {
+  /**
+   * @param {string} filepath - Output file; the extension picks the container
+   * @param {Object} options - Recording options
+   * @param {string} options.codec - Codec name (default h264)
+   * @param {number} options.quality - CRF, lower is better (default 23)
+   * @param {Function} options.getPixelAspect - Returns the height/width ratio of the
+   *   pixels of incoming frames (default: square)
+   */
+  constructor(filepath, options = {}) {
+    super();
+    this.filepath = filepath;
+    this.codec = getVideoCodec(options.codec || 'h264');
+    this.quality = options.quality ?? VIDEO_QUALITY_RANGE.default;
+    this.getPixelAspect = options.getPixelAspect || (() => 1);
+    this.ffmpeg = null;
+    this.isRecording = false;
+    this.size = null;  // Encoder input { width, height, format, pixelAspect }, from the first frame
+    this.busy = false;  // A frame is being prepared or the encoder's input is full
+    this.startTime = 0;
+    this.frames = 0;
+    this.droppedFrames = 0;
+    this.stderrLines = [];
+    this.closed = null;  // Resolves when FFmpeg exits
+  }
+
+  /**
+   * Start recording; FFmpeg starts with the first frame
+   */
+  start() {
+    this.isRecording = true;
+    this.startTime = performance.now();
+  }
+
+  /**
+   * Record a frame
+   * @param {Object} frame - Frame from a FrameSource
+   */
+  writeFrame(frame) {
+    if (!this.isRecording) return;
+    if (this.busy) {
+      this.droppedFrames++;
+      return;
+    }
+
+    this.busy = true;
+    this._getPixels(frame).then((pixels) => {
+      if (!this.isRecording) {
+        this.busy = false;
+        return;
+      }
+
+      if (!this.ffmpeg) {
+        this._spawn();
+      }
+      this.frames++;
+      // With FFmpeg's input full, stay busy until it drains
+      this.busy = !this.ffmpeg.stdin.write(pixels);
+    }).catch((error) => {
+      this.busy = false;
+      this._fail(error);
+    });
+  }
+
+  /**
+   * Stop recording and let FFmpeg finish the file
+   * @returns {Promise<Object>} { filepath, duration in seconds, frames, droppedFrames }
+   */
+  async stop() {
+    const summary = {
+      filepath: this.filepath,
+      duration: this.getElapsed(),
+      frames: this.frames,
+      droppedFrames: this.droppedFrames
+    };
+    this.isRecording = false;
+
+    const ffmpeg = this.ffmpeg;
+    if (ffmpeg) {
+      ffmpeg.stdin.end();
+      const timer = setTimeout(() => ffmpeg.kill('SIGTERM'), FINALIZE_TIMEOUT);
+      await this.closed;
+      clearTimeout(timer);
+    }
+    return summary;
+  }
+
+  /**
+   * Get the time since recording started
+   * @returns {number} Seconds
+   */
+  getElapsed() {
+    return (performance.now() - this.startTime) / 1000;
+  }
+
+  /**
+   * Get a frame's pixels in the encoder's input size and format
+   * The first frame decides both
+   * @param {Object} frame - Frame from a FrameSource
+   * @returns {Promise<Buffer>} Frame data for the encoder
+   * @private
+   */
+  async _getPixels(frame) {
+    let { width, height, format } = frame;
+    let pixels;
+    let pixelAspect = 1;
+
+    if (format === 'jpeg') {
+      ({ data: pixels, info: { width, height } } = await sharp(frame.data)
+        .removeAlpha()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true }));
+      format = 'rgb24';
+    } else {
+      pixels = frame.data.subarray(0, getFrameSize(format, width, height));
+      pixelAspect = this.getPixelAspect();
+    }
+
+    if (!this.size) {
+      // Most encoders need even sizes
+      this.size = {
+        width: Math.max(2, width - (width % 2)),
+        height: Math.max(2, height - (height % 2)),
+        format,
+        pixelAspect
+      };
+    }
+
+    const size = this.size;
+    if (width === size.width && height === size.height && format === size.format &&
+        pixelAspect === size.pixelAspect) {
+      // Copied: raw frames live in the capture's reused buffers, which newer
+      // frames overwrite while this one may still wait in the pipe
+      return Buffer.from(pixels);
+    }
+
+    // Only the ratio of the two pixel shapes matters for fitting
+    const viewport = computeViewport(width, height, size.width, size.height, {
+      mode: 'fit',
+      cellAspect: size.pixelAspect / pixelAspect
+    });
+    const rgb = format === 'rgb24' ? pixels : toRgb(pixels, format, width, height);
+    const fitted = sampleViewport(rgb, width, size.width, size.height, viewport, 3);
+    return fromRgb(fitted, size.format, size.width, size.height);
+  }
+
+  /**
+   * Start the encoder for the recording's size
+   * @private
+   */
+  _spawn() {
+    const { width, height, format, pixelAspect } = this.size;
+    // Output in square pixels, rounded to even sizes
+    const outputHeight = Math.max(2, Math.round((height * pixelAspect) / 2) * 2);
+
+    const args = [
+      '-hide_banner', '-loglevel', 'error', '-y',
+      '-f', 'rawvideo',
+      '-pix_fmt', format,
+      '-s', `${width}x${height}`,
+      '-use_wallclock_as_timestamps', '1',
+      '-i', '-',
+      '-vf', `scale=${width}:${outputHeight},setsar=1`,
+      ...this.codec.encoderArgs(this.quality),
+      '-pix_fmt', this.codec.name === 'ffv1' ? 'yuv444p' : 'yuv420p',
+      '-vsync', 'vfr',
+      this.filepath
+    ];
+
+    const ffmpeg = spawn('ffmpeg', args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    this.ffmpeg = ffmpeg;
+
+    ffmpeg.stderr.on('data', (data) => {
+      const lines = data.toString().split('\n').map(line => line.trim()).filter(Boolean);
+      this.stderrLines = [...this.stderrLines, ...lines].slice(-STDERR_HISTORY);
+    });
+
+    ffmpeg.stdin.on('drain', () => {
+      this.busy = false;
+    });
+    // Write errors show up as the process exiting
+    ffmpeg.stdin.on('error', () => {});
+
+    this.closed = new Promise((resolve) => {
+      let exited = false;
+      const onExit = (code, error) => {
+        if (exited) return;
+        exited = true;
+        this.ffmpeg = null;
+        resolve();
+
+        if (error || (code !== 0 && this.isRecording)) {
+          const reason = error
+            ? (error.code === 'ENOENT' ? 'ffmpeg not found' : error.message)
+            : this.stderrLines.at(-1) || `ffmpeg exited with code ${code}`;
+          this._fail(new Error(reason));
+        }
+      };
+
+      ffmpeg.on('error', (error) => onExit(null, error));
+      ffmpeg.on('close', (code) => onExit(code, null));
+    });
+  }
+
+  /**
+   * Stop recording after an error
+   * @param {Error} error - What went wrong
+   * @private
+   */
+  _fail(error) {
+    if (!this.isRecording) return;
+    this.isRecording = false;
+    if (this.ffmpeg) {
+      this.ffmpeg.kill('SIGTERM');
+    }
+    this.emit('error', error);
+  }
+}
+
+export default VideoRecorder;
@@ -0,0 +1,132 @@
+/**
+ * Image adjustments applied before pixels are mapped to characters
+ *
+ * Every adjustment is a function of a pixel's own value, so together they
+ * collapse into one 256-entry lookup table and cost one array read per
+ * byte. Order: levels (auto stretch or histogram equalization, recomputed
+ * per frame), then contrast, brightness, gamma and finally invert.
+ *
+ *   brightness - offset, -1 to 1 (fraction of full scale)
+ *   contrast   - gain around mid-gray, 0.1 to 4
+ *   gamma      - above 1 lifts shadows, below 1 darkens them, 0.2 to 5
+ *   invert     - swap dark and light
+ *   levels     - 'off', 'auto' (stretch to the full range) or 'equalize'
+ */
+
+export const LEVELS_MODES = ['off', 'auto', 'equalize'];
+
+export const DEFAULT_ADJUSTMENTS = {
+  brightness: 0,
+  contrast: 1,
+  gamma: 1,
+  invert: false,
+  levels: 'off'
+};
+
+// Range and key step of the numeric adjustments
+export const ADJUSTMENT_RANGES = {
+  brightness: { min: -1, max: 1, step: 0.05 },
+  contrast: { min: 0.1, max: 4, step: 0.1 },
+  gamma: { min: 0.2, max: 5, step: 0.1 }
+};
+
+// Share of the darkest and brightest pixels auto levels ignores
+const AUTO_LEVELS_CLIP = 0.005;
+
+/**
+ * Clamp a numeric adjustment to its range, rounded to its step
+ * @param {string} name - 'brightness', 'contrast' or 'gamma'
+ * @param {number} value - Requested value
+ * @returns {number} Valid value
+ */
+export function clampAdjustment(name, value) {
+  const { min, max, step } = ADJUSTMENT_RANGES[name];
+  const snapped = Number((Math.round(value / step) * step).toFixed(4));
+  return Math.min(max, Math.max(min, snapped));
+}
+
+/**
+ * Check whether adjustments leave every pixel unchanged
+ * @param {Object} adjustments - Adjustment values
+ * @returns {boolean}
+ */
+export function isIdentity(adjustments) {
+  return adjustments.brightness === 0 && adjustments.contrast === 1 &&
+    adjustments.gamma === 1 && !adjustments.invert && adjustments.levels === 'off';
+}
+
+/**
+ * Build the lookup table for brightness, contrast, gamma and invert
+ * @param {Object} adjustments - Adjustment values
+ * @returns {Uint8Array} Output value per input value (256 entries)
+ */
+export function buildToneTable(adjustments) {
+  const { brightness, contrast, gamma, invert } = adjustments;
+  const table = new Uint8Array(256);
+
+  for (let value = 0; value < 256; value++) {
+    let output = (value - 128) * contrast + 128 + brightness * 255;
+    output = Math.max(0, Math.min(255, output));
+    output = 255 * Math.pow(output / 255, 1 / gamma);
+    if (invert) output = 255 - output;
+    table[value] = Math.round(output);
+  }
+
+  return table;
+}
+
+/**
+ * Build the levels table for one frame from its brightness histogram
+ * Pure black is left out of the histogram: letterbox bars would otherwise
+ * dominate it
+ * @param {Uint32Array} histogram - Pixel count per brightness (256 entries)
+ * @param {string} mode - 'auto' or 'equalize'
+ * @returns {Uint8Array|null} Output value per input value, or null for an empty histogram
+ */
+export function buildLevelsTable(histogram, mode) {
+  let total = 0;
+  for (let value = 1; value < 256; value++) total += histogram[value];
+  if (total === 0) return null;
+
+  const table = new Uint8Array(256);
+
+  if (mode === 'equalize') {
+    let cumulative = 0;
+    for (let value = 1; value < 256; value++) {
+      cumulative += histogram[value];
+      table[value] = Math.round((cumulative / total) * 255);
+    }
+    return table;
+  }
+
+  // auto: stretch the range between the clipped darkest and brightest pixels
+  const clip = total * AUTO_LEVELS_CLIP;
+  let low = 1;
+  let high = 255;
+  for (let seen = 0; low < 255 && seen + histogram[low] <= clip; low++) seen += histogram[low];
+  for (let seen = 0; high > low && seen + histogram[high] <= clip; high--) seen += histogram[high];
+
+  const range = Math.max(1, high - low);
+  for (let value = 1; value < 256; value++) {
+    table[value] = Math.max(0, Math.min(255, Math.round(((value - low) / range) * 255)));
+  }
+  return table;
+}
+
+/**
+ * Describe non-default adjustments for the status bar
+ * @param {Object} adjustments - Adjustment values
+ * @returns {string|null} e.g. "B+0.2 C1.5 G1.8 inv eq", or null if nothing is adjusted
+ */
+export function formatAdjustments(adjustments) {
+  const { brightness, contrast, gamma, invert, levels } = adjustments;
+  const parts = [];
+
+  if (brightness !== 0) parts.push(`B${brightness > 0 ? '+' : ''}${brightness}`);
+  if (contrast !== 1) parts.push(`C${contrast}`);
+  if (gamma !== 1) parts.push(`G${gamma}`);
+  if (invert) parts.push('inv');
+  if (levels !== 'off') parts.push(levels === 'auto' ? 'auto' : 'eq');
+
+  return parts.length > 0 ? parts.join(' ') : null;
+}
@@ -0,0 +1,167 @@
+/**
+ * ANSI color helpers
+ *
+ * Colors are packed as 0xRRGGBB integers, with -1 meaning the video box's
+ * default style (white on black). Color depths:
+ *   gray      - colors reduced to the xterm gray ramp; cells without a color
+ *               (plain ASCII rendering) need no escapes at all
+ *   256       - xterm-256 palette (38;5;n / 48;5;n)
+ *   truecolor - 24-bit color (38;2;r;g;b / 48;2;r;g;b)
+ */
+
+const COLOR_DEPTHS = ['gray', '256', 'truecolor'];
+
+const COLOR_DEPTH_LABELS = {
+  gray: 'Gray',
+  256: '256 colors',
+  truecolor: 'Truecolor'
+};
+
+// Intensities of the 6x6x6 xterm color cube
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+// Palette indices memoised per 15-bit color (5 bits per channel)
+let palette256 = null;
+
+// Gray ramp palette index per luma value
+let grayPalette = null;
+
+/**
+ * Pick the color depth the terminal advertises
+ * COLORTERM=truecolor/24bit means 24-bit, a *256color TERM means 256 colors
+ * @param {Object} env - Environment (default process.env)
+ * @returns {string} 'truecolor', '256' or 'gray'
+ */
+function detectColorDepth(env = process.env) {
+  if (/truecolor|24bit/i.test(env.COLORTERM || '')) {
+    return 'truecolor';
+  }
+  if (/256/.test(env.TERM || '')) {
+    return '256';
+  }
+  return 'gray';
+}
+
+/**
+ * Map a color to the nearest xterm-256 palette entry
+ * Only the cube (16-231) and gray ramp (232-255) are used; the first 16
+ * colors vary between terminal themes
+ * @param {number} color - 0xRRGGBB
+ * @returns {number} Palette index
+ */
+function rgbToAnsi256(color) {
+  if (!palette256) {
+    palette256 = new Int16Array(32768).fill(-1);
+  }
+
+  const key = ((color >> 9) & 0x7c00) | ((color >> 6) & 0x3e0) | ((color >> 3) & 0x1f);
+  if (palette256[key] === -1) {
+    palette256[key] = nearestAnsi256((color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff);
+  }
+  return palette256[key];
+}
+
+/**
+ * Find the closest palette entry by squared distance
+ * @private
+ */
+function nearestAnsi256(r, g, b) {
+  const cubeIndex = (value) => (value < 48 ? 0 : value < 115 ? 1 : Math.floor((value - 35) / 40));
+
+  const ri = cubeIndex(r);
+  const gi = cubeIndex(g);
+  const bi = cubeIndex(b);
+  const cubeDistance = distance(r, g, b, CUBE_LEVELS[ri], CUBE_LEVELS[gi], CUBE_LEVELS[bi]);
+
+  const average = (r + g + b) / 3;
+  const grayIndex = Math.min(23, Math.max(0, Math.round((average - 8) / 10)));
+  const grayLevel = 8 + grayIndex * 10;
+  const grayDistance = distance(r, g, b, grayLevel, grayLevel, grayLevel);
+
+  return grayDistance < cubeDistance
+    ? 232 + grayIndex
+    : 16 + 36 * ri + 6 * gi + bi;
+}
+
+function distance(r1, g1, b1, r2, g2, b2) {
+  return (r1 - r2) ** 2 + (g1 - g2) ** 2 + (b1 - b2) ** 2;
+}
+
+/**
+ * Map a color to the nearest gray in the palette by its luma
+ * Uses the 24-step ramp (232-255) plus the cube's black (16) and white (231)
+ * @param {number} color - 0xRRGGBB
+ * @returns {number} Palette index
+ */
+function rgbToAnsiGray(color) {
+  if (!grayPalette) {
+    grayPalette = new Uint8Array(256);
+    for (let luma = 0; luma < 256; luma++) {
+      grayPalette[luma] = nearestAnsi256(luma, luma, luma);
+    }
+  }
+
+  const luma = ((((color >> 16) & 0xff) * 77) + (((color >> 8) & 0xff) * 150) + ((color & 0xff) * 29)) >> 8;
+  return grayPalette[luma];
+}
+
+/**
+ * Get the color of an xterm-256 cube or gray ramp entry
+ * @param {number} index - Palette index (16-255)
+ * @returns {number} 0xRRGGBB
+ */
+function ansi256ToRgb(index) {
+  if (index >= 232) {
+    const level = 8 + (index - 232) * 10;
+    return (level << 16) | (level << 8) | level;
+  }
+
+  const cube = index - 16;
+  return (CUBE_LEVELS[Math.floor(cube / 36)] << 16) |
+    (CUBE_LEVELS[Math.floor(cube / 6) % 6] << 8) |
+    CUBE_LEVELS[cube % 6];
+}
+
+/**
+ * Reduce a color to what the depth can show, so unchanged output can be
+ * detected by comparing codes
+ * @param {number} color - 0xRRGGBB, or -1 for the default
+ * @param {string} depth - Color depth
+ * @returns {number} Color (truecolor), palette index (256 and gray) or -1
+ */
+function quantizeColor(color, depth) {
+  if (color < 0) return -1;
+  if (depth === 'gray') return rgbToAnsiGray(color);
+  return depth === '256' ? rgbToAnsi256(color) : color;
+}
+
+/**
+ * Get the SGR parameters for a quantized color
+ * @param {number} code - From quantizeColor()
+ * @param {string} depth - Color depth
+ * @param {boolean} background - Background instead of foreground
+ * @returns {string} SGR parameters, without ESC [ and m
+ */
+function sgrColor(code, depth, background) {
+  if (code < 0) {
+    // The video box's default style
+    return background ? '40' : '37';
+  }
+
+  const prefix = background ? '48' : '38';
+  if (depth !== 'truecolor') {
+    return `${prefix};5;${code}`;
+  }
+  return `${prefix};2;${(code >> 16) & 0xff};${(code >> 8) & 0xff};${code & 0xff}`;
+}
+
+export {
+  COLOR_DEPTHS,
+  COLOR_DEPTH_LABELS,
+  detectColorDepth,
+  rgbToAnsi256,
+  rgbToAnsiGray,
+  ansi256ToRgb,
+  quantizeColor,
+  sgrColor
+};
@@ -0,0 +1,25 @@
+/**
+ * A frame of pixels for the inline graphics outputs (see graphics.js)
+ * The counterpart of CellGrid: converters produce one instead of a grid
+ * when a graphics protocol is active, covering cols x rows terminal cells.
+ */
+class Bitmap {
+  /**
+   * @param {Buffer} pixels - Grayscale (1 channel) or RGB (3 channels) pixels, row-major
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @param {number} channels - Bytes per pixel
+   * @param {number} cols - Columns covered on screen
+   * @param {number} rows - Rows covered on screen
+   */
+  constructor(pixels, width, height, channels, cols, rows) {
+    this.pixels = pixels;
+    this.width = width;
+    this.height = height;
+    this.channels = channels;
+    this.cols = cols;
+    this.rows = rows;
+  }
+}
+
+export default Bitmap;
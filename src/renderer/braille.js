@@ -0,0 +1,180 @@
+/**
+ * Braille sub-pixel rendering
+ * Each cell covers a 2x4 block of pixels and shows it as one of the 256
+ * U+2800 dot patterns, so a character carries 8 pixels of detail.
+ *
+ * Dots are set per cell with an adaptive threshold (the block's mean), which
+ * keeps edges and texture visible in both dark and bright areas. Blocks with
+ * almost no local contrast are flat: all dots on or off by global brightness,
+ * so smooth areas do not turn into noise. With a dither mode selected the
+ * dots are dithered to on/off instead, which keeps shading in gradients.
+ */
+
+import { ditherToLevels } from './dither.js';
+
+const BRAILLE_BASE = 0x2800;
+
+// Dot bit for each pixel of the block, indexed [row][column]
+const DOT_BITS = [
+  [0x01, 0x08],
+  [0x02, 0x10],
+  [0x04, 0x20],
+  [0x40, 0x80]
+];
+
+// Below this brightness range (after contrast) a block counts as flat
+const MIN_LOCAL_CONTRAST = 24;
+
+// Contrast lookup table, rebuilt when the contrast changes
+let contrastTable = null;
+let contrastTableValue = null;
+
+/**
+ * Fill a grid from pixels at twice its width and four times its height
+ * @param {CellGrid} grid - Grid to fill (cols x rows)
+ * @param {Buffer} pixels - Pixels (cols*2 x rows*4)
+ * @param {number} channels - 1 for grayscale, 3 for RGB (dots are colored
+ *   with the average of the pixels they stand for)
+ * @param {Object} options - Rendering options
+ * @param {number} options.contrast - Gain around mid-gray applied before
+ *   thresholding (default 1); higher values pick out fainter detail
+ * @param {string} options.dither - Dither mode (see dither.js); 'none' or
+ *   unset uses the adaptive threshold
+ */
+export function renderBraille(grid, pixels, channels, options = {}) {
+  const { width, height, chars, fg } = grid;
+  const pixelWidth = width * 2;
+  const pixelHeight = height * 4;
+  const colored = channels === 3;
+
+  // Brightness plane with the contrast applied
+  const table = getContrastTable(options.contrast || 1);
+  const luma = new Uint8Array(pixelWidth * pixelHeight);
+  for (let i = 0, j = 0; i < luma.length; i++, j += channels) {
+    luma[i] = table[colored
+      ? (pixels[j] * 77 + pixels[j + 1] * 150 + pixels[j + 2] * 29) >> 8
+      : pixels[j]];
+  }
+
+  const dots = options.dither && options.dither !== 'none'
+    ? ditherToLevels(luma, pixelWidth, pixelHeight, 2, options.dither)
+    : null;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const blockStart = y * 4 * pixelWidth + x * 2;
+      const pattern = dots
+        ? getDitheredPattern(dots, blockStart, pixelWidth)
+        : getThresholdPattern(luma, blockStart, pixelWidth);
+
+      const cell = y * width + x;
+      chars[cell] = BRAILLE_BASE + pattern;
+
+      if (colored && pattern !== 0) {
+        fg[cell] = averageDotColor(pixels, x, y, pixelWidth, pattern);
+      }
+    }
+  }
+}
+
+/**
+ * Set the dots of a block above its mean brightness
+ * @param {Uint8Array} luma - Brightness plane
+ * @param {number} blockStart - Index of the block's top-left pixel
+ * @param {number} pixelWidth - Pixel row length
+ * @returns {number} Dot bits
+ * @private
+ */
+function getThresholdPattern(luma, blockStart, pixelWidth) {
+  let min = 255;
+  let max = 0;
+  let sum = 0;
+
+  for (let dy = 0; dy < 4; dy++) {
+    for (let dx = 0; dx < 2; dx++) {
+      const value = luma[blockStart + dy * pixelWidth + dx];
+      sum += value;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+  }
+
+  const mean = sum >> 3;
+  if (max - min < MIN_LOCAL_CONTRAST) {
+    return mean >= 128 ? 0xff : 0;
+  }
+
+  let pattern = 0;
+  for (let dy = 0; dy < 4; dy++) {
+    for (let dx = 0; dx < 2; dx++) {
+      if (luma[blockStart + dy * pixelWidth + dx] > mean) pattern |= DOT_BITS[dy][dx];
+    }
+  }
+  return pattern;
+}
+
+/**
+ * Set the dots of a block that the dither turned on
+ * @param {Uint8Array} dots - Level (0 or 1) per pixel
+ * @param {number} blockStart - Index of the block's top-left pixel
+ * @param {number} pixelWidth - Pixel row length
+ * @returns {number} Dot bits
+ * @private
+ */
+function getDitheredPattern(dots, blockStart, pixelWidth) {
+  let pattern = 0;
+  for (let dy = 0; dy < 4; dy++) {
+    for (let dx = 0; dx < 2; dx++) {
+      if (dots[blockStart + dy * pixelWidth + dx]) pattern |= DOT_BITS[dy][dx];
+    }
+  }
+  return pattern;
+}
+
+/**
+ * Average the RGB of the pixels whose dots are set
+ * @param {Buffer} pixels - RGB pixels
+ * @param {number} x - Cell column
+ * @param {number} y - Cell row
+ * @param {number} pixelWidth - Pixel row length
+ * @param {number} pattern - Dot bits
+ * @returns {number} 0xRRGGBB
+ * @private
+ */
+function averageDotColor(pixels, x, y, pixelWidth, pattern) {
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let count = 0;
+
+  for (let dy = 0; dy < 4; dy++) {
+    for (let dx = 0; dx < 2; dx++) {
+      if (!(pattern & DOT_BITS[dy][dx])) continue;
+
+      const offset = ((y * 4 + dy) * pixelWidth + x * 2 + dx) * 3;
+      r += pixels[offset];
+      g += pixels[offset + 1];
+      b += pixels[offset + 2];
+      count++;
+    }
+  }
+
+  return (Math.round(r / count) << 16) | (Math.round(g / count) << 8) | Math.round(b / count);
+}
+
+/**
+ * Get the brightness mapping for a contrast gain
+ * @param {number} contrast - Gain around mid-gray
+ * @returns {Uint8Array} Adjusted value per brightness (256 entries)
+ * @private
+ */
+function getContrastTable(contrast) {
+  if (contrastTableValue !== contrast) {
+    contrastTable = new Uint8Array(256);
+    for (let value = 0; value < 256; value++) {
+      contrastTable[value] = Math.max(0, Math.min(255, Math.round((value - 128) * contrast + 128)));
+    }
+    contrastTableValue = contrast;
+  }
+  return contrastTable;
+}
@@ -0,0 +1,135 @@
+import { quantizeColor, sgrColor } from './ansi.js';
+
+/**
+ * A frame of terminal cells, as typed arrays
+ *   chars - Unicode code point per cell
+ *   fg    - foreground color per cell (0xRRGGBB, -1 = default)
+ *   bg    - background color per cell (0xRRGGBB, -1 = default)
+ *
+ * Converters fill a grid; outputs serialize it to ANSI. Colors are kept at
+ * full precision and only reduced to the grid's color depth on output.
+ */
+class CellGrid {
+  /**
+   * @param {number} width - Columns
+   * @param {number} height - Rows
+   * @param {string} colorDepth - 'gray', '256' or 'truecolor'
+   */
+  constructor(width, height, colorDepth = 'gray') {
+    this.width = width;
+    this.height = height;
+    this.colorDepth = colorDepth;
+    this.chars = new Uint32Array(width * height).fill(0x20);
+    this.fg = new Int32Array(width * height).fill(-1);
+    this.bg = new Int32Array(width * height).fill(-1);
+  }
+
+  /**
+   * Wrap existing cell arrays in a grid, without copying
+   * Used for grids coming back from a conversion worker
+   * @param {number} width - Columns
+   * @param {number} height - Rows
+   * @param {string} colorDepth - 'gray', '256' or 'truecolor'
+   * @param {Uint32Array} chars - Code points
+   * @param {Int32Array} fg - Foreground colors
+   * @param {Int32Array} bg - Background colors
+   * @returns {CellGrid}
+   */
+  static fromArrays(width, height, colorDepth, chars, fg, bg) {
+    const grid = new CellGrid(0, 0, colorDepth);
+    grid.width = width;
+    grid.height = height;
+    grid.chars = chars;
+    grid.fg = fg;
+    grid.bg = bg;
+    return grid;
+  }
+
+  /**
+   * Write text into the grid, clipped at the right edge
+   * @param {number} x - Start column
+   * @param {number} y - Row
+   * @param {string} text - Text to write
+   * @param {number} fg - Foreground color (default -1)
+   * @param {number} bg - Background color (default -1)
+   */
+  putText(x, y, text, fg = -1, bg = -1) {
+    if (y < 0 || y >= this.height) return;
+
+    let column = x;
+    for (const char of text) {
+      if (column >= this.width) break;
+      if (column >= 0) {
+        const index = y * this.width + column;
+        this.chars[index] = char.codePointAt(0);
+        this.fg[index] = fg;
+        this.bg[index] = bg;
+      }
+      column++;
+    }
+  }
+
+  /**
+   * Serialize part of a row, emitting SGR only where the color changes
+   * @param {number} y - Row
+   * @param {number} x0 - First column
+   * @param {number} x1 - Column after the last one
+   * @param {Object} state - Current terminal colors { fg, bg } (quantized codes,
+   *   null = unknown); updated in place so consecutive calls share it
+   * @returns {string} Characters with color escapes
+   */
+  serializeRow(y, x0, x1, state) {
+    const depth = this.colorDepth;
+    const rowStart = y * this.width;
+    let output = '';
+
+    for (let x = x0; x < x1; x++) {
+      const index = rowStart + x;
+      const fg = quantizeColor(this.fg[index], depth);
+      const bg = quantizeColor(this.bg[index], depth);
+
+      if (fg !== state.fg || bg !== state.bg) {
+        const params = [];
+        if (fg !== state.fg) params.push(sgrColor(fg, depth, false));
+        if (bg !== state.bg) params.push(sgrColor(bg, depth, true));
+        output += `\x1b[${params.join(';')}m`;
+        state.fg = fg;
+        state.bg = bg;
+      }
+
+      output += String.fromCodePoint(this.chars[index]);
+    }
+
+    return output;
+  }
+
+  /**
+   * Serialize the whole grid as lines of ANSI text
+   * @returns {string} Rows separated by newlines, colors reset at the end
+   */
+  toAnsi() {
+    const state = { fg: null, bg: null };
+    const lines = [];
+
+    for (let y = 0; y < this.height; y++) {
+      lines.push(this.serializeRow(y, 0, this.width, state));
+    }
+
+    return lines.join('\n') + '\x1b[0m';
+  }
+
+  /**
+   * Get the grid as plain text, without colors
+   * @returns {string} Rows separated by newlines
+   */
+  toText() {
+    const lines = [];
+    for (let y = 0; y < this.height; y++) {
+      const row = this.chars.subarray(y * this.width, (y + 1) * this.width);
+      lines.push(String.fromCodePoint(...row));
+    }
+    return lines.join('\n');
+  }
+}
+
+export default CellGrid;
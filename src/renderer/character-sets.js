@@ -60,8 +60,26 @@ export const characterSets = [
  * Character set manager for tracking active set
  */
 export class CharacterSetManager {
-  constructor() {
+  /**
+   * @param {string} initialName - Name of the set to start with (default: first set)
+   */
+  constructor(initialName = null) {
     this.currentIndex = 0;
+    if (initialName) {
+      this.select(initialName);
+    }
+  }
+
+  /**
+   * Select a set by name (case-insensitive)
+   * @param {string} name - Set name
+   * @returns {Object|null} Selected set, or null if no set has that name
+   */
+  select(name) {
+    const index = characterSets.findIndex(set => set.name.toLowerCase() === name.toLowerCase());
+    if (index === -1) return null;
+    this.currentIndex = index;
+    return this.getCurrentSet();
   }
 
   getCurrentSet() {
@@ -0,0 +1,233 @@
+import { Worker } from 'worker_threads';
+import os from 'os';
+import CellGrid from './cell-grid.js';
+import Bitmap from './bitmap.js';
+
+const WORKER_URL = new URL('./conversion-worker.js', import.meta.url);
+
+/**
+ * Pool of worker threads converting frames (see conversion-worker.js)
+ *
+ * Decoding, effects and conversion stay off the main thread, which handles
+ * keys, blessed and terminal output. Each worker takes one frame at a time;
+ * callers check isBusy() and drop frames rather than queue them, so the
+ * video never falls behind the camera. Frame pixels and results move
+ * between threads as transferred buffers, not copies.
+ *
+ * A frame that fails to convert rejects its own job. A worker that dies is
+ * replaced, unless it died before converting anything: that one would only
+ * die again, and the renderer converts on the main thread once none are left.
+ */
+class ConversionPool {
+  /**
+   * @param {number} size - Number of workers (default: one per spare CPU core, at most 2)
+   */
+  constructor(size = getDefaultPoolSize()) {
+    this.size = size;
+    this.workers = [];  // { worker, job, converted } with job = { resolve, reject } while converting
+    this.settings = null;
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Start the workers
+   */
+  start() {
+    for (let i = 0; i < this.size; i++) {
+      this._startWorker();
+    }
+  }
+
+  /**
+   * Send converter and effect settings to every worker
+   * Workers apply them before the next frame they convert
+   * @param {Object} settings - { converter: from ImageConverter.getSettings(),
+   *   effects: from EffectChain.getSettings() }
+   */
+  configure(settings) {
+    this.settings = settings;
+    for (const { worker } of this.workers) {
+      worker.postMessage({ type: 'settings', settings });
+    }
+  }
+
+  /**
+   * Check whether any worker is left (see the class comment for restarts)
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.workers.length > 0;
+  }
+
+  /**
+   * Check whether every worker is converting a frame
+   * @returns {boolean}
+   */
+  isBusy() {
+    return this.workers.every(entry => entry.job);
+  }
+
+  /**
+   * Convert a frame on an idle worker
+   * The pixels are copied once: the capture keeps its frame cached, so its
+   * buffer cannot be handed over
+   * @param {Object} frame - Frame from a FrameSource { data, width, height, format, timestamp }
+   * @param {number} width - Grid width in cells
+   * @param {number} height - Grid height in cells
+   * @returns {Promise<Object>} { result: CellGrid|Bitmap|null, convertTime } with
+   *   convertTime in milliseconds spent in the worker
+   */
+  convert(frame, width, height) {
+    const entry = this.workers.find(candidate => !candidate.job);
+    if (!entry) {
+      return Promise.reject(new Error('All conversion workers are busy'));
+    }
+
+    const data = new Uint8Array(frame.data).buffer;
+    const message = {
+      type: 'convert',
+      id: this.nextJobId++,
+      frame: {
+        data,
+        width: frame.width,
+        height: frame.height,
+        format: frame.format,
+        timestamp: frame.timestamp
+      },
+      width,
+      height
+    };
+
+    return new Promise((resolve, reject) => {
+      entry.job = { resolve, reject };
+      entry.worker.postMessage(message, [data]);
+    });
+  }
+
+  /**
+   * Stop all workers
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    const workers = this.workers;
+    this.workers = [];
+    await Promise.all(workers.map(({ worker }) => worker.terminate()));
+  }
+
+  /**
+   * Start one worker and hook up its messages
+   * @private
+   */
+  _startWorker() {
+    const entry = { worker: new Worker(WORKER_URL), job: null, converted: 0, error: null };
+
+    entry.worker.on('message', (message) => {
+      if (!entry.job) return;
+
+      const { resolve, reject } = entry.job;
+      entry.job = null;
+      if (message.type === 'error') {
+        reject(new Error(message.message));
+        return;
+      }
+      entry.converted++;
+      resolve({ result: unpackResult(message.result), convertTime: message.convertTime });
+    });
+
+    // Uncaught errors end the worker; 'exit' follows
+    entry.worker.on('error', (error) => {
+      entry.error = error;
+    });
+
+    entry.worker.on('exit', (code) => {
+      // Stopped by stop()
+      if (!this.workers.includes(entry)) return;
+
+      this.workers = this.workers.filter(candidate => candidate !== entry);
+      if (entry.job) {
+        const reason = entry.error ? entry.error.message : `exit code ${code}`;
+        entry.job.reject(new Error(`Conversion worker stopped (${reason})`));
+        entry.job = null;
+      }
+      if (entry.converted > 0) {
+        this._startWorker();
+      }
+    });
+
+    if (this.settings) {
+      entry.worker.postMessage({ type: 'settings', settings: this.settings });
+    }
+    this.workers.push(entry);
+  }
+}
+
+/**
+ * Get the default number of workers
+ * Leaves a core for the main thread; a single-core machine still gets one
+ * worker so keys are handled while a frame converts
+ * @returns {number}
+ */
+function getDefaultPoolSize() {
+  const cores = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, Math.min(2, cores - 1));
+}
+
+/**
+ * Turn a conversion result into a message payload and its transfer list
+ * @param {CellGrid|Bitmap|null} result - Converter output
+ * @returns {Object} { payload, transfer }
+ */
+function packResult(result) {
+  if (result instanceof Bitmap) {
+    const pixels = ownBuffer(result.pixels);
+    return {
+      payload: { type: 'bitmap', ...result, pixels },
+      transfer: [pixels.buffer]
+    };
+  }
+
+  if (result instanceof CellGrid) {
+    const { width, height, colorDepth, chars, fg, bg } = result;
+    return {
+      payload: { type: 'grid', width, height, colorDepth, chars, fg, bg },
+      transfer: [chars.buffer, fg.buffer, bg.buffer]
+    };
+  }
+
+  return { payload: null, transfer: [] };
+}
+
+/**
+ * Rebuild a conversion result from a message payload
+ * @param {Object|null} payload - From packResult()
+ * @returns {CellGrid|Bitmap|null}
+ */
+function unpackResult(payload) {
+  if (!payload) return null;
+
+  if (payload.type === 'bitmap') {
+    const { pixels, width, height, channels, cols, rows } = payload;
+    return new Bitmap(Buffer.from(pixels.buffer, pixels.byteOffset, pixels.byteLength),
+      width, height, channels, cols, rows);
+  }
+
+  const { width, height, colorDepth, chars, fg, bg } = payload;
+  return CellGrid.fromArrays(width, height, colorDepth, chars, fg, bg);
+}
+
+/**
+ * Get a view that owns its whole ArrayBuffer, copying if needed
+ * Small Buffers share one pooled ArrayBuffer, which must not be transferred
+ * @param {Uint8Array} view - Bytes
+ * @returns {Uint8Array}
+ * @private
+ */
+function ownBuffer(view) {
+  if (view.byteOffset === 0 && view.byteLength === view.buffer.byteLength) {
+    return view;
+  }
+  return new Uint8Array(view);
+}
+
+export { packResult, unpackResult };
+export default ConversionPool;
@@ -0,0 +1,49 @@
+/**
+ * Conversion worker: runs the effect chain and an ImageConverter off the main thread
+ *
+ * Messages in:
+ *   { type: 'settings', settings }               - { converter, effects } settings
+ *   { type: 'convert', id, frame, width, height } - frame.data is an ArrayBuffer
+ * Messages out:
+ *   { type: 'result', id, result, convertTime }   - result from packResult()
+ *   { type: 'error', id, message }                - the frame could not be converted
+ */
+
+import { parentPort } from 'worker_threads';
+import ImageConverter from './converter.js';
+import { packResult } from './conversion-pool.js';
+import EffectChain from '../effects/effect-chain.js';
+
+const converter = new ImageConverter();
+const effects = new EffectChain();
+
+parentPort.on('message', async (message) => {
+  if (message.type === 'settings') {
+    converter.applySettings(message.settings.converter);
+    effects.applySettings(message.settings.effects);
+    return;
+  }
+
+  if (message.type !== 'convert') return;
+
+  // A bad frame (e.g. a corrupt JPEG) fails its own job, not the worker
+  try {
+    const start = performance.now();
+    const { frame, width, height } = message;
+    const input = await effects.apply(
+      { ...frame, data: Buffer.from(frame.data) },
+      converter.colorDepth !== 'gray'
+    );
+    const result = await converter.convertToTerminal(
+      input,
+      width,
+      height
+    );
+    const convertTime = performance.now() - start;
+
+    const { payload, transfer } = packResult(result);
+    parentPort.postMessage({ type: 'result', id: message.id, result: payload, convertTime }, transfer);
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', id: message.id, message: error.message });
+  }
+});
@@ -1,4 +1,15 @@
 import sharp from 'sharp';
+import CellGrid from './cell-grid.js';
+import Bitmap from './bitmap.js';
+import { getGraphicsCellSize } from './graphics.js';
+import { renderModes, getRenderMode, clampParameter } from './render-modes.js';
+import { renderHalfBlocks } from './halfblock.js';
+import { renderBraille } from './braille.js';
+import { renderEdges } from './edges.js';
+import { getDitherMode, ditherToLevels } from './dither.js';
+import { DEFAULT_ADJUSTMENTS, isIdentity, buildToneTable, buildLevelsTable } from './adjustments.js';
+import { toGray, toRgb } from '../utils/pixels.js';
+import { computeViewport, sampleViewport, DEFAULT_CELL_ASPECT } from '../utils/viewport.js';
 
 // Enable Sharp SIMD optimizations for better performance
 sharp.simd(true);
@@ -11,7 +22,141 @@ class ImageConverter {
     // Grayscale character ramp from darkest to brightest
     // Can be changed dynamically with setCharacterRamp()
     this.charRamp = charRamp;
+    this.rampCodes = Array.from(charRamp, char => char.codePointAt(0));
+    this.glyphs = buildGlyphTable(charRamp);
+    this.dither = getDitherMode('none');  // See dither.js
+    // Brightness, contrast, gamma, invert and levels (see adjustments.js)
+    this.adjustments = { ...DEFAULT_ADJUSTMENTS };
+    this.toneTable = buildToneTable(this.adjustments);
     this.mode = 'auto';  // 'auto', 'raw', 'sharp'
+    this.colorDepth = 'gray';  // 'gray', '256' or 'truecolor' (see ansi.js)
+    this.renderMode = getRenderMode('ascii');  // See render-modes.js
+    // Parameter value per render mode that has one
+    this.modeParameters = Object.fromEntries(
+      renderModes.filter(mode => mode.parameter).map(mode => [mode.name, mode.parameter.default])
+    );
+    // How frames are placed in the grid (see utils/viewport.js)
+    this.viewport = { mode: 'fit', cellAspect: DEFAULT_CELL_ASPECT };
+    // Inline graphics { protocol, cellSize }, null for text (see graphics.js)
+    this.graphics = null;
+  }
+
+  /**
+   * Update scale mode and cell aspect ratio
+   * @param {Object} viewport - { mode: 'fit'|'fill'|'stretch', cellAspect }
+   */
+  setViewport(viewport) {
+    this.viewport = { ...this.viewport, ...viewport };
+  }
+
+  /**
+   * Get the viewport for the pixel grid of the current render mode
+   * Modes that read several pixels per cell have pixels with a different
+   * aspect than the cells (half blocks: half as tall)
+   * @returns {Object} { mode, cellAspect } with cellAspect per pixel
+   */
+  getPixelViewport() {
+    const { cellWidth, cellHeight } = this.graphics
+      ? { cellWidth: this.graphics.cellSize.width, cellHeight: this.graphics.cellSize.height }
+      : this.renderMode;
+    return {
+      ...this.viewport,
+      cellAspect: (this.viewport.cellAspect * cellWidth) / cellHeight
+    };
+  }
+
+  /**
+   * Get the pixel size frames are converted at for a grid
+   * @param {number} cols - Grid width in cells
+   * @param {number} rows - Grid height in cells
+   * @returns {Object} { width, height } in pixels
+   */
+  getPixelSize(cols, rows) {
+    const { cellWidth, cellHeight } = this.graphics
+      ? getGraphicsCellSize(this.graphics.protocol, this.graphics.cellSize, cols, rows)
+      : this.renderMode;
+    return {
+      width: cols * cellWidth,
+      height: rows * cellHeight
+    };
+  }
+
+  /**
+   * Switch between text rendering and inline graphics
+   * With graphics, frames come out as Bitmaps instead of CellGrids
+   * @param {Object|null} graphics - { protocol: 'kitty'|'sixel', cellSize: { width, height }
+   *   in pixels }, or null for text
+   */
+  setGraphics(graphics) {
+    this.graphics = graphics;
+  }
+
+  /**
+   * Set how pixels are mapped to cells
+   * @param {string} name - Render mode name (see render-modes.js)
+   */
+  setRenderMode(name) {
+    this.renderMode = getRenderMode(name);
+  }
+
+  /**
+   * Set the adjustable parameter of a render mode (e.g. braille contrast)
+   * @param {string} name - Render mode name
+   * @param {number} value - New value, clamped to the parameter's range
+   * @returns {number|null} Value applied, or null if the mode has no parameter
+   */
+  setModeParameter(name, value) {
+    const { parameter } = getRenderMode(name);
+    if (!parameter) return null;
+
+    this.modeParameters[name] = clampParameter(parameter, value);
+    return this.modeParameters[name];
+  }
+
+  /**
+   * Get the parameter value of a render mode
+   * @param {string} name - Render mode name
+   * @returns {number|null} Value, or null if the mode has no parameter
+   */
+  getModeParameter(name) {
+    return this.modeParameters[name] ?? null;
+  }
+
+  /**
+   * Get everything that decides how frames are converted
+   * Plain data, so it can be posted to a conversion worker
+   * @returns {Object} Settings for applySettings()
+   */
+  getSettings() {
+    return {
+      charRamp: this.charRamp,
+      dither: this.dither.name,
+      adjustments: this.adjustments,
+      mode: this.mode,
+      colorDepth: this.colorDepth,
+      renderMode: this.renderMode.name,
+      modeParameters: this.modeParameters,
+      viewport: this.viewport,
+      graphics: this.graphics
+    };
+  }
+
+  /**
+   * Take over the settings of another converter
+   * @param {Object} settings - From getSettings()
+   */
+  applySettings(settings) {
+    if (settings.charRamp !== this.charRamp) {
+      this.setCharacterRamp(settings.charRamp);
+    }
+    this.setDither(settings.dither);
+    this.setAdjustments(settings.adjustments);
+    this.mode = settings.mode;
+    this.setColorDepth(settings.colorDepth);
+    this.setRenderMode(settings.renderMode);
+    this.modeParameters = { ...settings.modeParameters };
+    this.setViewport(settings.viewport);
+    this.setGraphics(settings.graphics);
   }
 
   /**
@@ -20,102 +165,253 @@ class ImageConverter {
    */
   setCharacterRamp(charRamp) {
     this.charRamp = charRamp;
+    this.rampCodes = Array.from(charRamp, char => char.codePointAt(0));
+    this.glyphs = buildGlyphTable(charRamp);
+  }
+
+  /**
+   * Update image adjustments
+   * @param {Object} adjustments - Any of { brightness, contrast, gamma, invert, levels }
+   */
+  setAdjustments(adjustments) {
+    this.adjustments = { ...this.adjustments, ...adjustments };
+    this.toneTable = buildToneTable(this.adjustments);
+  }
+
+  /**
+   * Set how brightness is quantized to the character ramp (and braille dots)
+   * @param {string} name - Dither mode name (see dither.js)
+   */
+  setDither(name) {
+    this.dither = getDitherMode(name);
+  }
+
+  /**
+   * Set the color depth of the output
+   * In ASCII mode gray maps brightness to characters only; the color depths
+   * also color each character with its pixel (foreground) and a dimmed copy
+   * (background). Half blocks always use colors, reduced to grays in gray
+   * @param {string} colorDepth - 'gray', '256' or 'truecolor'
+   */
+  setColorDepth(colorDepth) {
+    this.colorDepth = colorDepth;
   }
 
   /**
-   * Convert image buffer to terminal-displayable ASCII format
-   * Supports both raw grayscale pixels (from FFmpeg) and JPEG buffers (from node-webcam)
-   * @param {Buffer} imageSource - Raw pixel buffer or JPEG buffer
+   * Convert a frame to a grid of terminal cells
+   * Supports raw pixel frames (from FFmpeg, test pattern, stdin) and JPEG frames (from node-webcam)
+   * @param {Object} frame - Frame object from a FrameSource { data, width, height, format }
    * @param {number} width - Terminal width in characters
    * @param {number} height - Terminal height in characters
    * @param {Object} options - Conversion options
-   * @returns {Promise<string>} ASCII string ready for terminal display
+   * @returns {Promise<CellGrid|Bitmap|null>} Cells ready for terminal display, or
+   *   pixels when inline graphics are on; rejects when the frame cannot be decoded
    */
-  async convertToTerminal(imageSource, width, height, options = {}) {
-    if (!imageSource) {
-      return '';
+  async convertToTerminal(frame, width, height, options = {}) {
+    if (!frame) {
+      return null;
     }
 
-    try {
-      // Cache dimensions for performance tracking
-      this.lastWidth = width;
-      this.lastHeight = height;
-
-      // Detect if this is raw pixel data or needs Sharp processing
-      const expectedRawBytes = width * height;  // 1 byte per pixel for grayscale
-      const isRawPixels = imageSource.length === expectedRawBytes;
-
-      if (isRawPixels && this.mode !== 'sharp') {
-        // HARDWARE ACCELERATED PATH: FFmpeg already gave us raw grayscale pixels
-        // No processing needed - pixels are already scaled and grayscale!
-        return this._pixelsToAscii(imageSource, width, height);
-      } else {
-        // SOFTWARE PATH: Use Sharp to process JPEG buffer
-        return await this._convertWithSharp(imageSource, width, height);
-      }
-    } catch (error) {
-      console.error('Image conversion error:', error.message);
-      return this._createErrorFrame(width, height, error.message);
+    // Cache dimensions for performance tracking
+    this.lastWidth = width;
+    this.lastHeight = height;
+
+    const pixelSize = this.getPixelSize(width, height);
+    const channels = this.colorDepth === 'gray' ? 1 : 3;
+    let pixels;
+
+    if (frame.format !== 'jpeg' && this.mode !== 'sharp') {
+      // HARDWARE ACCELERATED PATH: FFmpeg already gave us raw pixels
+      // Usually already scaled to the pixel grid, so this is a straight mapping
+      pixels = this._rawToPixels(frame, pixelSize.width, pixelSize.height, channels);
+    } else {
+      // SOFTWARE PATH: Use Sharp to process JPEG buffer
+      pixels = await this._decodeWithSharp(frame.data, pixelSize.width, pixelSize.height, channels);
     }
+
+    pixels = this._adjustPixels(pixels, channels);
+    if (this.graphics) {
+      return new Bitmap(pixels, pixelSize.width, pixelSize.height, channels, width, height);
+    }
+    return this._pixelsToGrid(pixels, channels, width, height);
   }
 
   /**
-   * Convert using Sharp (software rendering)
-   * @param {Buffer} imageSource - JPEG buffer
+   * Get raw frame pixels as grayscale or RGB at the target size
+   * Frames already at the render size were scaled by their source (FFmpeg
+   * applies the scale mode in its filter chain); others, such as stdin streams,
+   * are placed according to the scale mode here
+   * @param {Object} frame - Raw frame
    * @param {number} width - Target width
    * @param {number} height - Target height
-   * @returns {Promise<string>} ASCII frame
+   * @param {number} channels - 1 for grayscale, 3 for RGB
+   * @returns {Buffer} Pixels (width*height*channels bytes)
+   * @private
+   */
+  _rawToPixels(frame, width, height, channels) {
+    const pixels = channels === 1
+      ? toGray(frame.data, frame.format, frame.width, frame.height)
+      : toRgb(frame.data, frame.format, frame.width, frame.height);
+    if (frame.width === width && frame.height === height) {
+      return pixels;
+    }
+
+    const viewport = computeViewport(frame.width, frame.height, width, height, this.getPixelViewport());
+    return sampleViewport(pixels, frame.width, width, height, viewport, channels);
+  }
+
+  /**
+   * Decode and scale using Sharp (software rendering)
+   * @param {Buffer} imageSource - JPEG buffer
+   * @param {number} width - Target width in pixels
+   * @param {number} height - Target height in pixels
+   * @param {number} channels - 1 for grayscale, 3 for RGB
+   * @returns {Promise<Buffer>} Pixels (width*height*channels bytes)
    * @private
    */
-  async _convertWithSharp(imageSource, width, height) {
-    const { data, info } = await sharp(imageSource, {
-      sequentialRead: true,
-      limitInputPixels: false
-    })
+  async _decodeWithSharp(imageSource, width, height, channels) {
+    const cols = Math.floor(width);
+    const rows = Math.floor(height);
+    const sharpOptions = { sequentialRead: true, limitInputPixels: false };
+
+    // Header-only read, the real size decides the crop and letterbox
+    const metadata = await sharp(imageSource, sharpOptions).metadata();
+    const { sx, sy, sw, sh, dx, dy, dw, dh } = computeViewport(
+      metadata.width, metadata.height, cols, rows, this.getPixelViewport()
+    );
+
+    const pipeline = sharp(imageSource, sharpOptions)
+      .extract({ left: sx, top: sy, width: sw, height: sh })
       .resize({
-        width: Math.floor(width),
-        height: Math.floor(height),
-        fit: 'contain',
-        kernel: 'nearest',  // Fastest kernel
-        background: { r: 0, g: 0, b: 0, alpha: 1 }
+        width: dw,
+        height: dh,
+        fit: 'fill',
+        kernel: 'nearest'  // Fastest kernel
       })
-      .grayscale()
+      .extend({
+        top: dy,
+        bottom: rows - dh - dy,
+        left: dx,
+        right: cols - dw - dx,
+        background: { r: 0, g: 0, b: 0, alpha: 1 }
+      });
+
+    // Grayscale JPEGs decode to one channel, so force sRGB for color
+    return (channels === 1 ? pipeline.grayscale() : pipeline.removeAlpha().toColourspace('srgb'))
       .raw()
-      .toBuffer({ resolveWithObject: true });
+      .toBuffer();
+  }
+
+  /**
+   * Apply the image adjustments through one lookup table
+   * RGB pixels get the same table on every channel, with levels measured on luma
+   * @param {Buffer} pixels - Grayscale or RGB pixels
+   * @param {number} channels - Bytes per pixel
+   * @returns {Buffer} Adjusted copy, or the input when nothing is adjusted
+   * @private
+   */
+  _adjustPixels(pixels, channels) {
+    if (isIdentity(this.adjustments)) {
+      return pixels;
+    }
+
+    let table = this.toneTable;
+
+    if (this.adjustments.levels !== 'off') {
+      const histogram = new Uint32Array(256);
+      for (let i = 0; i < pixels.length; i += channels) {
+        histogram[channels === 1
+          ? pixels[i]
+          : (pixels[i] * 77 + pixels[i + 1] * 150 + pixels[i + 2] * 29) >> 8]++;
+      }
 
-    return this._pixelsToAscii(data, info.width, info.height);
+      const levels = buildLevelsTable(histogram, this.adjustments.levels);
+      if (levels) {
+        table = levels.map(value => this.toneTable[value]);
+      }
+    }
+
+    // Raw frames may share memory with the source frame, never adjust in place
+    const adjusted = Buffer.allocUnsafe(pixels.length);
+    for (let i = 0; i < pixels.length; i++) {
+      adjusted[i] = table[pixels[i]];
+    }
+    return adjusted;
   }
 
   /**
-   * Convert pixel data to ASCII characters
+   * Map pixels to cells with the current render mode
    * @private
-   * @param {Buffer} pixelData - Raw grayscale pixel data
-   * @param {number} width - Image width
-   * @param {number} height - Image height
-   * @returns {string} ASCII representation
-   */
-  _pixelsToAscii(pixelData, width, height) {
-    // Performance optimization: use array buffer instead of string concatenation
-    const lines = [];
-    const rampLength = this.charRamp.length;
+   * @param {Buffer} pixelData - Grayscale (1 channel) or RGB (3 channels) pixels at getPixelSize()
+   * @param {number} channels - Bytes per pixel
+   * @param {number} width - Grid width in cells
+   * @param {number} height - Grid height in cells
+   * @returns {CellGrid} Cells
+   */
+  _pixelsToGrid(pixelData, channels, width, height) {
+    const grid = new CellGrid(width, height, this.colorDepth);
+
+    switch (this.renderMode.name) {
+      case 'halfblock':
+        renderHalfBlocks(grid, pixelData, channels);
+        break;
+      case 'braille':
+        renderBraille(grid, pixelData, channels, {
+          contrast: this.modeParameters.braille,
+          dither: this.dither.name
+        });
+        break;
+      case 'edges':
+        this._renderAscii(grid, pixelData, channels);
+        renderEdges(grid, channels === 1 ? pixelData : toGray(pixelData, 'rgb24', width, height), {
+          threshold: this.modeParameters.edges
+        });
+        break;
+      default:
+        this._renderAscii(grid, pixelData, channels);
+    }
 
-    for (let y = 0; y < height; y++) {
-      const rowChars = [];
-      const rowStart = y * width;
+    return grid;
+  }
 
-      for (let x = 0; x < width; x++) {
-        // Get pixel brightness (0-255)
-        const brightness = pixelData[rowStart + x];
+  /**
+   * Convert pixel data to characters, and colors when a color depth is set
+   * @private
+   * @param {CellGrid} grid - Grid to fill, one pixel per cell
+   * @param {Buffer} pixelData - Grayscale (1 channel) or RGB (3 channels) pixel data
+   * @param {number} channels - Bytes per pixel
+   */
+  _renderAscii(grid, pixelData, channels) {
+    const { width, height, chars, fg, bg } = grid;
+    const cellCount = width * height;
+    const luma = channels === 1 ? pixelData : toGray(pixelData, 'rgb24', width, height);
 
-        // Map brightness to character (inlined for performance)
-        const index = Math.floor((brightness / 255) * (rampLength - 1));
-        rowChars.push(this.charRamp[index]);
+    if (this.dither.name === 'none') {
+      const glyphs = this.glyphs;
+      for (let i = 0; i < cellCount; i++) {
+        chars[i] = glyphs[luma[i]];
+      }
+    } else {
+      const ramp = this.rampCodes;
+      const levels = ditherToLevels(luma, width, height, ramp.length, this.dither.name);
+      for (let i = 0; i < cellCount; i++) {
+        chars[i] = ramp[levels[i]];
       }
+    }
 
-      lines.push(rowChars.join(''));
+    if (channels === 1 || this.colorDepth === 'gray') {
+      return;
     }
 
-    return lines.join('\n');
+    for (let i = 0, j = 0; i < cellCount; i++, j += channels) {
+      const r = pixelData[j];
+      const g = pixelData[j + 1];
+      const b = pixelData[j + 2];
+
+      fg[i] = (r << 16) | (g << 8) | b;
+      // A quarter-brightness background keeps dark cells tinted
+      bg[i] = ((r >> 2) << 16) | ((g >> 2) << 8) | (b >> 2);
+    }
   }
 
   /**
@@ -131,22 +427,6 @@ class ImageConverter {
     return this.charRamp[index];
   }
 
-  /**
-   * Create an error frame when conversion fails
-   * @private
-   */
-  _createErrorFrame(width, height, errorMsg) {
-    const errorLine = 'ERROR: ' + errorMsg;
-    const padding = Math.floor((width - errorLine.length) / 2);
-    const verticalPadding = Math.floor(height / 2);
-
-    let frame = '\n'.repeat(verticalPadding);
-    frame += ' '.repeat(Math.max(0, padding)) + errorLine + '\n';
-    frame += '\n'.repeat(Math.max(0, height - verticalPadding - 1));
-
-    return frame;
-  }
-
   /**
    * Get last processed dimensions
    */
@@ -158,4 +438,20 @@ class ImageConverter {
   }
 }
 
+/**
+ * Precompute the character for every brightness value
+ * @param {string} charRamp - Characters from darkest to brightest
+ * @returns {Uint32Array} Code point per brightness (256 entries)
+ */
+function buildGlyphTable(charRamp) {
+  const ramp = Array.from(charRamp, char => char.codePointAt(0));
+  const table = new Uint32Array(256);
+
+  for (let brightness = 0; brightness < 256; brightness++) {
+    table[brightness] = ramp[Math.floor((brightness / 255) * (ramp.length - 1))];
+  }
+
+  return table;
+}
+
 export default ImageConverter;
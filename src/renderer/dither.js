@@ -0,0 +1,284 @@
+/**
+ * Dithering: quantize brightness to a few levels without banding
+ *
+ * Short character ramps only have a handful of levels, so smooth gradients
+ * turn into flat bands. Dithering trades those bands for a fine pattern:
+ *   floyd-steinberg - error diffusion, most accurate tones
+ *   atkinson        - error diffusion that drops part of the error, crisper
+ *   bayer4/bayer8   - ordered threshold matrix, regular cross-hatch
+ *   blue-noise      - ordered threshold texture without visible structure
+ *
+ * Error diffusion depends on every pixel before it, so noise in the video
+ * makes the pattern shimmer from frame to frame. The ordered modes use a
+ * threshold fixed to the screen position and stay stable.
+ */
+
+export const ditherModes = [
+  { name: 'none', label: 'No dither' },
+  { name: 'floyd-steinberg', label: 'Floyd-Steinberg' },
+  { name: 'atkinson', label: 'Atkinson' },
+  { name: 'bayer4', label: 'Bayer 4x4' },
+  { name: 'bayer8', label: 'Bayer 8x8' },
+  { name: 'blue-noise', label: 'Blue noise' }
+];
+
+// Error diffusion kernels: [dx, dy, weight]
+const FLOYD_STEINBERG = [
+  [1, 0, 7 / 16],
+  [-1, 1, 3 / 16],
+  [0, 1, 5 / 16],
+  [1, 1, 1 / 16]
+];
+
+// Spreads 6/8 of the error, the rest is dropped on purpose
+const ATKINSON = [
+  [1, 0, 1 / 8],
+  [2, 0, 1 / 8],
+  [-1, 1, 1 / 8],
+  [0, 1, 1 / 8],
+  [1, 1, 1 / 8],
+  [0, 2, 1 / 8]
+];
+
+// Threshold matrices, built on first use
+const thresholdMaps = {};
+
+// Blue noise texture size (must be a power of two)
+const BLUE_NOISE_SIZE = 64;
+
+/**
+ * Look up a dither mode by name
+ * @param {string} name - Mode name
+ * @returns {Object} Dither mode ('none' if the name is unknown)
+ */
+export function getDitherMode(name) {
+  return ditherModes.find(mode => mode.name === name) || ditherModes[0];
+}
+
+/**
+ * Quantize brightness values to levels
+ * @param {Uint8Array|Buffer} luma - Brightness per pixel (0-255)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} levels - Number of output levels (2 or more)
+ * @param {string} mode - Dither mode name
+ * @returns {Uint8Array} Level per pixel (0 to levels-1)
+ */
+export function ditherToLevels(luma, width, height, levels, mode) {
+  switch (mode) {
+    case 'floyd-steinberg':
+      return diffuseError(luma, width, height, levels, FLOYD_STEINBERG);
+    case 'atkinson':
+      return diffuseError(luma, width, height, levels, ATKINSON);
+    case 'bayer4':
+    case 'bayer8':
+    case 'blue-noise':
+      return orderedDither(luma, width, height, levels, getThresholdMap(mode));
+    default:
+      return quantize(luma, levels);
+  }
+}
+
+/**
+ * Plain quantization, the same mapping as the undithered character ramp
+ * @private
+ */
+function quantize(luma, levels) {
+  const output = new Uint8Array(luma.length);
+  const scale = (levels - 1) / 255;
+
+  for (let i = 0; i < luma.length; i++) {
+    output[i] = Math.floor(luma[i] * scale);
+  }
+  return output;
+}
+
+/**
+ * Quantize to the nearest level and push the error on to unvisited pixels
+ * @private
+ */
+function diffuseError(luma, width, height, levels, kernel) {
+  const output = new Uint8Array(width * height);
+  const values = Float32Array.from(luma);
+  const scale = (levels - 1) / 255;
+  const maxLevel = levels - 1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const level = Math.min(maxLevel, Math.max(0, Math.round(values[i] * scale)));
+      const error = values[i] - level / scale;
+      output[i] = level;
+
+      for (const [dx, dy, weight] of kernel) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny >= height) continue;
+        values[ny * width + nx] += error * weight;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Quantize with a tiled threshold map
+ * @private
+ */
+function orderedDither(luma, width, height, levels, map) {
+  const output = new Uint8Array(width * height);
+  const scale = (levels - 1) / 255;
+  const maxLevel = levels - 1;
+  const mask = map.size - 1;
+
+  for (let y = 0; y < height; y++) {
+    const mapRow = (y & mask) * map.size;
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const level = Math.floor(luma[i] * scale + map.thresholds[mapRow + (x & mask)]);
+      output[i] = level > maxLevel ? maxLevel : level;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Get a threshold map, building it on first use
+ * @param {string} mode - 'bayer4', 'bayer8' or 'blue-noise'
+ * @returns {Object} { size, thresholds } with thresholds in [0, 1)
+ * @private
+ */
+function getThresholdMap(mode) {
+  if (!thresholdMaps[mode]) {
+    const ranks = mode === 'blue-noise'
+      ? buildBlueNoiseRanks(BLUE_NOISE_SIZE)
+      : buildBayerRanks(mode === 'bayer4' ? 4 : 8);
+    const size = Math.sqrt(ranks.length);
+
+    thresholdMaps[mode] = {
+      size,
+      thresholds: Float32Array.from(ranks, rank => (rank + 0.5) / ranks.length)
+    };
+  }
+  return thresholdMaps[mode];
+}
+
+/**
+ * Build a Bayer index matrix by recursive doubling
+ * @param {number} size - Matrix size (power of two)
+ * @returns {Array<number>} Ranks 0..size²-1, row-major
+ * @private
+ */
+function buildBayerRanks(size) {
+  let matrix = [0];
+  let current = 1;
+
+  while (current < size) {
+    const next = current * 2;
+    const doubled = new Array(next * next);
+    for (let y = 0; y < next; y++) {
+      for (let x = 0; x < next; x++) {
+        const base = matrix[(y % current) * current + (x % current)] * 4;
+        const quadrant = [0, 2, 3, 1][(y >= current ? 2 : 0) + (x >= current ? 1 : 0)];
+        doubled[y * next + x] = base + quadrant;
+      }
+    }
+    matrix = doubled;
+    current = next;
+  }
+
+  return matrix;
+}
+
+/**
+ * Build a blue noise rank texture with the void-and-cluster method
+ * Deterministic (fixed seed), so the pattern is the same on every run
+ * @param {number} size - Texture size (power of two)
+ * @returns {Uint16Array} Ranks 0..size²-1, row-major
+ * @private
+ */
+function buildBlueNoiseRanks(size) {
+  const count = size * size;
+  const sigma = 1.5;
+  const radius = 6;
+
+  // Gaussian weights over the window, wrapping around the texture edges
+  const kernel = [];
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      kernel.push([dx, dy, Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma))]);
+    }
+  }
+
+  const splat = (energy, index, sign) => {
+    const x = index % size;
+    const y = (index - x) / size;
+    for (const [dx, dy, weight] of kernel) {
+      energy[((y + dy) & (size - 1)) * size + ((x + dx) & (size - 1))] += sign * weight;
+    }
+  };
+
+  // Extreme energy among points that are (or are not) set
+  const find = (energy, pattern, value, pickMax) => {
+    let best = -1;
+    for (let i = 0; i < count; i++) {
+      if (pattern[i] !== value) continue;
+      if (best === -1 || (pickMax ? energy[i] > energy[best] : energy[i] < energy[best])) {
+        best = i;
+      }
+    }
+    return best;
+  };
+
+  // Seeded random starting pattern, about a tenth of the points set
+  const initial = new Uint8Array(count);
+  const initialEnergy = new Float32Array(count);
+  let seed = 0x2545f491;
+  let ones = 0;
+  while (ones < count / 10) {
+    seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+    const index = Math.floor((seed / 0x100000000) * count);
+    if (!initial[index]) {
+      initial[index] = 1;
+      splat(initialEnergy, index, 1);
+      ones++;
+    }
+  }
+
+  // Spread it out: move the tightest cluster into the largest void until stable
+  for (;;) {
+    const cluster = find(initialEnergy, initial, 1, true);
+    initial[cluster] = 0;
+    splat(initialEnergy, cluster, -1);
+
+    const voidIndex = find(initialEnergy, initial, 0, false);
+    initial[voidIndex] = 1;
+    splat(initialEnergy, voidIndex, 1);
+
+    if (voidIndex === cluster) break;
+  }
+
+  const ranks = new Uint16Array(count);
+
+  // Rank the initial points from the tightest cluster down
+  const pattern = initial.slice();
+  const energy = initialEnergy.slice();
+  for (let rank = ones - 1; rank >= 0; rank--) {
+    const cluster = find(energy, pattern, 1, true);
+    pattern[cluster] = 0;
+    splat(energy, cluster, -1);
+    ranks[cluster] = rank;
+  }
+
+  // Fill the remaining points, largest void first
+  for (let rank = ones; rank < count; rank++) {
+    const voidIndex = find(initialEnergy, initial, 0, false);
+    initial[voidIndex] = 1;
+    splat(initialEnergy, voidIndex, 1);
+    ranks[voidIndex] = rank;
+  }
+
+  return ranks;
+}
@@ -0,0 +1,72 @@
+/**
+ * Inline graphics: the camera image as real pixels instead of characters
+ *   kitty - Kitty graphics protocol (kitty, WezTerm, Ghostty). The terminal
+ *           scales the image to the video box, so frames are sent at a
+ *           capped size to keep the output rate sane
+ *   sixel - DEC Sixel (foot, mlterm, mintty, xterm -ti vt340, ...). Drawn one
+ *           image pixel per screen pixel, so frames are sized to the cell
+ *           size in pixels
+ *
+ * Terminals do not reliably advertise either: Kitty support is read from the
+ * environment, Sixel from the primary device attributes (see Screen).
+ * Multiplexers (tmux, screen) do not pass graphics through.
+ */
+
+export const GRAPHICS_OPTIONS = ['auto', 'kitty', 'sixel', 'off'];
+
+export const GRAPHICS_LABELS = {
+  kitty: 'Kitty graphics',
+  sixel: 'Sixel'
+};
+
+// Cell width in pixels assumed when the terminal does not report its cell size
+export const DEFAULT_CELL_WIDTH = 8;
+
+// Largest Kitty frame in pixels; bigger video boxes are upscaled by the terminal
+const KITTY_MAX_PIXELS = 640 * 400;
+
+/**
+ * Pick the graphics protocol the environment points to
+ * @param {Object} env - Environment (default process.env)
+ * @returns {string|null} 'kitty', 'sixel', or null if nothing is known
+ */
+export function detectGraphicsFromEnv(env = process.env) {
+  const term = env.TERM || '';
+  const program = env.TERM_PROGRAM || '';
+
+  if (env.TMUX || /^(screen|tmux)/.test(term)) {
+    return null;
+  }
+  if (term === 'xterm-kitty' || term === 'xterm-ghostty' || env.KITTY_WINDOW_ID ||
+      program === 'WezTerm' || program === 'ghostty') {
+    return 'kitty';
+  }
+  if (/sixel/.test(term) || /^(foot|mlterm)/.test(term) || program === 'mintty') {
+    return 'sixel';
+  }
+  return null;
+}
+
+/**
+ * Get the pixels per cell frames are rendered at for a protocol
+ * @param {string} protocol - 'kitty' or 'sixel'
+ * @param {Object} cellSize - Terminal cell size in pixels { width, height }
+ * @param {number} cols - Grid width in cells
+ * @param {number} rows - Grid height in cells
+ * @returns {Object} { cellWidth, cellHeight } in pixels
+ */
+export function getGraphicsCellSize(protocol, cellSize, cols, rows) {
+  const { width, height } = cellSize;
+  const pixels = cols * rows * width * height;
+
+  if (protocol !== 'kitty' || pixels <= KITTY_MAX_PIXELS) {
+    return { cellWidth: width, cellHeight: height };
+  }
+
+  // Height follows the rounded width, so the pixels stay close to square
+  const cellWidth = Math.max(1, Math.round(width * Math.sqrt(KITTY_MAX_PIXELS / pixels)));
+  return {
+    cellWidth,
+    cellHeight: Math.max(1, Math.round((cellWidth * height) / width))
+  };
+}
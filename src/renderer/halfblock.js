@@ -0,0 +1,52 @@
+/**
+ * Half-block rendering
+ * Each cell shows two vertically stacked pixels: '▀' paints the top one in
+ * the foreground color and the bottom one shows through as the background.
+ * Pixels are close to square at a 2:1 cell aspect, so the picture needs
+ * little aspect correction and has twice the vertical detail of ASCII.
+ */
+
+const UPPER_HALF_BLOCK = 0x2580;
+
+/**
+ * Fill a grid from pixels at twice its height
+ * Grayscale pixels become gray colors, which the grid reduces to the
+ * terminal's gray ramp or palette on output
+ * @param {CellGrid} grid - Grid to fill (cols x rows)
+ * @param {Buffer} pixels - Pixels (cols x rows*2)
+ * @param {number} channels - 1 for grayscale, 3 for RGB
+ */
+export function renderHalfBlocks(grid, pixels, channels) {
+  const { width, height, chars, fg, bg } = grid;
+  const rowBytes = width * channels;
+
+  chars.fill(UPPER_HALF_BLOCK);
+
+  for (let y = 0; y < height; y++) {
+    const top = y * 2 * rowBytes;
+    const bottom = top + rowBytes;
+    const cellRow = y * width;
+
+    for (let x = 0; x < width; x++) {
+      const offset = x * channels;
+      fg[cellRow + x] = packColor(pixels, top + offset, channels);
+      bg[cellRow + x] = packColor(pixels, bottom + offset, channels);
+    }
+  }
+}
+
+/**
+ * Read one pixel as 0xRRGGBB
+ * @param {Buffer} pixels - Pixel data
+ * @param {number} offset - Byte offset of the pixel
+ * @param {number} channels - 1 for grayscale, 3 for RGB
+ * @returns {number} Packed color
+ * @private
+ */
+function packColor(pixels, offset, channels) {
+  if (channels === 1) {
+    const value = pixels[offset];
+    return (value << 16) | (value << 8) | value;
+  }
+  return (pixels[offset] << 16) | (pixels[offset + 1] << 8) | pixels[offset + 2];
+}
@@ -0,0 +1,80 @@
+/**
+ * Kitty graphics protocol encoding
+ *
+ * Frames are sent as raw RGB (or RGBA when parts are masked), base64 encoded
+ * in chunks of at most 4096 bytes as the protocol requires. Every frame
+ * reuses the same image and placement id, so the terminal replaces the
+ * previous frame instead of stacking images. Responses are suppressed
+ * (q=2): they would arrive on stdin among the key presses.
+ */
+
+const CHUNK_SIZE = 4096;
+
+/**
+ * Encode a bitmap as a Kitty image placed at the cursor
+ * The terminal scales it to cover bitmap.cols x bitmap.rows cells
+ * @param {Bitmap} bitmap - Frame to encode
+ * @param {Object} options - { id: image id, hidden: Uint8Array with non-zero
+ *   for transparent pixels (optional) }
+ * @returns {string} APC sequences
+ */
+export function encodeKitty(bitmap, options) {
+  const { id, hidden = null } = options;
+  const { width, height, cols, rows } = bitmap;
+  const format = hidden ? 32 : 24;
+
+  const payload = packPixels(bitmap, hidden).toString('base64');
+  let output = '';
+
+  for (let offset = 0; offset < payload.length; offset += CHUNK_SIZE) {
+    const more = offset + CHUNK_SIZE < payload.length ? 1 : 0;
+    // Keys go on the first chunk only; C=1 keeps the cursor where it is
+    const control = offset === 0
+      ? `a=T,f=${format},s=${width},v=${height},c=${cols},r=${rows},i=${id},p=1,C=1,q=2,m=${more}`
+      : `m=${more}`;
+    output += `\x1b_G${control};${payload.slice(offset, offset + CHUNK_SIZE)}\x1b\\`;
+  }
+
+  return output;
+}
+
+/**
+ * Delete an image and free its data in the terminal
+ * @param {number} id - Image id
+ * @returns {string} APC sequence
+ */
+export function deleteKittyImage(id) {
+  return `\x1b_Ga=d,d=I,i=${id},q=2\x1b\\`;
+}
+
+/**
+ * Get the pixels as RGB, or RGBA with hidden pixels transparent
+ * @param {Bitmap} bitmap - Frame
+ * @param {Uint8Array|null} hidden - Transparent pixels
+ * @returns {Buffer}
+ * @private
+ */
+function packPixels(bitmap, hidden) {
+  const { pixels, channels } = bitmap;
+  if (channels === 3 && !hidden) {
+    return pixels;
+  }
+
+  const count = bitmap.width * bitmap.height;
+  const bytes = hidden ? 4 : 3;
+  const output = Buffer.allocUnsafe(count * bytes);
+
+  for (let i = 0; i < count; i++) {
+    const dst = i * bytes;
+    if (channels === 1) {
+      output[dst] = output[dst + 1] = output[dst + 2] = pixels[i];
+    } else {
+      output[dst] = pixels[i * 3];
+      output[dst + 1] = pixels[i * 3 + 1];
+      output[dst + 2] = pixels[i * 3 + 2];
+    }
+    if (hidden) output[dst + 3] = hidden[i] ? 0 : 255;
+  }
+
+  return output;
+}
@@ -0,0 +1,86 @@
+/**
+ * Render modes: how pixels are mapped to terminal cells
+ * Each mode reads a block of cellWidth x cellHeight pixels per character, so
+ * captures are sized at that multiple of the grid (see TerminalRenderer)
+ *
+ * A mode may have one adjustable parameter:
+ *   { name, label, min, max, step, default }
+ */
+
+export const renderModes = [
+  {
+    name: 'ascii',
+    label: 'ASCII',
+    description: 'One pixel per character, brightness picks the character',
+    cellWidth: 1,
+    cellHeight: 1
+  },
+  {
+    name: 'halfblock',
+    label: 'Half blocks',
+    description: 'Two stacked pixels per character (▀ foreground over background)',
+    cellWidth: 1,
+    cellHeight: 2
+  },
+  {
+    name: 'braille',
+    label: 'Braille',
+    description: 'Eight pixels per character as 2x4 braille dots',
+    cellWidth: 2,
+    cellHeight: 4,
+    parameter: {
+      name: 'contrast',
+      label: 'Contrast',
+      min: 0.5,
+      max: 4,
+      step: 0.25,
+      default: 1
+    }
+  },
+  {
+    name: 'edges',
+    label: 'Edges',
+    description: 'ASCII with line characters along detected edges',
+    cellWidth: 1,
+    cellHeight: 1,
+    parameter: {
+      name: 'threshold',
+      label: 'Edge threshold',
+      min: 8,
+      max: 160,
+      step: 8,
+      default: 48
+    }
+  }
+];
+
+/**
+ * Look up a render mode by name
+ * @param {string} name - Mode name
+ * @returns {Object} Render mode (the first one if the name is unknown)
+ */
+export function getRenderMode(name) {
+  return renderModes.find(mode => mode.name === name) || renderModes[0];
+}
+
+/**
+ * Clamp a value to a mode parameter's range, snapped to its step
+ * @param {Object} parameter - Parameter definition
+ * @param {number} value - Requested value
+ * @returns {number} Valid value
+ */
+export function clampParameter(parameter, value) {
+  const steps = Math.round((value - parameter.min) / parameter.step);
+  const snapped = parameter.min + steps * parameter.step;
+  return Math.min(parameter.max, Math.max(parameter.min, Number(snapped.toFixed(4))));
+}
+
+/**
+ * Get the render mode after the given one, wrapping around
+ * @param {string} name - Current mode name
+ * @returns {Object} Next render mode
+ */
+export function getNextRenderMode(name) {
+  const index = renderModes.findIndex(mode => mode.name === name);
+  return renderModes[(index + 1) % renderModes.length];
+}
@@ -0,0 +1,171 @@
+import { rgbToAnsi256, ansi256ToRgb } from './ansi.js';
+
+/**
+ * Sixel encoding
+ *
+ * A sixel image is drawn in bands six pixels tall. Each band lists, per
+ * color register, one character per column whose low six bits say which of
+ * the column's six pixels take that color. Runs of equal characters are
+ * compressed as !<count><char>.
+ *
+ * Terminals have at most 256 color registers: gray frames use 64 gray
+ * levels, color frames the xterm cube and gray ramp (240 entries).
+ * Background select 1 leaves unpainted pixels alone, which keeps overlays
+ * drawn over the video visible through holes in the image.
+ */
+
+const GRAY_LEVELS = 64;
+
+// Register definitions, built on first use
+let grayRegisters = null;
+let colorRegisters = null;
+
+/**
+ * Encode a bitmap as a Sixel image
+ * @param {Bitmap} bitmap - Frame to encode
+ * @param {Uint8Array|null} hidden - Non-zero for pixels to leave unpainted (optional)
+ * @returns {string} DCS sequence, drawn at the cursor
+ */
+export function encodeSixel(bitmap, hidden = null) {
+  const { pixels, width, height, channels } = bitmap;
+  const count = width * height;
+
+  // Color register per pixel
+  const registers = new Uint8Array(count);
+  const used = new Uint8Array(256);
+  if (channels === 1) {
+    for (let i = 0; i < count; i++) {
+      registers[i] = pixels[i] >> 2;
+      used[registers[i]] = 1;
+    }
+  } else {
+    for (let i = 0, p = 0; i < count; i++, p += 3) {
+      registers[i] = rgbToAnsi256((pixels[p] << 16) | (pixels[p + 1] << 8) | pixels[p + 2]) - 16;
+      used[registers[i]] = 1;
+    }
+  }
+
+  // 1:1 pixel aspect, unpainted pixels stay as they are
+  let output = `\x1bP9;1;0q"1;1;${width};${height}`;
+
+  const definitions = channels === 1 ? getGrayRegisters() : getColorRegisters();
+  for (let register = 0; register < definitions.length; register++) {
+    if (used[register]) output += definitions[register];
+  }
+
+  // Per register in the current band: column bits and the columns it spans
+  const bits = new Uint8Array(256 * width);
+  const first = new Int32Array(256);
+  const last = new Int32Array(256);
+  const inBand = new Uint8Array(256);
+  const bandRegisters = [];
+
+  for (let top = 0; top < height; top += 6) {
+    const bandHeight = Math.min(6, height - top);
+    bandRegisters.length = 0;
+
+    for (let row = 0; row < bandHeight; row++) {
+      const bit = 1 << row;
+      const rowStart = (top + row) * width;
+
+      for (let x = 0; x < width; x++) {
+        const i = rowStart + x;
+        if (hidden && hidden[i]) continue;
+
+        const register = registers[i];
+        const offset = register * width;
+        if (!inBand[register]) {
+          inBand[register] = 1;
+          bandRegisters.push(register);
+          first[register] = x;
+          last[register] = x;
+        } else if (x < first[register]) {
+          first[register] = x;
+        } else if (x > last[register]) {
+          last[register] = x;
+        }
+        bits[offset + x] |= bit;
+      }
+    }
+
+    for (let k = 0; k < bandRegisters.length; k++) {
+      const register = bandRegisters[k];
+      if (k > 0) output += '$';  // Back to the start of the band for the next color
+      output += `#${register}` + encodeRow(bits, register * width, first[register], last[register]);
+      bits.fill(0, register * width + first[register], register * width + last[register] + 1);
+      inBand[register] = 0;
+    }
+
+    if (top + 6 < height) output += '-';
+  }
+
+  return output + '\x1b\\';
+}
+
+/**
+ * Encode one register's columns in a band, with run-length compression
+ * @param {Uint8Array} bits - Column bits
+ * @param {number} offset - Index of column 0 for the register
+ * @param {number} start - First column with a pixel
+ * @param {number} end - Last column with a pixel
+ * @returns {string} Sixel characters
+ * @private
+ */
+function encodeRow(bits, offset, start, end) {
+  let output = start > 0 ? encodeRun(63, start) : '';
+
+  let runChar = bits[offset + start] + 63;
+  let runLength = 1;
+  for (let x = start + 1; x <= end; x++) {
+    const char = bits[offset + x] + 63;
+    if (char === runChar) {
+      runLength++;
+      continue;
+    }
+    output += encodeRun(runChar, runLength);
+    runChar = char;
+    runLength = 1;
+  }
+
+  return output + encodeRun(runChar, runLength);
+}
+
+/**
+ * Encode a run of one sixel character
+ * @private
+ */
+function encodeRun(char, length) {
+  const text = String.fromCharCode(char);
+  return length > 3 ? `!${length}${text}` : text.repeat(length);
+}
+
+/**
+ * Register definitions for gray frames
+ * @returns {Array<string>}
+ * @private
+ */
+function getGrayRegisters() {
+  if (!grayRegisters) {
+    grayRegisters = Array.from({ length: GRAY_LEVELS }, (_, level) => {
+      const percent = Math.round((level * 100) / (GRAY_LEVELS - 1));
+      return `#${level};2;${percent};${percent};${percent}`;
+    });
+  }
+  return grayRegisters;
+}
+
+/**
+ * Register definitions for color frames (xterm palette entries 16-255)
+ * @returns {Array<string>}
+ * @private
+ */
+function getColorRegisters() {
+  if (!colorRegisters) {
+    colorRegisters = Array.from({ length: 240 }, (_, register) => {
+      const color = ansi256ToRgb(register + 16);
+      const percent = (value) => Math.round((value * 100) / 255);
+      return `#${register};2;${percent(color >> 16)};${percent((color >> 8) & 0xff)};${percent(color & 0xff)}`;
+    });
+  }
+  return colorRegisters;
+}
@@ -1,10 +1,24 @@
 import ImageConverter from './converter.js';
+import ConversionPool from './conversion-pool.js';
+import EffectChain from '../effects/effect-chain.js';
 
 class TerminalRenderer {
-  constructor(webcamCapture, config) {
+  /**
+   * @param {Object} webcamCapture - Frame source with getLatestFrame()
+   * @param {Object} config - Webcam config (targetFPS, delay)
+   * @param {Object} options - { workers: conversion worker count, 0 to convert on
+   *   the main thread (default: see ConversionPool) }
+   */
+  constructor(webcamCapture, config, options = {}) {
     this.webcam = webcamCapture;
     this.config = config;
+    // Holds the settings; converts frames itself only without workers
     this.converter = new ImageConverter();
+    this.effects = new EffectChain();
+    this.pool = options.workers === 0 ? null : new ConversionPool(options.workers);
+    this.lastJob = 0;  // Newest conversion started
+    this.lastShownJob = 0;  // Newest conversion shown, older results are dropped
+    this.dimensions = { width: 0, height: 0 };
     this.isRunning = false;
     this.timeoutId = null;
     this.frameCount = 0;
@@ -12,35 +26,84 @@ class TerminalRenderer {
     this.currentFps = 0;
     this.onFrameCallback = null;
     this.onStatsCallback = null;
+    this.onErrorCallback = null;
+    this.recorder = null;  // Gets every frame shown, e.g. an AsciicastRecorder
 
     // Performance monitoring
     this.performanceStats = {
       captureTime: 0,
       sharpTime: 0,
       totalTime: 0,
-      sampleCount: 0
+      sampleCount: 0,
+      droppedFrames: 0
     };
     this.enablePerfLogging = false;  // Hidden by default, toggle with 'l' key
   }
 
   /**
    * Start the rendering loop
-   * @param {Function} onFrame - Callback function(frameString) called with each rendered frame
+   * @param {Function} onFrame - Callback function(frame) called with each rendered
+   *   CellGrid (or Bitmap with inline graphics)
    * @param {Function} onStats - Callback function(stats) called with performance stats
+   * @param {Function} onError - Optional callback function(error) called when a frame
+   *   fails to convert; errors go to the console without it
    */
-  start(onFrame, onStats) {
+  start(onFrame, onStats, onError = null) {
     if (this.isRunning) return;
 
     this.onFrameCallback = onFrame;
     this.onStatsCallback = onStats;
+    this.onErrorCallback = onError;
     this.isRunning = true;
     this.frameCount = 0;
     this.lastFpsUpdate = Date.now();
 
+    if (this.pool) {
+      this.pool.start();
+    }
+
     // Start capture loop with recursive setTimeout to properly handle async operations
     this._scheduleNextFrame();
   }
 
+  /**
+   * Start the conversion workers without the rendering loop, for callers that
+   * convert every frame themselves with convertFrame()
+   */
+  startConversion() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    if (this.pool) {
+      this.pool.start();
+    }
+  }
+
+  /**
+   * Convert a frame at the current dimensions and settings
+   * On workers when there are any; the caller makes sure one is free
+   * @param {Object} frame - Frame from a FrameSource
+   * @returns {Promise<Object>} { result: CellGrid|Bitmap|null, convertTime, dimensions }
+   *   with convertTime in milliseconds
+   */
+  async convertFrame(frame) {
+    const dimensions = this._getTerminalDimensions();
+
+    if (this.pool && this.pool.isAvailable()) {
+      const { result, convertTime } = await this.pool.convert(frame, dimensions.width, dimensions.height);
+      return { result, convertTime, dimensions };
+    }
+
+    // Convert to terminal format (sharp processes buffer directly)
+    const start = performance.now();
+    const result = await this.converter.convertToTerminal(
+      await this.effects.apply(frame, this.converter.colorDepth !== 'gray'),
+      dimensions.width,
+      dimensions.height
+    );
+    return { result, convertTime: performance.now() - start, dimensions };
+  }
+
   /**
    * Stop the rendering loop
    */
@@ -52,6 +115,9 @@ class TerminalRenderer {
       clearTimeout(this.timeoutId);
       this.timeoutId = null;
     }
+    if (this.pool) {
+      this.pool.stop();
+    }
   }
 
   /**
@@ -83,30 +149,38 @@ class TerminalRenderer {
       // OPTIMIZATION #1 & #3: Get latest frame from capture system
       // Frame is already being captured continuously in the background
       const captureStart = performance.now();
-      const frameBuffer = this.webcam.getLatestFrame();  // Synchronous - just gets cached frame
+      const frame = this.webcam.getLatestFrame();  // Synchronous - just gets cached frame
       const captureTime = performance.now() - captureStart;
 
-      if (!frameBuffer) {
+      if (!frame) {
         // Frame not ready yet (first few frames), next frame already scheduled
         return;
       }
 
-      // Get terminal dimensions (will be provided by UI)
-      const dimensions = this._getTerminalDimensions();
+      // Workers all busy: skip this frame rather than queue it
+      if (this.pool && this.pool.isAvailable() && this.pool.isBusy()) {
+        this.performanceStats.droppedFrames++;
+        return;
+      }
+
+      const job = ++this.lastJob;
+      const { result: terminalFrame, convertTime: sharpTime, dimensions } = await this.convertFrame(frame);
 
-      // Convert to terminal format (sharp processes buffer directly)
-      const sharpStart = performance.now();
-      const terminalFrame = await this.converter.convertToTerminal(
-        frameBuffer,
-        dimensions.width,
-        dimensions.height
-      );
-      const sharpTime = performance.now() - sharpStart;
+      // A newer frame finished first on another worker
+      if (job < this.lastShownJob || !this.isRunning) {
+        this.performanceStats.droppedFrames++;
+        return;
+      }
+      this.lastShownJob = job;
+      this.dimensions = { width: dimensions.width, height: dimensions.height };
 
       // Send frame to display callback
       if (this.onFrameCallback) {
         this.onFrameCallback(terminalFrame);
       }
+      if (this.recorder) {
+        this.recorder.writeFrame(terminalFrame);
+      }
 
       const totalTime = performance.now() - frameStart;
 
@@ -117,8 +191,12 @@ class TerminalRenderer {
       this._updateFps();
 
     } catch (error) {
-      console.error('Render loop error:', error);
       // Next frame already scheduled, loop continues
+      if (this.onErrorCallback) {
+        this.onErrorCallback(error);
+      } else {
+        console.error('Render loop error:', error);
+      }
     }
   }
 
@@ -143,6 +221,7 @@ class TerminalRenderer {
       console.log(`  ${isHW ? 'Convert' : 'Sharp'}:  ${(this.performanceStats.sharpTime / samples).toFixed(2)}ms ${isHW ? '← GPU accelerated!' : ''}`);
       console.log(`  Total:   ${(this.performanceStats.totalTime / samples).toFixed(2)}ms`);
       console.log(`  FPS:     ${this.currentFps}`);
+      console.log(`  Dropped: ${this.performanceStats.droppedFrames} (conversion busy)`);
 
       if (isHW) {
         console.log(`  💡 Hardware acceleration active - GPU doing the heavy lifting!`);
@@ -153,7 +232,8 @@ class TerminalRenderer {
         captureTime: 0,
         sharpTime: 0,
         totalTime: 0,
-        sampleCount: 0
+        sampleCount: 0,
+        droppedFrames: 0
       };
     }
   }
@@ -177,7 +257,7 @@ class TerminalRenderer {
           fps: this.currentFps,
           targetFps: this.config.targetFPS,
           frameCount: this.frameCount,
-          dimensions: this.converter.getDimensions()
+          dimensions: this.dimensions
         });
       }
 
@@ -205,6 +285,14 @@ class TerminalRenderer {
     this._getTerminalDimensions = dimensionFn;
   }
 
+  /**
+   * Set where shown frames are recorded
+   * @param {Object|null} recorder - Object with writeFrame(frame), or null to stop
+   */
+  setRecorder(recorder) {
+    this.recorder = recorder;
+  }
+
   /**
    * Get current FPS
    */
@@ -235,6 +323,166 @@ class TerminalRenderer {
    */
   setCharacterSet(charRamp) {
     this.converter.setCharacterRamp(charRamp);
+    this._syncSettings();
+  }
+
+  /**
+   * Set how frames are scaled into the video box
+   * @param {Object} viewport - { mode: 'fit'|'fill'|'stretch', cellAspect }
+   */
+  setViewport(viewport) {
+    this.converter.setViewport(viewport);
+    this._syncSettings();
+  }
+
+  /**
+   * Set how pixels are mapped to characters
+   * Changes the capture size, so follow with getCaptureSettings()
+   * @param {string} name - Render mode name (see render-modes.js)
+   */
+  setRenderMode(name) {
+    this.converter.setRenderMode(name);
+    this._syncSettings();
+  }
+
+  /**
+   * Switch between text rendering and inline graphics
+   * Changes the capture size, so follow with getCaptureSettings()
+   * @param {string|null} protocol - 'kitty' or 'sixel', or null for text
+   * @param {Object} cellSize - Terminal cell size in pixels { width, height }
+   */
+  setGraphics(protocol, cellSize) {
+    this.converter.setGraphics(protocol ? { protocol, cellSize } : null);
+    this._syncSettings();
+  }
+
+  /**
+   * Update brightness, contrast, gamma, invert and levels
+   * @param {Object} adjustments - Any of { brightness, contrast, gamma, invert, levels }
+   */
+  setAdjustments(adjustments) {
+    this.converter.setAdjustments(adjustments);
+    this._syncSettings();
+  }
+
+  /**
+   * Set the dither mode for ASCII and braille rendering
+   * @param {string} name - Dither mode name (see dither.js)
+   */
+  setDither(name) {
+    this.converter.setDither(name);
+    this._syncSettings();
+  }
+
+  /**
+   * Adjust the current render mode's parameter by a number of steps
+   * @param {number} steps - Steps to move (negative to decrease)
+   * @returns {Object|null} { parameter, value }, or null if the mode has no parameter
+   */
+  adjustModeParameter(steps) {
+    const mode = this.converter.renderMode;
+    if (!mode.parameter) return null;
+
+    const current = this.converter.getModeParameter(mode.name);
+    const value = this.converter.setModeParameter(mode.name, current + steps * mode.parameter.step);
+    this._syncSettings();
+    return { parameter: mode.parameter, value };
+  }
+
+  /**
+   * Set a render mode's parameter
+   * @param {string} name - Render mode name
+   * @param {number} value - New value
+   */
+  setModeParameter(name, value) {
+    this.converter.setModeParameter(name, value);
+    this._syncSettings();
+  }
+
+  /**
+   * Get a render mode's parameter
+   * @param {string} name - Render mode name
+   * @returns {number|null} Value, or null if the mode has no parameter
+   */
+  getModeParameter(name) {
+    return this.converter.getModeParameter(name);
+  }
+
+  /**
+   * Work out what the capture has to deliver for a grid
+   * Render modes that pack several pixels into a character need frames at
+   * that multiple of the grid, with the aspect correction of one pixel
+   * @param {number} cols - Grid width in cells
+   * @param {number} rows - Grid height in cells
+   * @returns {Object} { width, height, viewport } for the capture
+   */
+  getCaptureSettings(cols, rows) {
+    return {
+      ...this.converter.getPixelSize(cols, rows),
+      viewport: this.converter.getPixelViewport()
+    };
+  }
+
+  /**
+   * Switch on exactly the given effects, in that order
+   * @param {Array<string>} names - Effect names (see effects/index.js)
+   */
+  setEffects(names) {
+    this.effects.setEnabled(names);
+    this._syncSettings();
+  }
+
+  /**
+   * Switch an effect on or off
+   * @param {string} name - Effect name
+   * @returns {boolean} Whether it is now on
+   */
+  toggleEffect(name) {
+    const enabled = this.effects.toggle(name);
+    this._syncSettings();
+    return enabled;
+  }
+
+  /**
+   * Move an effect earlier or later in the chain
+   * @param {string} name - Effect name
+   * @param {number} delta - -1 for earlier, 1 for later
+   * @returns {number} Its new index
+   */
+  moveEffect(name, delta) {
+    const index = this.effects.move(name, delta);
+    this._syncSettings();
+    return index;
+  }
+
+  /**
+   * Get every effect in chain order
+   * @returns {Array<Object>} { effect, enabled }
+   */
+  listEffects() {
+    return this.effects.list();
+  }
+
+  /**
+   * Pass the converter and effect settings on to the conversion workers
+   * @private
+   */
+  _syncSettings() {
+    if (this.pool) {
+      this.pool.configure({
+        converter: this.converter.getSettings(),
+        effects: this.effects.getSettings()
+      });
+    }
+  }
+
+  /**
+   * Set the color depth of rendered frames
+   * @param {string} colorDepth - 'gray', '256' or 'truecolor'
+   */
+  setColorDepth(colorDepth) {
+    this.converter.setColorDepth(colorDepth);
+    this._syncSettings();
   }
 }
 
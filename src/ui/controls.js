@@ -1,67 +1,215 @@
 import chalk from 'chalk';
 
+// Help lines: keys, description, and the handler that must be set for the line to show
+const HELP_ENTRIES = [
+  ['q, ESC', 'Quit application'],
+  ['h, ?', 'Toggle this help'],
+  ['space', 'Pause/resume playback', 'onTogglePause'],
+  ['n, b', 'Step a frame forward/back', 'onStep'],
+  ['[, ]', 'Seek -5s / +5s', 'onSeek'],
+  ['{, }', 'Speed slower/faster (0.25×-4×)', 'onChangeSpeed'],
+  ['s, S', 'Save snapshot, in every format (image, text, ANSI)', 'onSnapshot'],
+  ['r', 'Start/stop recording (asciinema .cast)', 'onToggleRecording'],
+  ['R', 'Start/stop recording the camera video', 'onToggleVideoRecording'],
+  ['l', 'Toggle performance logs', 'onToggleLogs'],
+  ['→, .', 'Next character set', 'onNextCharset'],
+  ['←, ,', 'Previous character set', 'onPrevCharset'],
+  ['p', 'Next test pattern (test source)', 'onNextPattern'],
+  ['c', 'Next camera', 'onNextCamera'],
+  ['a', 'Cycle scale mode (fit/fill/stretch)', 'onCycleScale'],
+  ['k', 'Cycle color (gray/256/truecolor)', 'onCycleColor'],
+  ['m', 'Cycle render mode (ASCII/half blocks/braille/edges)', 'onCycleRenderMode'],
+  ['-, =', 'Adjust mode parameter (braille contrast, edge threshold)', 'onAdjustParameter'],
+  ['d', 'Cycle dithering (none/FS/Atkinson/Bayer/blue noise)', 'onCycleDither'],
+  ['1/2, 3/4', 'Brightness -/+, contrast -/+', 'onAdjustImage'],
+  ['5/6', 'Gamma -/+', 'onAdjustImage'],
+  ['i, v, 0', 'Invert, levels (off/auto/equalize), reset', 'onToggleInvert'],
+  ['g', 'Toggle inline graphics (Kitty/Sixel)', 'onToggleGraphics'],
+  ['e', 'Effects menu (mirror, thermal, matrix rain, ...)', 'onEffectsMenu']
+];
+
 class Controls {
   constructor(screen) {
     this.screen = screen;
     this.helpVisible = false;
-    this.onQuitCallback = null;
-    this.onSnapshotCallback = null;
-    this.onToggleLogsCallback = null;
-    this.onNextCharsetCallback = null;
-    this.onPrevCharsetCallback = null;
+    this.effectsMenuOpen = false;
+    this.menuActive = false;  // Whether the menu was open when the current key arrived
+    this.handlers = {};
   }
 
   /**
    * Setup keyboard controls
+   * @param {Object} handlers - Callbacks keyed by action
+   * @param {Function} handlers.onQuit - Quit the application
+   * @param {Function} handlers.onSnapshot - Save a snapshot
+   * @param {Function} handlers.onSnapshotAll - Save a snapshot in every format
+   * @param {Function} handlers.onToggleRecording - Start or stop recording to a .cast file
+   * @param {Function} handlers.onToggleVideoRecording - Start or stop recording the camera video
+   * @param {Function} handlers.onToggleLogs - Toggle performance logs
+   * @param {Function} handlers.onNextCharset - Switch to the next character set
+   * @param {Function} handlers.onPrevCharset - Switch to the previous character set
+   * @param {Function} handlers.onSeek - Seek playback, called with a delta in seconds
+   * @param {Function} handlers.onTogglePause - Pause or resume playback
+   * @param {Function} handlers.onStep - Step playback by frames, called with +1 or -1
+   * @param {Function} handlers.onChangeSpeed - Change playback speed, called with +1 or -1
+   * @param {Function} handlers.onNextPattern - Switch to the next test pattern
+   * @param {Function} handlers.onNextCamera - Switch to the next camera
+   * @param {Function} handlers.onCycleScale - Cycle the scale mode (fit, fill, stretch)
+   * @param {Function} handlers.onCycleColor - Cycle the color depth (gray, 256, truecolor)
+   * @param {Function} handlers.onCycleRenderMode - Cycle the render mode (ASCII, half blocks, braille, edges)
+   * @param {Function} handlers.onAdjustParameter - Adjust the render mode's parameter, called with +1 or -1
+   * @param {Function} handlers.onCycleDither - Cycle the dither mode
+   * @param {Function} handlers.onAdjustImage - Step an image adjustment, called with
+   *   ('brightness'|'contrast'|'gamma', +1 or -1)
+   * @param {Function} handlers.onToggleInvert - Toggle inverted brightness
+   * @param {Function} handlers.onCycleLevels - Cycle levels (off, auto, equalize)
+   * @param {Function} handlers.onResetAdjustments - Reset all image adjustments
+   * @param {Function} handlers.onToggleGraphics - Toggle inline graphics (Kitty/Sixel)
+   * @param {Function} handlers.onEffectsMenu - Drive the effects menu, called with
+   *   'open', 'close', 'up', 'down', 'toggle', 'earlier' or 'later'
    */
-  setup(onQuit, onSnapshot, onToggleLogs, onNextCharset, onPrevCharset) {
-    this.onQuitCallback = onQuit;
-    this.onSnapshotCallback = onSnapshot;
-    this.onToggleLogsCallback = onToggleLogs;
-    this.onNextCharsetCallback = onNextCharset;
-    this.onPrevCharsetCallback = onPrevCharset;
-
-    // Quit on 'q', 'ESC', or Ctrl+C
-    this.screen.key(['q', 'Q', 'escape', 'C-c'], () => {
-      if (this.onQuitCallback) {
-        this.onQuitCallback();
-      }
+  setup(handlers) {
+    this.handlers = handlers;
+
+    // Registered first, so it runs before the key handlers of the same key:
+    // the key that opens the menu is not also taken as a menu key
+    this.screen.on('keypress', () => {
+      this.menuActive = this.effectsMenuOpen;
+    });
+
+    // Quit on 'q', 'ESC', or Ctrl+C (ESC closes the effects menu instead while it is open)
+    this._bind(['q', 'Q', 'escape'], 'onQuit');
+    this.screen.key(['C-c'], () => {
+      this.handlers.onQuit();
     });
 
     // Toggle help on 'h' or '?'
     this.screen.key(['h', 'H', '?'], () => {
-      this.toggleHelp();
+      if (!this.menuActive) this.toggleHelp();
     });
 
-    // Take snapshot on 's' or 'S'
-    this.screen.key(['s', 'S'], () => {
-      if (this.onSnapshotCallback) {
-        this.onSnapshotCallback();
-      }
+    // Open and close the effects menu on 'e', where there is one
+    this.screen.key(['e'], () => {
+      if (this.handlers.onEffectsMenu) this.toggleEffectsMenu();
     });
 
-    // Toggle performance logs on 'l' or 'L'
-    this.screen.key(['l', 'L'], () => {
-      if (this.onToggleLogsCallback) {
-        this.onToggleLogsCallback();
-      }
+    // Effects menu: arrows select, space/enter toggle, '['/']' or shift+arrows reorder
+    this._bindMenu(['up'], 'up');
+    this._bindMenu(['down'], 'down');
+    this._bindMenu(['space', 'enter'], 'toggle');
+    this._bindMenu(['[', 'S-up'], 'earlier');
+    this._bindMenu([']', 'S-down'], 'later');
+    this.screen.key(['escape'], () => {
+      if (this.menuActive) this.toggleEffectsMenu();
     });
 
+    // Take snapshot on 's', in every format on 'S'
+    this._bind(['s'], 'onSnapshot');
+    this._bind(['S-s'], 'onSnapshotAll');
+
+    // Start or stop recording on 'r', the camera video on 'R'
+    this._bind(['r'], 'onToggleRecording');
+    this._bind(['S-r'], 'onToggleVideoRecording');
+
+    // Toggle performance logs on 'l' or 'L'
+    this._bind(['l', 'L'], 'onToggleLogs');
+
     // Cycle to next character set with right arrow or '.'
-    this.screen.key(['right', '.', '>'], () => {
-      if (this.onNextCharsetCallback) {
-        this.onNextCharsetCallback();
+    this._bind(['right', '.', '>'], 'onNextCharset');
+
+    // Cycle to previous character set with left arrow or ','
+    this._bind(['left', ',', '<'], 'onPrevCharset');
+
+    // Seek playback by 5 seconds with '[' and ']'
+    this._bind(['['], 'onSeek', -5);
+    this._bind([']'], 'onSeek', 5);
+
+    // Pause playback on space, step frames with 'n' and 'b', change speed with '{' and '}'
+    this._bind(['space'], 'onTogglePause');
+    this._bind(['n'], 'onStep', 1);
+    this._bind(['b'], 'onStep', -1);
+    this._bind(['{'], 'onChangeSpeed', -1);
+    this._bind(['}'], 'onChangeSpeed', 1);
+
+    // Cycle test patterns on 'p'
+    this._bind(['p'], 'onNextPattern');
+
+    // Cycle cameras on 'c'
+    this._bind(['c'], 'onNextCamera');
+
+    // Cycle scale mode on 'a'
+    this._bind(['a'], 'onCycleScale');
+
+    // Cycle color depth on 'k'
+    this._bind(['k'], 'onCycleColor');
+
+    // Cycle render mode on 'm'
+    this._bind(['m'], 'onCycleRenderMode');
+
+    // Adjust the render mode's parameter with '-' and '=' (or '+')
+    this._bind(['-'], 'onAdjustParameter', -1);
+    this._bind(['=', '+'], 'onAdjustParameter', 1);
+
+    // Cycle dither mode on 'd'
+    this._bind(['d'], 'onCycleDither');
+
+    // Image adjustments: '1'/'2' brightness, '3'/'4' contrast, '5'/'6' gamma
+    this._bind(['1'], 'onAdjustImage', 'brightness', -1);
+    this._bind(['2'], 'onAdjustImage', 'brightness', 1);
+    this._bind(['3'], 'onAdjustImage', 'contrast', -1);
+    this._bind(['4'], 'onAdjustImage', 'contrast', 1);
+    this._bind(['5'], 'onAdjustImage', 'gamma', -1);
+    this._bind(['6'], 'onAdjustImage', 'gamma', 1);
+
+    // Invert on 'i', levels on 'v', reset adjustments on '0'
+    this._bind(['i'], 'onToggleInvert');
+    this._bind(['v'], 'onCycleLevels');
+    this._bind(['0'], 'onResetAdjustments');
+
+    // Toggle inline graphics on 'g'
+    this._bind(['g'], 'onToggleGraphics');
+  }
+
+  /**
+   * Bind keys to a handler, ignoring handlers that were not provided
+   * @param {Array<string>} keys - Blessed key names
+   * @param {string} name - Handler name
+   * @param {...*} args - Arguments passed to the handler
+   * @private
+   */
+  _bind(keys, name, ...args) {
+    this.screen.key(keys, () => {
+      // The effects menu takes all keys while it is open
+      if (this.handlers[name] && !this.menuActive) {
+        this.handlers[name](...args);
       }
     });
+  }
 
-    // Cycle to previous character set with left arrow or ','
-    this.screen.key(['left', ',', '<'], () => {
-      if (this.onPrevCharsetCallback) {
-        this.onPrevCharsetCallback();
+  /**
+   * Bind keys to an effects menu action, active only while the menu is open
+   * @param {Array<string>} keys - Blessed key names
+   * @param {string} action - Action passed to onEffectsMenu
+   * @private
+   */
+  _bindMenu(keys, action) {
+    this.screen.key(keys, () => {
+      if (this.menuActive && this.handlers.onEffectsMenu) {
+        this.handlers.onEffectsMenu(action);
       }
     });
   }
 
+  /**
+   * Open or close the effects menu
+   */
+  toggleEffectsMenu() {
+    this.effectsMenuOpen = !this.effectsMenuOpen;
+    if (this.handlers.onEffectsMenu) {
+      this.handlers.onEffectsMenu(this.effectsMenuOpen ? 'open' : 'close');
+    }
+  }
+
   /**
    * Toggle help overlay
    */
@@ -75,20 +223,41 @@ class Controls {
    * Get help text
    */
   getHelpText() {
+    const lines = HELP_ENTRIES
+      .filter(([, , handler]) => !handler || this.handlers[handler])
+      .map(([keys, description]) => chalk.white(keys.padEnd(11)) + chalk.gray(`- ${description}`));
+
     return [
       chalk.bold.cyan('Keyboard Controls:'),
       '',
-      chalk.white('q, ESC     ') + chalk.gray('- Quit application'),
-      chalk.white('h, ?       ') + chalk.gray('- Toggle this help'),
-      chalk.white('s          ') + chalk.gray('- Save snapshot'),
-      chalk.white('l          ') + chalk.gray('- Toggle performance logs'),
-      chalk.white('→, .       ') + chalk.gray('- Next character set'),
-      chalk.white('←, ,       ') + chalk.gray('- Previous character set'),
+      ...lines,
       '',
       chalk.dim('Press h or ? to close this help')
     ].join('\n');
   }
 
+  /**
+   * Get effects menu text
+   * @param {Array<Object>} entries - { effect, enabled } in chain order
+   * @param {number} selected - Index of the selected entry
+   */
+  getEffectsMenuText(entries, selected) {
+    const lines = entries.map(({ effect, enabled }, index) => {
+      const pointer = index === selected ? chalk.yellow('›') : ' ';
+      const check = enabled ? chalk.green('[x]') : chalk.gray('[ ]');
+      const label = index === selected ? chalk.bold.white(effect.label.padEnd(12)) : chalk.white(effect.label.padEnd(12));
+      return `${pointer} ${check} ${label} ${chalk.gray(effect.description)}`;
+    });
+
+    return [
+      chalk.bold.cyan('Effects') + chalk.gray(' (applied top to bottom)'),
+      '',
+      ...lines,
+      '',
+      chalk.dim('↑/↓ select, space toggle, [ ] move, e or ESC close')
+    ].join('\n');
+  }
+
   /**
    * Check if help is visible
    */
@@ -0,0 +1,92 @@
+import { encodeSixel } from '../renderer/sixel.js';
+import { encodeKitty, deleteKittyImage } from '../renderer/kitty.js';
+
+// Kitty image id of the video; any fixed id works, one image is shown at a time
+const KITTY_IMAGE_ID = 31;
+
+/**
+ * Writes bitmaps to the terminal as inline graphics
+ *
+ * Images cannot go through blessed's element content, so frames are drawn
+ * straight to the terminal after blessed has rendered, at the top left of
+ * the video box. Pixels under overlays (help, notifications) are left out,
+ * transparent for Kitty and unpainted for Sixel, so the overlays stay
+ * readable.
+ */
+class GraphicsOutput {
+  /**
+   * @param {Object} program - Blessed program (terminal writer)
+   * @param {string} protocol - 'kitty' or 'sixel'
+   */
+  constructor(program, protocol) {
+    this.program = program;
+    this.protocol = protocol;
+  }
+
+  /**
+   * Draw a bitmap into a region of the terminal
+   * @param {Bitmap} bitmap - Frame to draw
+   * @param {Object} region - Target area in screen cells { left, top, width, height }
+   * @param {Array<Object>} masks - Areas to leave alone, as blessed lpos { xi, xl, yi, yl }
+   *   (right and bottom edges exclusive)
+   * @returns {number} Bytes written
+   */
+  write(bitmap, region, masks = []) {
+    // Frames rendered for a larger box (mid-resize) would spill over the border
+    if (bitmap.cols > region.width || bitmap.rows > region.height) return 0;
+
+    const hidden = this._getHiddenPixels(bitmap, region, masks);
+
+    let output = `\x1b7\x1b[${region.top + 1};${region.left + 1}H`;
+    output += this.protocol === 'kitty'
+      ? encodeKitty(bitmap, { id: KITTY_IMAGE_ID, hidden })
+      : encodeSixel(bitmap, hidden);
+    output += '\x1b8';
+
+    this.program._write(output);
+    return Buffer.byteLength(output);
+  }
+
+  /**
+   * Remove what the output has drawn, where the terminal keeps it apart from text
+   * Sixel pixels are part of the cells and go when text is drawn over them
+   */
+  clear() {
+    if (this.protocol === 'kitty') {
+      this.program._write(deleteKittyImage(KITTY_IMAGE_ID));
+    }
+  }
+
+  /**
+   * Mark the pixels of cells covered by a mask
+   * @param {Bitmap} bitmap - Frame
+   * @param {Object} region - Screen area of the frame
+   * @param {Array<Object>} masks - Covered areas
+   * @returns {Uint8Array|null} Non-zero per hidden pixel, or null if nothing is covered
+   * @private
+   */
+  _getHiddenPixels(bitmap, region, masks) {
+    const cellWidth = bitmap.width / bitmap.cols;
+    const cellHeight = bitmap.height / bitmap.rows;
+    let hidden = null;
+
+    for (const mask of masks) {
+      const x0 = Math.max(0, mask.xi - region.left);
+      const x1 = Math.min(bitmap.cols, mask.xl - region.left);
+      const y0 = Math.max(0, mask.yi - region.top);
+      const y1 = Math.min(bitmap.rows, mask.yl - region.top);
+      if (x0 >= x1 || y0 >= y1) continue;
+
+      hidden = hidden || new Uint8Array(bitmap.width * bitmap.height);
+      const left = Math.floor(x0 * cellWidth);
+      const right = Math.ceil(x1 * cellWidth);
+      for (let y = Math.floor(y0 * cellHeight); y < Math.ceil(y1 * cellHeight); y++) {
+        hidden.fill(1, y * bitmap.width + left, y * bitmap.width + right);
+      }
+    }
+
+    return hidden;
+  }
+}
+
+export default GraphicsOutput;
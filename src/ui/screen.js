@@ -1,22 +1,58 @@
 import blessed from 'blessed';
 import chalk from 'chalk';
+import VideoOutput from './video-output.js';
+import GraphicsOutput from './graphics-output.js';
+import Bitmap from '../renderer/bitmap.js';
 import { getVideoBoxDimensions } from '../utils/terminal-size.js';
+import { COLOR_DEPTH_LABELS } from '../renderer/ansi.js';
+import { formatSpeed } from '../player/playback.js';
 
 // Suppress blessed debug output
 process.env.BLESSED_DEBUG = '0';
 
+// Short status bar labels for capture modes
+const MODE_LABELS = {
+  hardware: 'FFmpeg',
+  software: 'Software',
+  file: 'File',
+  test: 'Test',
+  stdin: 'Stdin',
+  cast: 'Recording'
+};
+
+// Width of the playback progress bar in cells
+const PROGRESS_WIDTH = 12;
+
 class Screen {
   constructor() {
     this.screen = null;
     this.videoBox = null;
     this.statusBar = null;
     this.helpBox = null;
+    this.effectsBox = null;
+    this.videoOutput = null;
+    this.graphicsOutput = null;  // Set while inline graphics are on
+    this.videoGrid = null;  // Latest frame, redrawn after every blessed render
+    this.outputMeter = { bytes: 0, since: Date.now() };  // Video bytes written since `since`
+    this.notifications = new Set();
     this.stats = {
       fps: 0,
       targetFps: 0,
       frameCount: 0,
       dimensions: { width: 0, height: 0 },
-      charsetName: 'Blocks'
+      outputRate: null,  // Video bytes written to the terminal per second
+      charsetName: 'Blocks',
+      renderMode: null,  // Render mode label, shown instead of the character set outside ASCII mode
+      dither: null,  // Dither mode label, null when not dithering
+      graphics: null,  // Graphics protocol label, shown instead of the render mode with inline graphics
+      adjustments: null,  // Image adjustments summary, null when none are active
+      effects: null,  // Labels of the effects that are on, null when none are
+      scaleMode: null,  // 'fit', 'fill' or 'stretch'
+      colorDepth: null,  // 'gray', '256' or 'truecolor'
+      captureMode: null,  // 'hardware', 'software', 'file' or 'test'
+      playback: null,  // { position, duration, paused, speed } during playback
+      recording: null,  // { elapsed, bytes } while recording
+      videoRecording: null  // { elapsed } while recording the camera
     };
     // Performance optimization: batch renders
     this.renderScheduled = false;
@@ -28,8 +64,10 @@ class Screen {
 
   /**
    * Initialize the blessed screen and components
+   * @param {Object} options - Screen options
+   * @param {tty.ReadStream} options.input - Keyboard input stream (default process.stdin)
    */
-  initialize() {
+  initialize(options = {}) {
     // Temporarily suppress console output during blessed initialization
     // to prevent terminfo compiler debug output
     const originalLog = console.log;
@@ -53,7 +91,9 @@ class Screen {
         warnings: false,
         // Force standard terminal mode to avoid capability compilation
         terminal: 'xterm-256color',
-        forceUnicode: true
+        forceUnicode: true,
+        // Keyboard comes from /dev/tty when stdin carries video
+        ...(options.input && { input: options.input })
       });
     } finally {
       // Restore console methods
@@ -121,13 +161,42 @@ class Screen {
       }
     });
 
+    // Create effects menu overlay (hidden by default)
+    this.effectsBox = blessed.box({
+      top: 'center',
+      left: 'center',
+      width: 60,
+      height: 'shrink',
+      content: '',
+      tags: true,
+      hidden: true,
+      border: {
+        type: 'line'
+      },
+      style: {
+        fg: 'white',
+        bg: 'black',
+        border: {
+          fg: 'cyan'
+        }
+      }
+    });
+
     // Add components to screen
     this.screen.append(this.videoBox);
     this.screen.append(this.statusBar);
     this.screen.append(this.helpBox);
+    this.screen.append(this.effectsBox);
+
+    // Frames bypass blessed's content parsing and go out after each render
+    this.videoOutput = new VideoOutput(this.screen.program);
+    this.screen.on('render', () => {
+      this._drawVideo();
+    });
 
-    // Handle resize events
+    // Handle resize events; blessed repaints everything, video included
     this.screen.on('resize', () => {
+      this.videoOutput.invalidate();
       this.render();
     });
 
@@ -136,22 +205,78 @@ class Screen {
   }
 
   /**
-   * Update video content with ASCII frame
+   * Switch the video between text and inline graphics output
+   * @param {string|null} protocol - 'kitty' or 'sixel', or null for text
    */
-  updateVideo(content) {
-    if (this.videoBox) {
-      // Set the ASCII content directly
-      this.videoBox.setContent(content);
+  setGraphicsProtocol(protocol) {
+    if (this.graphicsOutput) {
+      this.graphicsOutput.clear();
+    }
+    this.graphicsOutput = protocol ? new GraphicsOutput(this.screen.program, protocol) : null;
+    // Sixel pixels replace the text that was there
+    this.videoOutput.invalidate();
+  }
+
+  /**
+   * Update video content with a rendered frame
+   * @param {CellGrid|Bitmap} grid - Frame from the converter
+   */
+  updateVideo(grid) {
+    if (this.videoBox && grid) {
+      if (!this.videoGrid) {
+        // Drop the startup message, frames are drawn over the empty box
+        this.videoBox.setContent('');
+      }
+      this.videoGrid = grid;
       this.pendingUpdates.video = true;
       this._scheduleRender();
     }
   }
 
+  /**
+   * Draw the latest frame inside the video box border, under any overlays
+   * @private
+   */
+  _drawVideo() {
+    if (!this.videoGrid || !this.videoBox.lpos) return;
+
+    const box = this.videoBox;
+    const region = {
+      left: box.lpos.xi + box.ileft,
+      top: box.lpos.yi + box.itop,
+      width: box.lpos.xl - box.lpos.xi - box.iwidth,
+      height: box.lpos.yl - box.lpos.yi - box.iheight
+    };
+
+    const overlays = [this.helpBox, this.effectsBox, ...this.notifications]
+      .filter(element => !element.hidden && element.lpos);
+
+    // Frames converted before a switch between text and graphics are dropped
+    const output = this.videoGrid instanceof Bitmap ? this.graphicsOutput : this.videoOutput;
+    if (!output) return;
+
+    this.outputMeter.bytes += output.write(this.videoGrid, region, overlays.map(element => element.lpos));
+  }
+
+  /**
+   * Get the video output rate since the last call
+   * @returns {number} Bytes per second
+   */
+  takeOutputRate() {
+    const now = Date.now();
+    const elapsed = Math.max(1, now - this.outputMeter.since);
+    const rate = (this.outputMeter.bytes * 1000) / elapsed;
+
+    this.outputMeter = { bytes: 0, since: now };
+    return rate;
+  }
+
   /**
    * Update stats
    */
   updateStats(stats) {
     this.stats = { ...this.stats, ...stats };
+    if (!this.statusBar) return;
     this.statusBar.setContent(this._getStatusText());
     this.pendingUpdates.stats = true;
     this._scheduleRender();
@@ -197,6 +322,24 @@ class Screen {
     this.render();
   }
 
+  /**
+   * Show the effects menu, or redraw it with new content
+   * @param {string} menuText - Menu lines
+   */
+  showEffectsMenu(menuText) {
+    this.effectsBox.setContent('\n  ' + menuText.replace(/\n/g, '\n  ') + '  \n');
+    this.effectsBox.show();
+    this.render();
+  }
+
+  /**
+   * Hide the effects menu
+   */
+  hideEffectsMenu() {
+    this.effectsBox.hide();
+    this.render();
+  }
+
   /**
    * Show notification message
    */
@@ -221,9 +364,11 @@ class Screen {
     });
 
     this.screen.append(notification);
+    this.notifications.add(notification);
     this.render();
 
     setTimeout(() => {
+      this.notifications.delete(notification);
       this.screen.remove(notification);
       this.render();
     }, duration);
@@ -234,21 +379,63 @@ class Screen {
    * @private
    */
   _getStatusText() {
-    const { fps, targetFps, dimensions, charsetName } = this.stats;
+    const {
+      fps, targetFps, dimensions, outputRate, charsetName, renderMode, dither, graphics,
+      adjustments, effects, captureMode, playback, recording, videoRecording, scaleMode, colorDepth
+    } = this.stats;
 
     const fpsText = fps > 0 ? `${fps}/${targetFps} FPS` : 'Starting...';
-    const dimText = dimensions.width > 0
+    const rateText = outputRate !== null ? chalk.cyan(` ${formatRate(outputRate)} `) + chalk.gray('|') : '';
+    const dimText = (dimensions.width > 0
       ? `${dimensions.width}x${dimensions.height}`
-      : '--';
+      : '--') + (scaleMode ? ` ${scaleMode}` : '');
+
+    const playbackText = playback
+      ? chalk.blue(` ${formatPlayback(playback)} `) + chalk.gray('|')
+      : '';
+
+    const colorText = colorDepth
+      ? chalk.white(` ${COLOR_DEPTH_LABELS[colorDepth]} `) + chalk.gray('|')
+      : '';
+
+    const adjustmentText = adjustments
+      ? chalk.blue(` ${adjustments} `) + chalk.gray('|')
+      : '';
+
+    const effectsText = effects
+      ? chalk.blue(` ${effects} `) + chalk.gray('|')
+      : '';
+
+    const renderText = graphics || `${renderMode || charsetName || 'Blocks'}${dither ? `, ${dither}` : ''}`;
+
+    const recordingText = recording
+      ? chalk.bold.red(` ● REC ${formatTime(recording.elapsed)} ${formatBytes(recording.bytes)} `) + chalk.gray('|')
+      : '';
+
+    const videoRecordingText = videoRecording
+      ? chalk.bold.red(` ● VIDEO ${formatTime(videoRecording.elapsed)} `) + chalk.gray('|')
+      : '';
+
+    const modeText = captureMode
+      ? chalk.white(` ${MODE_LABELS[captureMode] || captureMode} `) + chalk.gray('|')
+      : '';
 
     return chalk.bold.white(` Terminal Webcam `) +
            chalk.gray('|') +
+           recordingText +
+           videoRecordingText +
+           modeText +
            chalk.cyan(` ${fpsText} `) +
            chalk.gray('|') +
+           rateText +
            chalk.yellow(` ${dimText} `) +
            chalk.gray('|') +
-           chalk.magenta(` ${charsetName || 'Blocks'} `) +
+           chalk.magenta(` ${renderText} `) +
            chalk.gray('|') +
+           colorText +
+           adjustmentText +
+           effectsText +
+           playbackText +
            chalk.green(' Press h for help ');
   }
 
@@ -259,6 +446,66 @@ class Screen {
     return getVideoBoxDimensions();
   }
 
+  /**
+   * Work out the size of a terminal cell in pixels
+   * Asks for the text area size in pixels (CSI 14 t); many terminals answer,
+   * some (and most multiplexers) do not
+   * @returns {Promise<Object|null>} { width, height } in pixels (fractional when the
+   *   area includes padding), or null if the terminal did not tell
+   */
+  detectCellSize() {
+    return new Promise((resolve) => {
+      if (!this.screen) {
+        resolve(null);
+        return;
+      }
+
+      this.screen.program.manipulateWindow(14, (error, response) => {
+        const { cols, rows } = this.screen;
+        if (error || response.type !== 'window-size-pixels' ||
+            !response.width || !response.height || !cols || !rows) {
+          resolve(null);
+          return;
+        }
+
+        const width = response.width / cols;
+        const height = response.height / rows;
+        // Anything outside this range is a bogus report
+        const aspect = height / width;
+        resolve(aspect >= 0.5 && aspect <= 4 ? { width, height } : null);
+      });
+    });
+  }
+
+  /**
+   * Ask the terminal whether it can show Sixel graphics
+   * Terminals with Sixel list attribute 4 in their primary device
+   * attributes (CSI c)
+   * @returns {Promise<boolean>}
+   */
+  detectSixel() {
+    return new Promise((resolve) => {
+      if (!this.screen) {
+        resolve(false);
+        return;
+      }
+
+      // Blessed does not keep the attribute list, so read the raw reply
+      const program = this.screen.program;
+      let attributes = [];
+      const onData = (data) => {
+        const match = /\x1b\[\?([\d;]*)c/.exec(String(data));
+        if (match) attributes = match[1].split(';').map(Number);
+      };
+
+      program.on('data', onData);
+      program.sendDeviceAttributes('', (error) => {
+        program.removeListener('data', onData);
+        resolve(!error && attributes.includes(4));
+      });
+    });
+  }
+
   /**
    * Render the screen
    */
@@ -280,9 +527,67 @@ class Screen {
    */
   destroy() {
     if (this.screen) {
+      this.setGraphicsProtocol(null);
       this.screen.destroy();
     }
   }
 }
 
+/**
+ * Format a byte rate for the status bar
+ * @param {number} bytesPerSecond - Rate
+ * @returns {string} e.g. "512 B/s", "48.2 KB/s", "1.3 MB/s"
+ */
+function formatRate(bytesPerSecond) {
+  return `${formatBytes(bytesPerSecond)}/s`;
+}
+
+/**
+ * Format a byte count for the status bar
+ * @param {number} bytes - Size
+ * @returns {string} e.g. "512 B", "48.2 KB", "1.3 MB"
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${Math.round(bytes)} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format the playback state for the status bar
+ * @param {Object} playback - { position, duration, paused, speed }
+ * @returns {string} e.g. "▶ 0:12 ████░░░░░░░░ 0:45 2×"
+ */
+function formatPlayback({ position, duration, paused, speed = 1 }) {
+  const icon = paused ? '❚❚' : '▶';
+  const speedText = speed !== 1 ? ` ${formatSpeed(speed)}` : '';
+
+  // Without a known duration there is nothing to fill the bar against
+  if (!(duration > 0)) {
+    return `${icon} ${formatTime(position)}/${formatTime(duration)}${speedText}`;
+  }
+
+  const filled = Math.round(Math.min(1, Math.max(0, position / duration)) * PROGRESS_WIDTH);
+  const bar = '█'.repeat(filled) + '░'.repeat(PROGRESS_WIDTH - filled);
+  return `${icon} ${formatTime(position)} ${bar} ${formatTime(duration)}${speedText}`;
+}
+
+/**
+ * Format seconds as M:SS (or --:-- when unknown)
+ * @param {number} seconds - Time in seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    return seconds === 0 ? '0:00' : '--:--';
+  }
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${String(secs).padStart(2, '0')}`;
+}
+
 export default Screen;
@@ -0,0 +1,179 @@
+import { quantizeColor } from '../renderer/ansi.js';
+
+// Unchanged cells between two changed runs are rewritten rather than skipped
+// when a cursor move would cost more bytes than they do
+const MAX_GAP = 6;
+
+/**
+ * Writes rendered frames straight to the terminal
+ *
+ * Blessed parses colors in element content but reduces 24-bit colors to its
+ * 256-color palette, and re-parsing a full-screen frame of escapes every tick
+ * is slow. Frames are therefore drawn after blessed has rendered, skipping
+ * cells covered by overlays (help, notifications) so those stay on top.
+ *
+ * Only what changed is sent: the output remembers the characters and
+ * (quantized) colors it left on screen and writes just the changed runs of
+ * each row, positioned with cursor moves. A still scene costs nothing, which
+ * matters over slow links such as SSH.
+ */
+class VideoOutput {
+  /**
+   * @param {Object} program - Blessed program (terminal writer)
+   */
+  constructor(program) {
+    this.program = program;
+    // What is on screen { left, top, width, height, colorDepth, chars, fg, bg },
+    // with char 0 for cells in an unknown state; null before the first frame
+    this.previous = null;
+  }
+
+  /**
+   * Forget what is on screen, so the next frame is drawn in full
+   * Call whenever something else may have drawn over the video (resize,
+   * graphics output)
+   */
+  invalidate() {
+    this.previous = null;
+  }
+
+  /**
+   * Draw a grid into a region of the terminal, sending only changed cells
+   * @param {CellGrid} grid - Frame to draw, clipped to the region
+   * @param {Object} region - Target area in screen cells { left, top, width, height }
+   * @param {Array<Object>} masks - Areas to leave alone, as blessed lpos { xi, xl, yi, yl }
+   *   (right and bottom edges exclusive)
+   * @returns {number} Bytes written
+   */
+  write(grid, region, masks = []) {
+    const width = Math.min(grid.width, region.width);
+    const height = Math.min(grid.height, region.height);
+    if (width <= 0 || height <= 0) return 0;
+
+    const screen = this._getScreenState(grid, region, width, height);
+    const { chars, fg, bg } = screen;
+    const depth = grid.colorDepth;
+
+    // Colors the terminal currently has, unknown until the first escape
+    const state = { fg: null, bg: null };
+    let output = '';
+
+    for (let y = 0; y < height; y++) {
+      const screenY = region.top + y;
+      const rowStart = y * width;
+      const spans = this._getVisibleSpans(screenY, region.left, width, masks);
+
+      // Overlays draw over these cells, so they have to be redrawn once uncovered
+      let hiddenStart = 0;
+      for (const [x0, x1] of spans) {
+        chars.fill(0, rowStart + hiddenStart, rowStart + x0);
+        hiddenStart = x1;
+      }
+      chars.fill(0, rowStart + hiddenStart, rowStart + width);
+
+      for (const [x0, x1] of spans) {
+        let runStart = -1;
+        let runEnd = -1;
+
+        for (let x = x0; x < x1; x++) {
+          const cell = rowStart + x;
+          const source = y * grid.width + x;
+          const char = grid.chars[source];
+          const fgCode = quantizeColor(grid.fg[source], depth);
+          const bgCode = quantizeColor(grid.bg[source], depth);
+          if (chars[cell] === char && fg[cell] === fgCode && bg[cell] === bgCode) continue;
+
+          chars[cell] = char;
+          fg[cell] = fgCode;
+          bg[cell] = bgCode;
+
+          if (runStart !== -1 && x - runEnd > MAX_GAP) {
+            output += `\x1b[${screenY + 1};${region.left + runStart + 1}H`;
+            output += grid.serializeRow(y, runStart, runEnd, state);
+            runStart = -1;
+          }
+          if (runStart === -1) runStart = x;
+          runEnd = x + 1;
+        }
+
+        if (runStart !== -1) {
+          output += `\x1b[${screenY + 1};${region.left + runStart + 1}H`;
+          output += grid.serializeRow(y, runStart, runEnd, state);
+        }
+      }
+    }
+
+    if (!output) return 0;
+
+    // Save the cursor so blessed's idea of its position stays true
+    output = `\x1b7${output}\x1b[0m\x1b8`;
+    this.program._write(output);
+    return Buffer.byteLength(output);
+  }
+
+  /**
+   * Get the remembered screen contents for a frame, starting over when the
+   * frame lands somewhere else or at another color depth
+   * @param {CellGrid} grid - Frame about to be drawn
+   * @param {Object} region - Target area
+   * @param {number} width - Columns drawn
+   * @param {number} height - Rows drawn
+   * @returns {Object} Screen state, updated in place while drawing
+   * @private
+   */
+  _getScreenState(grid, region, width, height) {
+    const previous = this.previous;
+    if (previous && previous.left === region.left && previous.top === region.top &&
+        previous.width === width && previous.height === height &&
+        previous.colorDepth === grid.colorDepth) {
+      return previous;
+    }
+
+    this.previous = {
+      left: region.left,
+      top: region.top,
+      width,
+      height,
+      colorDepth: grid.colorDepth,
+      chars: new Uint32Array(width * height),
+      fg: new Int32Array(width * height),
+      bg: new Int32Array(width * height)
+    };
+    return this.previous;
+  }
+
+  /**
+   * Split a row into the column spans not covered by any mask
+   * @param {number} screenY - Screen row
+   * @param {number} left - Screen column of grid column 0
+   * @param {number} width - Columns to draw
+   * @param {Array<Object>} masks - Covered areas
+   * @returns {Array<Array<number>>} [start, end) pairs in grid columns
+   * @private
+   */
+  _getVisibleSpans(screenY, left, width, masks) {
+    let spans = [[0, width]];
+
+    for (const mask of masks) {
+      if (screenY < mask.yi || screenY >= mask.yl) continue;
+
+      const maskStart = mask.xi - left;
+      const maskEnd = mask.xl - left;
+      const next = [];
+
+      for (const [start, end] of spans) {
+        if (maskEnd <= start || maskStart >= end) {
+          next.push([start, end]);
+          continue;
+        }
+        if (maskStart > start) next.push([start, maskStart]);
+        if (maskEnd < end) next.push([maskEnd, end]);
+      }
+      spans = next;
+    }
+
+    return spans;
+  }
+}
+
+export default VideoOutput;
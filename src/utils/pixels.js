@@ -0,0 +1,175 @@
+/**
+ * Pixel buffer helpers for raw frames
+ * Formats are FFmpeg pix_fmt names: gray, rgb24, yuv420p, yuv422p, yuv444p
+ */
+
+/**
+ * Get the byte size of one frame
+ * @param {string} format - Pixel format
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {number} Bytes per frame
+ */
+function getFrameSize(format, width, height) {
+  const lumaSize = width * height;
+  const halfWidth = Math.ceil(width / 2);
+  const halfHeight = Math.ceil(height / 2);
+
+  switch (format) {
+    case 'gray':
+      return lumaSize;
+    case 'rgb24':
+      return lumaSize * 3;
+    case 'yuv420p':
+      return lumaSize + 2 * halfWidth * halfHeight;
+    case 'yuv422p':
+      return lumaSize + 2 * halfWidth * height;
+    case 'yuv444p':
+      return lumaSize * 3;
+    default:
+      throw new Error(`Unsupported pixel format: ${format}`);
+  }
+}
+
+/**
+ * Convert a frame to 8-bit grayscale
+ * YUV formats already lead with the luma plane, so they are a cheap slice
+ * @param {Buffer} data - Frame data
+ * @param {string} format - Pixel format
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {Buffer} Grayscale pixels (width*height bytes)
+ */
+function toGray(data, format, width, height) {
+  const pixelCount = width * height;
+
+  if (format === 'rgb24') {
+    const gray = Buffer.allocUnsafe(pixelCount);
+    for (let i = 0, j = 0; i < pixelCount; i++, j += 3) {
+      // BT.601 luma, integer weights summing to 256
+      gray[i] = (data[j] * 77 + data[j + 1] * 150 + data[j + 2] * 29) >> 8;
+    }
+    return gray;
+  }
+
+  return data.subarray(0, pixelCount);
+}
+
+/**
+ * Convert a frame to packed 8-bit RGB
+ * YUV is converted with BT.601 limited-range coefficients, which is what
+ * FFmpeg produces for camera and video input
+ * @param {Buffer} data - Frame data
+ * @param {string} format - Pixel format
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {Buffer} RGB pixels (width*height*3 bytes)
+ */
+function toRgb(data, format, width, height) {
+  const pixelCount = width * height;
+
+  if (format === 'rgb24') {
+    return data.subarray(0, pixelCount * 3);
+  }
+
+  const rgb = Buffer.allocUnsafe(pixelCount * 3);
+
+  if (format === 'gray') {
+    for (let i = 0, j = 0; i < pixelCount; i++, j += 3) {
+      rgb[j] = rgb[j + 1] = rgb[j + 2] = data[i];
+    }
+    return rgb;
+  }
+
+  if (!['yuv420p', 'yuv422p', 'yuv444p'].includes(format)) {
+    throw new Error(`Unsupported pixel format: ${format}`);
+  }
+
+  // Chroma plane layout: 4:2:0 halves both axes, 4:2:2 only the width
+  const halveRows = format === 'yuv420p';
+  const halveColumns = format !== 'yuv444p';
+
+  const chromaWidth = halveColumns ? Math.ceil(width / 2) : width;
+  const chromaHeight = halveRows ? Math.ceil(height / 2) : height;
+  const uPlane = pixelCount;
+  const vPlane = uPlane + chromaWidth * chromaHeight;
+
+  for (let y = 0, j = 0; y < height; y++) {
+    const chromaRow = (halveRows ? y >> 1 : y) * chromaWidth;
+    for (let x = 0; x < width; x++, j += 3) {
+      const chroma = chromaRow + (halveColumns ? x >> 1 : x);
+      // Fixed-point BT.601, coefficients scaled by 256
+      const c = (data[y * width + x] - 16) * 298;
+      const d = data[uPlane + chroma] - 128;
+      const e = data[vPlane + chroma] - 128;
+
+      rgb[j] = clampByte((c + 409 * e + 128) >> 8);
+      rgb[j + 1] = clampByte((c - 100 * d - 208 * e + 128) >> 8);
+      rgb[j + 2] = clampByte((c + 516 * d + 128) >> 8);
+    }
+  }
+
+  return rgb;
+}
+
+/**
+ * Convert packed 8-bit RGB to another pixel format
+ * The inverse of toRgb(), with the same BT.601 limited-range coefficients;
+ * subsampled chroma is taken from the top-left pixel of each block
+ * @param {Buffer} rgb - RGB pixels (width*height*3 bytes)
+ * @param {string} format - Pixel format
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {Buffer} Frame data (getFrameSize() bytes)
+ */
+function fromRgb(rgb, format, width, height) {
+  if (format === 'rgb24') {
+    return rgb;
+  }
+
+  const data = Buffer.allocUnsafe(getFrameSize(format, width, height));
+  const pixelCount = width * height;
+
+  for (let i = 0, j = 0; i < pixelCount; i++, j += 3) {
+    data[i] = ((66 * rgb[j] + 129 * rgb[j + 1] + 25 * rgb[j + 2] + 128) >> 8) + 16;
+  }
+
+  if (format === 'gray') {
+    return data;
+  }
+
+  const halveRows = format === 'yuv420p';
+  const halveColumns = format !== 'yuv444p';
+
+  const chromaWidth = halveColumns ? Math.ceil(width / 2) : width;
+  const chromaHeight = halveRows ? Math.ceil(height / 2) : height;
+  const uPlane = pixelCount;
+  const vPlane = uPlane + chromaWidth * chromaHeight;
+
+  for (let cy = 0; cy < chromaHeight; cy++) {
+    const y = halveRows ? cy * 2 : cy;
+    for (let cx = 0; cx < chromaWidth; cx++) {
+      const j = (y * width + (halveColumns ? cx * 2 : cx)) * 3;
+      const chroma = cy * chromaWidth + cx;
+      const r = rgb[j];
+      const g = rgb[j + 1];
+      const b = rgb[j + 2];
+
+      data[uPlane + chroma] = ((-38 * r - 74 * g + 112 * b + 128) >> 8) + 128;
+      data[vPlane + chroma] = ((112 * r - 94 * g - 18 * b + 128) >> 8) + 128;
+    }
+  }
+
+  return data;
+}
+
+function clampByte(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+export {
+  getFrameSize,
+  toGray,
+  toRgb,
+  fromRgb
+};
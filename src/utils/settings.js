@@ -0,0 +1,48 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Get the settings file path
+ * Follows XDG_CONFIG_HOME, defaulting to ~/.config/terminal-webcam/settings.json
+ */
+function getSettingsPath() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'terminal-webcam', 'settings.json');
+}
+
+/**
+ * Load persisted settings (e.g. the last camera used)
+ * A missing or unreadable file yields empty settings
+ * @returns {Promise<Object>}
+ */
+async function loadSettings() {
+  try {
+    const text = await fs.readFile(getSettingsPath(), 'utf8');
+    const settings = JSON.parse(text);
+    return settings && typeof settings === 'object' ? settings : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Merge values into the persisted settings
+ * @param {Object} values - Settings to update
+ * @returns {Promise<Object>} Updated settings
+ */
+async function saveSettings(values) {
+  const settings = { ...(await loadSettings()), ...values };
+  const settingsPath = getSettingsPath();
+
+  await fs.mkdir(path.dirname(settingsPath), { recursive: true });
+  await fs.writeFile(settingsPath, JSON.stringify(settings, null, 2) + '\n');
+
+  return settings;
+}
+
+export {
+  getSettingsPath,
+  loadSettings,
+  saveSettings
+};
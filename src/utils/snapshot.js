@@ -0,0 +1,64 @@
+import sharp from 'sharp';
+import { toGray, toRgb } from './pixels.js';
+
+/**
+ * Snapshot formats
+ *   png, jpg - the captured frame as an image
+ *   txt      - the rendered frame as plain text
+ *   ans      - the rendered frame with its ANSI colors (view with `cat`)
+ */
+const SNAPSHOT_FORMATS = ['jpg', 'png', 'txt', 'ans'];
+const IMAGE_FORMATS = ['jpg', 'png'];
+
+const JPEG_QUALITY = 90;
+
+/**
+ * Check whether a snapshot format saves the captured image
+ * @param {string} format - Snapshot format
+ * @returns {boolean} true for png and jpg, false for the rendered text formats
+ */
+function isImageFormat(format) {
+  return IMAGE_FORMATS.includes(format);
+}
+
+/**
+ * Encode a captured frame as PNG or JPEG
+ * Raw frames are saved at their capture size: with FFmpeg capture that is the
+ * size the terminal needs, not the camera's full resolution
+ * @param {Object} frame - Frame from a FrameSource
+ * @param {string} format - 'png' or 'jpg'
+ * @returns {Promise<Buffer>} Encoded image
+ */
+async function encodeFrame(frame, format) {
+  if (frame.format === 'jpeg') {
+    // Software capture already holds a JPEG
+    return format === 'jpg' ? frame.data : sharp(frame.data).png().toBuffer();
+  }
+
+  const channels = frame.format === 'gray' ? 1 : 3;
+  // Copied: the pixels can be a view into the capture's reused frame buffers,
+  // which newer frames overwrite while sharp is still encoding
+  const data = Buffer.from(channels === 1
+    ? toGray(frame.data, frame.format, frame.width, frame.height)
+    : toRgb(frame.data, frame.format, frame.width, frame.height));
+  const image = sharp(data, { raw: { width: frame.width, height: frame.height, channels } });
+
+  return (format === 'jpg' ? image.jpeg({ quality: JPEG_QUALITY }) : image.png()).toBuffer();
+}
+
+/**
+ * Get a rendered frame as the contents of a text snapshot
+ * @param {CellGrid} grid - Rendered frame
+ * @param {string} format - 'txt' or 'ans'
+ * @returns {string} File contents
+ */
+function formatGrid(grid, format) {
+  return (format === 'ans' ? grid.toAnsi() : grid.toText()) + '\n';
+}
+
+export {
+  SNAPSHOT_FORMATS,
+  isImageFormat,
+  encodeFrame,
+  formatGrid
+};
@@ -0,0 +1,153 @@
+/**
+ * Aspect-ratio-aware placement of a video frame in the terminal grid
+ *
+ * Terminal cells are not square: a cell is usually about twice as tall as
+ * it is wide. Drawing one pixel per cell without compensating squashes the
+ * picture vertically, so every scale mode works in cell units scaled by the
+ * cell aspect ratio (cell height / cell width).
+ *
+ * Scale modes:
+ *   fit     - whole frame visible, letterboxed/pillarboxed with black
+ *   fill    - grid covered, frame cropped around the centre
+ *   stretch - frame stretched to the grid, aspect ignored
+ */
+
+const SCALE_MODES = ['fit', 'fill', 'stretch'];
+
+// Typical monospace font: cells twice as tall as they are wide
+const DEFAULT_CELL_ASPECT = 2;
+
+/**
+ * Work out which part of the source lands where in the grid
+ * @param {number} srcWidth - Source width in pixels
+ * @param {number} srcHeight - Source height in pixels
+ * @param {number} cols - Grid width in cells
+ * @param {number} rows - Grid height in cells
+ * @param {Object} options - { mode, cellAspect }
+ * @returns {Object} Source crop { sx, sy, sw, sh } in pixels and
+ *   destination box { dx, dy, dw, dh } in cells
+ */
+function computeViewport(srcWidth, srcHeight, cols, rows, options = {}) {
+  const mode = options.mode || 'fit';
+  const cellAspect = options.cellAspect || DEFAULT_CELL_ASPECT;
+
+  const viewport = {
+    sx: 0, sy: 0, sw: srcWidth, sh: srcHeight,
+    dx: 0, dy: 0, dw: cols, dh: rows
+  };
+
+  if (mode === 'stretch' || !srcWidth || !srcHeight) {
+    return viewport;
+  }
+
+  // Aspect ratios in square-pixel units
+  const sourceAspect = srcWidth / srcHeight;
+  const gridAspect = cols / (rows * cellAspect);
+
+  if (mode === 'fill') {
+    if (sourceAspect > gridAspect) {
+      viewport.sw = Math.max(1, Math.round(srcHeight * gridAspect));
+      viewport.sx = Math.floor((srcWidth - viewport.sw) / 2);
+    } else {
+      viewport.sh = Math.max(1, Math.round(srcWidth / gridAspect));
+      viewport.sy = Math.floor((srcHeight - viewport.sh) / 2);
+    }
+    return viewport;
+  }
+
+  // fit
+  if (sourceAspect > gridAspect) {
+    viewport.dh = Math.min(rows, Math.max(1, Math.round(cols / (sourceAspect * cellAspect))));
+    viewport.dy = Math.floor((rows - viewport.dh) / 2);
+  } else {
+    viewport.dw = Math.min(cols, Math.max(1, Math.round(rows * cellAspect * sourceAspect)));
+    viewport.dx = Math.floor((cols - viewport.dw) / 2);
+  }
+  return viewport;
+}
+
+/**
+ * Sample packed pixels into the grid following a viewport
+ * Nearest-neighbour; cells outside the destination box are black
+ * @param {Buffer} data - Source pixels
+ * @param {number} srcWidth - Source width
+ * @param {number} cols - Grid width
+ * @param {number} rows - Grid height
+ * @param {Object} viewport - From computeViewport()
+ * @param {number} channels - Bytes per pixel (1 = gray, 3 = RGB)
+ * @returns {Buffer} Grid pixels (cols*rows*channels bytes)
+ */
+function sampleViewport(data, srcWidth, cols, rows, viewport, channels = 1) {
+  const { sx, sy, sw, sh, dx, dy, dw, dh } = viewport;
+  const output = Buffer.alloc(cols * rows * channels);
+
+  // Precompute source byte offsets within a row once per frame
+  const columns = new Uint32Array(dw);
+  for (let x = 0; x < dw; x++) {
+    columns[x] = (sx + Math.min(sw - 1, Math.floor(((x + 0.5) * sw) / dw))) * channels;
+  }
+
+  for (let y = 0; y < dh; y++) {
+    const srcRow = (sy + Math.min(sh - 1, Math.floor(((y + 0.5) * sh) / dh))) * srcWidth * channels;
+    const dstRow = ((dy + y) * cols + dx) * channels;
+
+    if (channels === 1) {
+      for (let x = 0; x < dw; x++) {
+        output[dstRow + x] = data[srcRow + columns[x]];
+      }
+      continue;
+    }
+
+    for (let x = 0; x < dw; x++) {
+      const src = srcRow + columns[x];
+      const dst = dstRow + x * channels;
+      for (let c = 0; c < channels; c++) {
+        output[dst + c] = data[src + c];
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Build the FFmpeg filter chain that scales a frame into the grid
+ * FFmpeg does not know the camera's real size up front, so the aspect maths
+ * happens in filter expressions: scale into a square-pixel box as tall as
+ * the grid in pixels (rows * cellAspect), then squash it to one pixel per cell
+ * @param {number} cols - Grid width in cells
+ * @param {number} rows - Grid height in cells
+ * @param {Object} options - { mode, cellAspect }
+ * @returns {string} Value for -vf
+ */
+function getScaleFilter(cols, rows, options = {}) {
+  const mode = options.mode || 'fit';
+  const cellAspect = options.cellAspect || DEFAULT_CELL_ASPECT;
+  const boxHeight = Math.max(1, Math.round(rows * cellAspect));
+
+  if (mode === 'fill') {
+    return [
+      `scale=${cols}:${boxHeight}:force_original_aspect_ratio=increase`,
+      `crop=${cols}:${boxHeight}`,
+      `scale=${cols}:${rows}`
+    ].join(',');
+  }
+
+  if (mode === 'fit') {
+    return [
+      `scale=${cols}:${boxHeight}:force_original_aspect_ratio=decrease`,
+      `scale=iw:trunc(ih/${cellAspect})`,
+      `pad=${cols}:${rows}:(ow-iw)/2:(oh-ih)/2`
+    ].join(',');
+  }
+
+  return `scale=${cols}:${rows}`;
+}
+
+export {
+  SCALE_MODES,
+  DEFAULT_CELL_ASPECT,
+  computeViewport,
+  sampleViewport,
+  getScaleFilter
+};
@@ -0,0 +1,131 @@
+/**
+ * Camera capture mode negotiation
+ * Picks a native format, resolution and frame rate from the modes a device
+ * reports (see devices.js), instead of asking every camera for 1280x720@30
+ *
+ * A capture mode is { format, width, height, fps }; format is an FFmpeg
+ * -input_format name, fps may be null when the device did not report rates
+ */
+
+// Relative CPU cost per pixel of getting a frame out of each format
+// Raw formats only need a colour conversion, compressed ones a full decode
+const DECODE_COST = {
+  gray: 1,
+  yuyv422: 1,
+  uyvy422: 1,
+  nv12: 1,
+  yuv420p: 1,
+  rgb24: 1,
+  bgr24: 1,
+  mjpeg: 3,
+  h264: 5
+};
+
+// Formats that can be requested with --capture-format
+export const CAPTURE_FORMATS = Object.keys(DECODE_COST);
+
+// Used when nothing is known about the device
+const DEFAULT_MODE = { format: null, width: 1280, height: 720, fps: 30 };
+
+/**
+ * Select the cheapest native mode that still covers the target size
+ * @param {Array<Object>|null} formats - Formats from probeV4L2Formats()
+ * @param {Object} target - Minimum useful size and the frame rate to aim for { width, height, fps }
+ * @param {Object} constraints - User overrides, each optional: { format, width, height, fps }
+ * @returns {Object|null} Capture mode, or null if no listed mode fits the constraints
+ */
+export function selectCaptureMode(formats, target, constraints = {}) {
+  if (!formats || formats.length === 0) return null;
+
+  const desiredFps = constraints.fps || target.fps || 30;
+  const candidates = [];
+
+  for (const format of formats) {
+    if (!(format.format in DECODE_COST)) continue;
+    if (constraints.format && format.format !== constraints.format) continue;
+
+    for (const size of format.sizes) {
+      if (constraints.width && (size.width !== constraints.width || size.height !== constraints.height)) {
+        continue;
+      }
+
+      const maxFps = size.fps.length > 0 ? Math.max(...size.fps) : null;
+      candidates.push({
+        format: format.format,
+        width: size.width,
+        height: size.height,
+        fps: pickFrameRate(size.fps, desiredFps),
+        fastEnough: maxFps === null || maxFps >= desiredFps,
+        cost: size.width * size.height * DECODE_COST[format.format]
+      });
+    }
+  }
+
+  if (candidates.length === 0) return null;
+
+  // Never trade frame rate for resolution if any mode keeps up
+  const fast = candidates.filter(c => c.fastEnough);
+  const pool = fast.length > 0 ? fast : candidates;
+
+  const covering = pool.filter(c => c.width >= target.width && c.height >= target.height);
+  const best = covering.length > 0
+    ? covering.reduce((a, b) => (b.cost < a.cost ? b : a))
+    // Nothing is big enough: take the largest, cheapest first on ties
+    : pool.reduce((a, b) => {
+      const areaA = a.width * a.height;
+      const areaB = b.width * b.height;
+      return areaB > areaA || (areaB === areaA && b.cost < a.cost) ? b : a;
+    });
+
+  return { format: best.format, width: best.width, height: best.height, fps: best.fps };
+}
+
+/**
+ * Build a mode from user overrides alone, for devices that cannot be probed
+ * @param {Object} constraints - { format, width, height, fps }
+ * @returns {Object} Capture mode
+ */
+export function getFallbackCaptureMode(constraints = {}) {
+  return {
+    format: constraints.format || DEFAULT_MODE.format,
+    width: constraints.width || DEFAULT_MODE.width,
+    height: constraints.height || DEFAULT_MODE.height,
+    fps: constraints.fps || DEFAULT_MODE.fps
+  };
+}
+
+/**
+ * Check whether two capture modes are the same
+ * @param {Object|null} a - Capture mode
+ * @param {Object|null} b - Capture mode
+ * @returns {boolean}
+ */
+export function isSameCaptureMode(a, b) {
+  if (!a || !b) return a === b;
+  return a.format === b.format && a.width === b.width &&
+    a.height === b.height && a.fps === b.fps;
+}
+
+/**
+ * Describe a capture mode for logs and notifications
+ * @param {Object} mode - Capture mode
+ * @returns {string} e.g. "yuyv422 640x480@30"
+ */
+export function formatCaptureMode(mode) {
+  const fps = mode.fps ? `@${mode.fps}` : '';
+  return `${mode.format || 'default'} ${mode.width}x${mode.height}${fps}`;
+}
+
+/**
+ * Pick the lowest listed rate that reaches the desired one, else the highest
+ * @param {Array<number>} rates - Frame rates the size supports
+ * @param {number} desired - Frame rate to reach
+ * @returns {number|null} Frame rate, or null if none are listed
+ * @private
+ */
+function pickFrameRate(rates, desired) {
+  if (rates.length === 0) return null;
+
+  const sufficient = rates.filter(rate => rate >= desired);
+  return sufficient.length > 0 ? Math.min(...sufficient) : Math.max(...rates);
+}
@@ -1,18 +1,26 @@
 import NodeWebcam from 'node-webcam';
 import { promises as fs } from 'fs';
 import config from './config.js';
-
-class WebcamCapture {
-  constructor() {
+import FrameSource from './frame-source.js';
+
+/**
+ * Software webcam capture through node-webcam
+ * Publishes JPEG frames (see FrameSource); width and height are the
+ * requested capture size, the decoder works out the real one
+ */
+class WebcamCapture extends FrameSource {
+  /**
+   * @param {Object} overrides - Config values to override (device, quality, tmpFile)
+   */
+  constructor(overrides = {}) {
+    super();
     this.webcam = null;
     this.isInitialized = false;
     this.captureInProgress = false;
     this.continuousMode = false;
     this.captureLoopRunning = false;
     this.lastFramePath = null;
-    this.lastFrameBuffer = null;  // NEW: Store buffer in memory
-    this.lastFrameTimestamp = 0;
-    this.config = { ...config };  // Make a mutable copy
+    this.config = { ...config, ...overrides };  // Make a mutable copy
   }
 
   /**
@@ -63,6 +71,19 @@ class WebcamCapture {
     this.initialize();
   }
 
+  /**
+   * Switch to a different camera device (requires reinitialization)
+   * @param {string} device - Device identifier understood by node-webcam
+   */
+  setDevice(device) {
+    this.config.device = device;
+    this._clearFrame();
+
+    // Reinitialize webcam, the capture loop picks up the new instance
+    this.isInitialized = false;
+    this.initialize();
+  }
+
   /**
    * Start continuous capture mode - keeps camera on
    */
@@ -102,9 +123,14 @@ class WebcamCapture {
 
           // OPTIMIZATION #1: Read file into memory immediately
           // This eliminates Sharp's file read overhead on every render
-          this.lastFrameBuffer = await fs.readFile(this.config.tmpFile);
+          const data = await fs.readFile(this.config.tmpFile);
           this.lastFramePath = this.config.tmpFile;
-          this.lastFrameTimestamp = Date.now();
+          this._emitFrame({
+            data,
+            width: this.config.width,
+            height: this.config.height,
+            format: 'jpeg'
+          });
 
         } catch (error) {
           console.error('Continuous capture error:', error.message);
@@ -120,15 +146,6 @@ class WebcamCapture {
     this.captureLoopRunning = false;
   }
 
-  /**
-   * Get the latest captured frame as a buffer (for continuous mode)
-   * OPTIMIZATION: Returns buffer instead of file path to eliminate Sharp file I/O
-   * @returns {Buffer|null} Buffer containing latest captured image
-   */
-  getLatestFrame() {
-    return this.lastFrameBuffer;
-  }
-
   /**
    * Get the latest frame file path (legacy, for snapshots)
    * @returns {string|null} File path to latest captured image
@@ -148,7 +165,7 @@ class WebcamCapture {
 
     // In continuous mode, just return the latest frame
     if (this.continuousMode) {
-      return this.getLatestFrame();
+      return this.getLatestFrame()?.data || null;
     }
 
     // Legacy single-shot mode
@@ -197,7 +214,7 @@ class WebcamCapture {
     }
 
     // Clear buffer from memory
-    this.lastFrameBuffer = null;
+    this._clearFrame();
   }
 }
 
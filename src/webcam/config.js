@@ -23,11 +23,13 @@ export function getOptimalCaptureResolution(terminalWidth, terminalHeight) {
  * Create webcam configuration
  * @param {number} terminalWidth - Optional terminal width (defaults to standard resolution)
  * @param {number} terminalHeight - Optional terminal height (defaults to standard resolution)
+ * @param {Object} overrides - Optional values to override (e.g. targetFPS from the CLI)
  */
-export function createWebcamConfig(terminalWidth = 100, terminalHeight = 25) {
+export function createWebcamConfig(terminalWidth = 100, terminalHeight = 25, overrides = {}) {
   const { width, height } = getOptimalCaptureResolution(terminalWidth, terminalHeight);
 
-  return {
+  // Object.assign keeps the delay getter live, a spread would freeze it
+  return Object.assign({
     // Target frames per second for capture
     // Set to 20 for smooth continuous playback with breathing room
     targetFPS: 20,
@@ -53,7 +55,7 @@ export function createWebcamConfig(terminalWidth = 100, terminalHeight = 25) {
 
     // Temporary file location for captures
     tmpFile: '/tmp/webcam-frame.jpg'
-  };
+  }, overrides);
 }
 
 // Default config for backward compatibility
@@ -0,0 +1,251 @@
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+
+// V4L2 fourcc codes mapped to FFmpeg -input_format names
+const FOURCC_FORMATS = {
+  MJPG: 'mjpeg',
+  JPEG: 'mjpeg',
+  H264: 'h264',
+  YUYV: 'yuyv422',
+  UYVY: 'uyvy422',
+  NV12: 'nv12',
+  YU12: 'yuv420p',
+  GREY: 'gray',
+  RGB3: 'rgb24',
+  BGR3: 'bgr24'
+};
+
+/**
+ * List the video capture devices on this machine
+ * Linux lists /dev/video* V4L2 nodes with their supported formats
+ * (via v4l2-ctl, or FFmpeg when v4l2-ctl is not installed)
+ * macOS and Windows ask FFmpeg for the device names
+ * @returns {Promise<Array<Object>>} Devices ({ id, path, name, formats })
+ *   formats is null when they could not be probed
+ */
+export async function listDevices() {
+  const platform = os.platform();
+
+  if (platform === 'darwin') {
+    return listAVFoundationDevices();
+  } else if (platform === 'win32') {
+    return listDirectShowDevices();
+  }
+  return listV4L2Devices();
+}
+
+/**
+ * List V4L2 devices under /dev
+ * @returns {Promise<Array<Object>>}
+ * @private
+ */
+async function listV4L2Devices() {
+  let entries;
+  try {
+    entries = await fs.readdir('/dev');
+  } catch (error) {
+    return [];
+  }
+
+  const nodes = entries
+    .filter(entry => /^video\d+$/.test(entry))
+    .sort((a, b) => Number(a.slice(5)) - Number(b.slice(5)));
+
+  const devices = [];
+  for (const node of nodes) {
+    const devicePath = `/dev/${node}`;
+    const name = await fs.readFile(`/sys/class/video4linux/${node}/name`, 'utf8')
+      .then(text => text.trim())
+      .catch(() => node);
+
+    devices.push({
+      id: devicePath,
+      path: devicePath,
+      name,
+      formats: await probeV4L2Formats(devicePath)
+    });
+  }
+
+  // Metadata nodes (e.g. the second node of a UVC camera) report no formats
+  return devices.filter(device => device.formats === null || device.formats.length > 0);
+}
+
+/**
+ * Probe the formats a V4L2 device supports
+ * @param {string} devicePath - Device node path
+ * @returns {Promise<Array<Object>|null>} Formats, or null if no probe tool is available
+ */
+export async function probeV4L2Formats(devicePath) {
+  const v4l2 = await runCommand('v4l2-ctl', ['--list-formats-ext', '-d', devicePath]);
+  if (v4l2 && v4l2.code === 0) {
+    return parseV4L2CtlFormats(v4l2.stdout);
+  }
+
+  const ffmpeg = await runCommand('ffmpeg', [
+    '-hide_banner', '-f', 'v4l2', '-list_formats', 'all', '-i', devicePath
+  ]);
+  if (ffmpeg) {
+    return parseFFmpegV4L2Formats(ffmpeg.stderr);
+  }
+
+  return null;
+}
+
+/**
+ * Parse `v4l2-ctl --list-formats-ext` output
+ * @param {string} text - Command output
+ * @returns {Array<Object>} Formats ({ format, description, compressed, sizes: [{ width, height, fps }] })
+ */
+export function parseV4L2CtlFormats(text) {
+  const formats = [];
+  let format = null;
+  let size = null;
+
+  for (const line of text.split('\n')) {
+    const formatMatch = line.match(/\[\d+\]: '(\w+)\s*' \(([^)]*)\)/);
+    if (formatMatch) {
+      const fourcc = formatMatch[1];
+      format = {
+        format: FOURCC_FORMATS[fourcc] || fourcc.toLowerCase(),
+        description: formatMatch[2].replace(/, compressed$/, ''),
+        compressed: /compressed/.test(formatMatch[2]),
+        sizes: []
+      };
+      formats.push(format);
+      size = null;
+      continue;
+    }
+
+    const sizeMatch = line.match(/Size: Discrete (\d+)x(\d+)/);
+    if (sizeMatch && format) {
+      size = { width: Number(sizeMatch[1]), height: Number(sizeMatch[2]), fps: [] };
+      format.sizes.push(size);
+      continue;
+    }
+
+    const fpsMatch = line.match(/Interval: Discrete [\d.]+s \(([\d.]+) fps\)/);
+    if (fpsMatch && size) {
+      size.fps.push(Number(fpsMatch[1]));
+    }
+  }
+
+  return formats;
+}
+
+/**
+ * Parse `ffmpeg -f v4l2 -list_formats all` output
+ * FFmpeg does not report frame rates, so fps lists are empty
+ * @param {string} text - FFmpeg stderr
+ * @returns {Array<Object>} Formats (same shape as parseV4L2CtlFormats)
+ */
+export function parseFFmpegV4L2Formats(text) {
+  const formats = [];
+
+  for (const line of text.split('\n')) {
+    // Separators are " : " with spaces, descriptions may contain bare colons (YUYV 4:2:2)
+    const match = line.match(/\]\s*(Raw|Compressed)\s*:\s*(\S+)\s+:\s+(.+?)\s+:\s+(.*)$/);
+    if (!match) continue;
+
+    const sizes = [...match[4].matchAll(/(\d+)x(\d+)/g)]
+      .map(([, width, height]) => ({ width: Number(width), height: Number(height), fps: [] }));
+
+    formats.push({
+      format: match[2],
+      description: match[3],
+      compressed: match[1] === 'Compressed',
+      sizes
+    });
+  }
+
+  return formats;
+}
+
+/**
+ * List AVFoundation video devices (macOS)
+ * @returns {Promise<Array<Object>>}
+ * @private
+ */
+async function listAVFoundationDevices() {
+  const result = await runCommand('ffmpeg', [
+    '-hide_banner', '-f', 'avfoundation', '-list_devices', 'true', '-i', ''
+  ]);
+  if (!result) return [];
+
+  const devices = [];
+  let inVideoSection = false;
+
+  for (const line of result.stderr.split('\n')) {
+    if (/AVFoundation video devices/.test(line)) {
+      inVideoSection = true;
+    } else if (/AVFoundation audio devices/.test(line)) {
+      inVideoSection = false;
+    } else if (inVideoSection) {
+      const match = line.match(/\] \[(\d+)\] (.+)$/);
+      if (match) {
+        devices.push({ id: match[1], path: null, name: match[2].trim(), formats: null });
+      }
+    }
+  }
+
+  return devices;
+}
+
+/**
+ * List DirectShow video devices (Windows)
+ * @returns {Promise<Array<Object>>}
+ * @private
+ */
+async function listDirectShowDevices() {
+  const result = await runCommand('ffmpeg', [
+    '-hide_banner', '-f', 'dshow', '-list_devices', 'true', '-i', 'dummy'
+  ]);
+  if (!result) return [];
+
+  const devices = [];
+  for (const line of result.stderr.split('\n')) {
+    const match = line.match(/\] "([^"]+)" \(video\)/);
+    if (match) {
+      devices.push({ id: match[1], path: null, name: match[1], formats: null });
+    }
+  }
+
+  return devices;
+}
+
+/**
+ * Run a command and collect its output
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @param {number} timeout - Kill the command after this many milliseconds
+ * @returns {Promise<Object|null>} { code, stdout, stderr }, or null if it could not run
+ */
+export function runCommand(command, args, timeout = 5000) {
+  return new Promise((resolve) => {
+    let stdout = '';
+    let stderr = '';
+    let child;
+
+    try {
+      child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    } catch (error) {
+      resolve(null);
+      return;
+    }
+
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+
+    child.stdout.on('data', (data) => { stdout += data; });
+    child.stderr.on('data', (data) => { stderr += data; });
+
+    child.on('error', () => {
+      clearTimeout(timer);
+      resolve(null);
+    });
+
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr });
+    });
+  });
+}
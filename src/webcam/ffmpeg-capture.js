@@ -1,24 +1,112 @@
 import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
 import os from 'os';
+import path from 'path';
+import FrameSource from './frame-source.js';
+import Y4MParser from './y4m-parser.js';
+import { getScaleFilter } from '../utils/viewport.js';
+import { getFrameSize } from '../utils/pixels.js';
+import { getFallbackCaptureMode, isSameCaptureMode } from './capture-mode.js';
+
+// Restart backoff: 500ms, 1s, 2s, 4s... capped at 8s
+const RESTART_BASE_DELAY = 500;
+const RESTART_MAX_DELAY = 8000;
+
+// Give up after this many failed restarts in a row
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+// A process that delivered frames for this long counts as healthy
+const STABLE_RUN_MS = 5000;
+
+// Lines of FFmpeg stderr kept for failure reports
+const STDERR_HISTORY = 50;
+
+// Frame rate assumed for frame steps when FFmpeg has not reported one
+const DEFAULT_STEP_FPS = 25;
 
 /**
  * Hardware-accelerated webcam capture using FFmpeg
  * Uses GPU for decoding, scaling, and color conversion
- * Outputs raw grayscale pixel data directly to memory
+ * Outputs grayscale (or yuv444p for color rendering) frames as a Y4M stream,
+ * so every frame is delimited by its own header instead of by byte counting
+ *
+ * Can also play back a local video file or image sequence through the
+ * same pipeline (see input-source.js). Paused playback holds one frame: FFmpeg
+ * is restarted to decode just the frame at the position, which is also how
+ * frame steps and setting changes are shown while paused. Speeds other than
+ * 1x read the file with -readrate (FFmpeg 5 or later).
+ *
+ * For recording, a second output can carry the frames as decoded, at their
+ * native size and in color, ahead of the scale filter (setNativeOutput). It
+ * is a Y4M stream on pipe 3, emitted as 'nativeframe' events.
+ *
+ * A supervisor restarts FFmpeg when it exits unexpectedly: first without
+ * -hwaccel if GPU decoding never produced a frame, then with exponential
+ * backoff. Events:
+ *   'frame'    (frame)                      - new gray or yuv444p frame (see FrameSource)
+ *   'fallback' ({ reason })                 - retrying without hardware acceleration
+ *   'restart'  ({ attempt, delay, reason }) - restart scheduled after a crash
+ *   'failed'   ({ reason })                 - gave up, capture is stopped
+ *   'ended'    ()                           - non-looping file playback finished and paused
+ *                                            on its last frame
+ *   'nativeframe' (frame)                   - unscaled yuv420p frame, while the native output is on
  */
-class FFmpegCapture {
-  constructor() {
+class FFmpegCapture extends FrameSource {
+  /**
+   * @param {Object} options - Capture options
+   * @param {string} options.device - Camera device (default: platform's first camera)
+   * @param {boolean} options.hwaccel - Use GPU decoding (default true)
+   * @param {Object} options.captureMode - Camera mode { format, width, height, fps } (see capture-mode.js)
+   * @param {Object} options.inputSize - Camera capture size { width, height }, used when no
+   *   captureMode is given (default 1280x720@30)
+   * @param {Object} options.input - Resolved file input from resolveInput() (null = camera)
+   * @param {boolean} options.loop - Loop file playback (default true)
+   * @param {number} options.seek - Start offset in seconds for file playback
+   * @param {Object} options.viewport - Scale mode and cell aspect { mode, cellAspect } (default fit)
+   * @param {string} options.pixelFormat - Output pixel format: 'gray', or 'yuv444p' for color
+   *   (Y4M cannot carry RGB; default gray)
+   */
+  constructor(options = {}) {
+    super();
     this.ffmpeg = null;
     this.isRunning = false;
     this.width = 600;
     this.height = 150;
     this.bytesPerFrame = 0;
-    this.currentBuffer = null;
-    this.frameTimestamp = 0;
-    this.incompleteBuffer = Buffer.alloc(0);
+    this.viewport = options.viewport || { mode: 'fit' };
+    this.pixelFormat = options.pixelFormat || 'gray';
+    this.parser = new Y4MParser((frame) => this._acceptFrame(frame));
+    this.nativeOutput = false;  // Second output of unscaled color frames on pipe 3
+    this.nativeParser = new Y4MParser((frame) => this.emit('nativeframe', frame));
     this.platform = os.platform();
     this.framesReceived = 0;
     this.lastLogTime = Date.now();
+
+    // Camera settings
+    this.device = options.device || null;
+    this.hwaccel = options.hwaccel !== false;
+    this.captureMode = options.captureMode || getFallbackCaptureMode({ ...options.inputSize });
+
+    // File playback state
+    this.input = options.input || null;
+    this.loop = options.loop !== false;
+    this.seekOffset = options.seek || 0;
+    this.playbackTime = 0;  // Seconds played since the last (re)start
+    this.duration = this.input?.duration || 0;
+    this.frameRate = this.input?.fps || 0;  // Read from FFmpeg for video files
+    this.frameList = null;  // ffconcat file listing the frames of an image sequence
+    this.paused = false;
+    this.speed = 1;
+
+    // Supervisor state
+    this.shouldRun = false;  // True between start() and stop(), survives crashes
+    this.restartTimer = null;
+    this.crashCount = 0;
+    this.consecutiveFailures = 0;
+    this.processStartTime = 0;
+    this.processFrames = 0;
+    this.stderrLines = [];
+    this.lastFailureReason = null;
   }
 
   /**
@@ -31,57 +119,256 @@ class FFmpegCapture {
     const platform = this.platform;
 
     // Common output settings
+    // Y4M wraps each frame in a header carrying its size and pixel format
+    // Paused playback decodes the one frame it shows
+    const stillArgs = this.input && this.paused ? ['-frames:v', '1'] : [];
     const outputArgs = [
-      '-vf', `scale=${width}:${height}`,
-      '-pix_fmt', 'gray',
-      '-f', 'rawvideo',
-      '-'
+      '-vf', getScaleFilter(width, height, this.viewport),
+      '-pix_fmt', this.pixelFormat,
+      '-f', 'yuv4mpegpipe',
+      '-',
+      ...(this.nativeOutput ? [...stillArgs, '-pix_fmt', 'yuv420p', '-f', 'yuv4mpegpipe', 'pipe:3'] : [])
     ];
 
+    if (this.input) {
+      return [...this._getFileInputArgs(), ...stillArgs, ...outputArgs];
+    }
+
     if (platform === 'darwin') {
       // macOS - AVFoundation with VideoToolbox hardware acceleration
       // IMPORTANT: -hwaccel MUST come BEFORE -i (input option)
       return [
-        '-hwaccel', 'videotoolbox',  // Hardware accel BEFORE input
+        ...this._getHwaccelArgs('videotoolbox'),  // Hardware accel BEFORE input
         '-f', 'avfoundation',
-        '-framerate', '30',
-        '-video_size', '1280x720',
-        '-i', '0',  // Default camera
+        ...this._getCaptureModeArgs(),
+        '-i', this.device || '0',  // Default camera
         ...outputArgs
       ];
     } else if (platform === 'linux') {
       // Linux - V4L2 with VAAPI hardware acceleration
       return [
-        '-hwaccel', 'vaapi',
-        '-hwaccel_device', '/dev/dri/renderD128',
+        ...this._getHwaccelArgs('vaapi', '/dev/dri/renderD128'),
         '-f', 'v4l2',
-        '-framerate', '30',
-        '-video_size', '1280x720',
-        '-i', '/dev/video0',
+        ...this._getCaptureModeArgs(true),
+        '-i', this._getV4L2Device(),
         ...outputArgs
       ];
     } else if (platform === 'win32') {
       // Windows - DirectShow with DXVA2 hardware acceleration
       return [
-        '-hwaccel', 'dxva2',
+        ...this._getHwaccelArgs('dxva2'),
         '-f', 'dshow',
-        '-framerate', '30',
-        '-video_size', '1280x720',
-        '-i', 'video="Integrated Camera"',  // May need adjustment
+        ...this._getCaptureModeArgs(),
+        '-i', `video=${this.device || 'Integrated Camera'}`,  // May need adjustment
         ...outputArgs
       ];
     } else {
       // Fallback - no hardware acceleration
       return [
         '-f', 'v4l2',
-        '-framerate', '30',
-        '-video_size', '1280x720',
-        '-i', '/dev/video0',
+        ...this._getCaptureModeArgs(true),
+        '-i', this._getV4L2Device(),
         ...outputArgs
       ];
     }
   }
 
+  /**
+   * Get the camera mode input arguments
+   * @param {boolean} withFormat - Also select the native format (V4L2 -input_format)
+   * @returns {Array} FFmpeg arguments
+   * @private
+   */
+  _getCaptureModeArgs(withFormat = false) {
+    const { format, width, height, fps } = this.captureMode;
+    return [
+      ...(withFormat && format ? ['-input_format', format] : []),
+      // Without a known rate the device picks its own for the size
+      ...(fps ? ['-framerate', String(fps)] : []),
+      '-video_size', `${width}x${height}`
+    ];
+  }
+
+  /**
+   * Get hardware acceleration arguments (empty when disabled)
+   * @param {string} method - FFmpeg hwaccel method
+   * @param {string} device - Optional hwaccel device
+   * @returns {Array} FFmpeg arguments
+   * @private
+   */
+  _getHwaccelArgs(method, device = null) {
+    if (!this.hwaccel) return [];
+    return device
+      ? ['-hwaccel', method, '-hwaccel_device', device]
+      : ['-hwaccel', method];
+  }
+
+  /**
+   * Get the V4L2 device path, accepting a bare index as shorthand
+   * @returns {string} Device path
+   * @private
+   */
+  _getV4L2Device() {
+    if (!this.device) return '/dev/video0';
+    return /^\d+$/.test(this.device) ? `/dev/video${this.device}` : this.device;
+  }
+
+  /**
+   * Get FFmpeg input arguments for file or image-sequence playback
+   * @returns {Array} FFmpeg arguments
+   * @private
+   */
+  _getFileInputArgs() {
+    // -re paces reading at the file's native frame rate, -readrate at a multiple of it
+    const args = [];
+    if (!this.paused) {
+      args.push(...(this.speed === 1 ? ['-re'] : ['-readrate', String(this.speed)]));
+    }
+
+    if (this.loop) {
+      args.push('-stream_loop', '-1');
+    }
+
+    if (this.seekOffset > 0) {
+      args.push('-ss', this.seekOffset.toFixed(3));
+    }
+
+    if (this.input.type === 'sequence') {
+      args.push('-r', String(this.input.fps), '-f', 'concat', '-safe', '0', '-i', this.frameList);
+    } else {
+      args.push('-i', this.input.path);
+    }
+
+    return args;
+  }
+
+  /**
+   * Track playback position from FFmpeg progress output
+   * @param {Buffer} data - stderr chunk
+   * @private
+   */
+  _parseProgress(data) {
+    const text = data.toString();
+
+    if (!this.duration) {
+      const durationMatch = text.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+      if (durationMatch) {
+        this.duration = parseTimestamp(durationMatch);
+      }
+    }
+
+    if (!this.frameRate) {
+      const rateMatch = text.match(/Video: .*?, (\d+(?:\.\d+)?) (?:fps|tbr)/);
+      if (rateMatch) {
+        this.frameRate = Number(rateMatch[1]);
+      }
+    }
+
+    // Progress lines are separated by \r, keep the most recent one
+    const timeMatches = [...text.matchAll(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/g)];
+    if (timeMatches.length > 0) {
+      this.playbackTime = parseTimestamp(timeMatches[timeMatches.length - 1]);
+    }
+  }
+
+  /**
+   * Get current playback position within the file
+   * @returns {number} Position in seconds
+   */
+  getPlaybackPosition() {
+    // A held frame is exactly at the offset it was decoded from
+    const position = this.seekOffset + (this.paused ? 0 : this.playbackTime);
+    if (this.loop && this.duration > 0) {
+      return position % this.duration;
+    }
+    return this.duration > 0 ? Math.min(position, this.duration) : position;
+  }
+
+  /**
+   * Seek file playback relative to the current position
+   * Restarts FFmpeg at the new offset
+   * @param {number} delta - Seconds to move (negative seeks backwards)
+   */
+  seek(delta) {
+    if (!this.input) return;
+
+    let target = this.getPlaybackPosition() + delta;
+    if (this.duration > 0) {
+      // FFmpeg started at the very end decodes nothing, stop at the last frame
+      const lastFrame = Math.max(0, this.duration - 1 / this._getStepRate());
+      target = this.loop
+        ? ((target % this.duration) + this.duration) % this.duration
+        : Math.min(Math.max(target, 0), lastFrame);
+    } else {
+      target = Math.max(target, 0);
+    }
+
+    this.stop();
+    this.seekOffset = target;
+    this.playbackTime = 0;
+    this.start();
+  }
+
+  /**
+   * Pause or resume file playback
+   * Resuming a file that played to its end starts over
+   * @param {boolean} paused - Whether to pause
+   */
+  setPaused(paused) {
+    if (!this.input || paused === this.paused) return;
+
+    const atEnd = !paused && !this.loop && this.duration > 0 &&
+      this.getPlaybackPosition() >= this.duration - 1 / this._getStepRate();
+    this._restart(() => {
+      this.paused = paused;
+    });
+    if (atEnd) {
+      this.seek(-this.duration);
+    }
+  }
+
+  /**
+   * Pause file playback and move by frames
+   * @param {number} count - Frames to move, negative to go back
+   */
+  step(count) {
+    if (!this.input) return;
+    this.setPaused(true);
+    this.seek(count / this._getStepRate());
+  }
+
+  /**
+   * Change the file playback speed, keeping the position
+   * @param {number} speed - Speed factor (1 = native frame rate)
+   */
+  setSpeed(speed) {
+    if (!this.input || speed === this.speed) return;
+    this._restart(() => {
+      this.speed = speed;
+    });
+  }
+
+  /**
+   * Turn the native-size output for recording on or off
+   * Restarts FFmpeg
+   * @param {boolean} enabled - Whether to emit 'nativeframe' events
+   */
+  setNativeOutput(enabled) {
+    if (enabled === this.nativeOutput) return;
+    this._restart(() => {
+      this.nativeOutput = enabled;
+    });
+  }
+
+  /**
+   * Get the frame rate frame steps are based on
+   * @returns {number} Frames per second
+   * @private
+   */
+  _getStepRate() {
+    return this.frameRate || DEFAULT_STEP_FPS;
+  }
+
   /**
    * Check if FFmpeg is available
    * @returns {Promise<boolean>}
@@ -109,15 +396,38 @@ class FFmpegCapture {
   async initialize(width, height) {
     this.width = width;
     this.height = height;
-    this.bytesPerFrame = width * height;  // 1 byte per pixel (grayscale)
+    this.bytesPerFrame = getFrameSize(this.pixelFormat, width, height);
 
     // Silent initialization - logs available with 'l' key
 
     // Check if FFmpeg is available (silent check)
     const available = await this.checkFFmpegAvailable();
+    if (available && this.input?.type === 'sequence' && !this.frameList) {
+      this.frameList = await this._writeFrameList();
+    }
     return available;
   }
 
+  /**
+   * Write the frames of an image sequence as an ffconcat list
+   * Each frame lasts one frame interval at the sequence's rate
+   * @returns {Promise<string>} List file path
+   * @private
+   */
+  async _writeFrameList() {
+    const listPath = path.join(os.tmpdir(), `terminal-webcam-${process.pid}-${Date.now()}.ffconcat`);
+    const interval = (1 / this.input.fps).toFixed(6);
+    const lines = ['ffconcat version 1.0'];
+
+    for (const frame of this.input.frames) {
+      // Quoted, so spaces and brackets stay literal; a quote ends the string, is escaped and reopens it
+      lines.push(`file '${frame.replace(/'/g, "'\\''")}'`, `duration ${interval}`);
+    }
+
+    await fs.writeFile(listPath, lines.join('\n') + '\n');
+    return listPath;
+  }
+
   /**
    * Start the FFmpeg capture process
    */
@@ -126,105 +436,349 @@ class FFmpegCapture {
       return;
     }
 
+    this.shouldRun = true;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+
     const args = this._getFFmpegArgs(this.width, this.height);
 
-    this.ffmpeg = spawn('ffmpeg', args, {
-      stdio: ['ignore', 'pipe', 'pipe']
+    const ffmpeg = spawn('ffmpeg', args, {
+      stdio: ['ignore', 'pipe', 'pipe', ...(this.nativeOutput ? ['pipe'] : [])]
     });
+    this.ffmpeg = ffmpeg;
 
     this.isRunning = true;
-
-    // Handle stdout - raw grayscale pixel data
-    this.ffmpeg.stdout.on('data', (chunk) => {
-      this._handleFrameData(chunk);
+    this.processStartTime = Date.now();
+    this.processFrames = 0;
+    this.stderrLines = [];
+
+    // Each process starts a fresh Y4M stream with its own header
+    this.parser.reset();
+    this.nativeParser.reset();
+
+    // Events from a process we already replaced (resize, seek) are ignored,
+    // otherwise its late output and exit would leak into the new one
+    const isCurrent = () => this.ffmpeg === ffmpeg;
+
+    // Handle stdout - Y4M stream of grayscale frames
+    ffmpeg.stdout.on('data', (chunk) => {
+      if (isCurrent()) {
+        this._handleFrameData(chunk);
+      }
     });
 
+    // Handle pipe 3 - Y4M stream of unscaled frames for recording
+    if (this.nativeOutput) {
+      ffmpeg.stdio[3].on('data', (chunk) => {
+        if (isCurrent()) {
+          this._handleFrameData(chunk, this.nativeParser);
+        }
+      });
+    }
+
     // Handle stderr - FFmpeg logs (suppressed, toggle with 'l' key)
-    this.ffmpeg.stderr.on('data', (data) => {
-      // Suppress all FFmpeg stderr output by default
-      // This includes codec info, stream details, warnings
+    ffmpeg.stderr.on('data', (data) => {
+      // Not displayed, but kept so failures can be explained
+      // File playback also reads it for duration and position
+      if (!isCurrent()) return;
+
+      this._recordStderr(data);
+      if (this.input) {
+        this._parseProgress(data);
+      }
     });
 
-    this.ffmpeg.on('error', (err) => {
-      // Silent error handling
+    // 'close' may or may not follow 'error', handle whichever comes first
+    let exited = false;
+    const onExit = (code, error) => {
+      if (exited || !isCurrent()) return;
+      exited = true;
       this.isRunning = false;
-    });
+      this.ffmpeg = null;
+      this._handleExit(code, error);
+    };
 
-    this.ffmpeg.on('close', (code) => {
-      this.isRunning = false;
-    });
+    ffmpeg.on('error', (err) => onExit(null, err));
+    ffmpeg.on('close', (code) => onExit(code, null));
+  }
+
+  /**
+   * Keep the tail of FFmpeg's stderr
+   * @param {Buffer} data - stderr chunk
+   * @private
+   */
+  _recordStderr(data) {
+    // Progress lines end in \r, only real log lines are worth keeping
+    const lines = data.toString().split(/[\r\n]+/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('frame='));
+
+    this.stderrLines.push(...lines);
+    if (this.stderrLines.length > STDERR_HISTORY) {
+      this.stderrLines.splice(0, this.stderrLines.length - STDERR_HISTORY);
+    }
   }
 
   /**
-   * Handle incoming frame data from FFmpeg stdout
-   * @param {Buffer} chunk - Raw data chunk
+   * Summarise why FFmpeg exited from its stderr
+   * @param {number|null} code - Exit code
+   * @param {Error|null} error - Spawn error
+   * @returns {string} Human-readable reason
    * @private
    */
-  _handleFrameData(chunk) {
-    // Concatenate with any incomplete data from previous chunks
-    this.incompleteBuffer = Buffer.concat([this.incompleteBuffer, chunk]);
-
-    // Extract complete frames
-    while (this.incompleteBuffer.length >= this.bytesPerFrame) {
-      // Extract one frame
-      this.currentBuffer = this.incompleteBuffer.slice(0, this.bytesPerFrame);
-      this.frameTimestamp = Date.now();
-      this.framesReceived++;
-
-      // Remove processed frame from buffer
-      this.incompleteBuffer = this.incompleteBuffer.slice(this.bytesPerFrame);
-
-      // Track FPS silently
-      const now = Date.now();
-      if (now - this.lastLogTime > 5000) {
-        this.framesReceived = 0;
-        this.lastLogTime = now;
+  _describeFailure(code, error) {
+    if (error) {
+      return error.code === 'ENOENT' ? 'ffmpeg not found' : error.message;
+    }
+
+    const errorLine = [...this.stderrLines].reverse()
+      .find(line => /error|fail|cannot|unable|no such|busy|denied|invalid|not supported/i.test(line));
+
+    // Drop the "[v4l2 @ 0x55d...]" prefix
+    const detail = errorLine ? errorLine.replace(/^\[[^\]]+\]\s*/, '') : null;
+    return detail || `ffmpeg exited with code ${code}`;
+  }
+
+  /**
+   * Supervisor: decide what to do after FFmpeg exits
+   * @param {number|null} code - Exit code
+   * @param {Error|null} error - Spawn error
+   * @private
+   */
+  _handleExit(code, error) {
+    if (!this.shouldRun) return;
+
+    if (this.input && code === 0) {
+      // A paused file exits once its frame is out
+      if (this.paused) return;
+
+      // Non-looping file playback reaching the end is not a crash: hold the
+      // last frame, paused one frame before the end so it can be shown again
+      if (!this.loop) {
+        const position = this.getPlaybackPosition();
+        this.paused = true;
+        this.seekOffset = Math.max(0, Math.min(position, this.duration || position) - 1 / this._getStepRate());
+        this.playbackTime = 0;
+        this.emit('ended');
+        return;
       }
     }
+
+    const reason = this._describeFailure(code, error);
+    this.lastFailureReason = reason;
+    this.crashCount++;
+
+    // ffmpeg missing entirely cannot be fixed by restarting
+    if (error && error.code === 'ENOENT') {
+      this._fail(reason);
+      return;
+    }
+
+    // Stage 1: GPU decoding never produced a frame, retry without it
+    if (this.hwaccel && this.processFrames === 0 && !this.input) {
+      this.hwaccel = false;
+      this.emit('fallback', { reason });
+      this.start();
+      return;
+    }
+
+    // A process that ran healthily resets the failure streak
+    const ranStable = this.processFrames > 0 &&
+      Date.now() - this.processStartTime >= STABLE_RUN_MS;
+    this.consecutiveFailures = ranStable ? 1 : this.consecutiveFailures + 1;
+
+    if (this.consecutiveFailures > MAX_CONSECUTIVE_FAILURES) {
+      this._fail(reason);
+      return;
+    }
+
+    // Stage 2: restart with exponential backoff
+    const delay = Math.min(
+      RESTART_BASE_DELAY * 2 ** (this.consecutiveFailures - 1),
+      RESTART_MAX_DELAY
+    );
+    this.emit('restart', { attempt: this.consecutiveFailures, delay, reason });
+
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      if (this.shouldRun) {
+        this.start();
+      }
+    }, delay);
   }
 
   /**
-   * Get the latest frame buffer
-   * @returns {Buffer|null} Raw grayscale pixel data
+   * Give up on FFmpeg capture
+   * @param {string} reason - Why capture failed
+   * @private
    */
-  getLatestFrame() {
-    return this.currentBuffer;
+  _fail(reason) {
+    this.shouldRun = false;
+    this._clearFrame();
+    this.emit('failed', { reason });
   }
 
   /**
-   * Get frame timestamp
-   * @returns {number} Timestamp in milliseconds
+   * Wait until the first frame arrives or capture fails
+   * Used at startup to check that capture really works, not just that ffmpeg exists
+   * @param {number} timeout - Milliseconds to wait before giving up on the camera
+   * @returns {Promise<Object>} { ok: true } on a frame, { ok: false, reason } on failure or timeout
    */
-  getFrameTimestamp() {
-    return this.frameTimestamp;
+  waitForFirstFrame(timeout = 5000) {
+    if (this.latestFrame) {
+      return Promise.resolve({ ok: true });
+    }
+
+    return new Promise((resolve) => {
+      const finish = (result) => {
+        clearTimeout(timer);
+        this.off('frame', onFrame);
+        this.off('failed', onFailed);
+        resolve(result);
+      };
+      const onFrame = () => finish({ ok: true });
+      const onFailed = ({ reason }) => finish({ ok: false, reason });
+
+      // FFmpeg can run without ever delivering a frame (busy or silent device)
+      const timer = setTimeout(() => finish({
+        ok: false,
+        reason: `no frame within ${timeout / 1000}s`
+      }), timeout);
+      this.on('frame', onFrame);
+      this.on('failed', onFailed);
+    });
+  }
+
+  /**
+   * Handle incoming stream data from FFmpeg stdout (or pipe 3)
+   * @param {Buffer} chunk - Y4M data chunk
+   * @param {Y4MParser} parser - Parser of the stream the chunk belongs to
+   * @private
+   */
+  _handleFrameData(chunk, parser = this.parser) {
+    try {
+      parser.push(chunk);
+    } catch (error) {
+      // Unreadable stream header: let the supervisor restart FFmpeg
+      this._recordStderr(Buffer.from(`Stream error: ${error.message}`));
+      this.ffmpeg?.kill('SIGTERM');
+    }
+  }
+
+  /**
+   * Publish a parsed frame
+   * @param {Object} frame - { data, width, height, format, timestamp }
+   * @private
+   */
+  _acceptFrame(frame) {
+    this._emitFrame(frame);
+    this.framesReceived++;
+    this.processFrames++;
+
+    // Track FPS silently
+    const now = Date.now();
+    if (now - this.lastLogTime > 5000) {
+      this.framesReceived = 0;
+      this.lastLogTime = now;
+    }
   }
 
   /**
    * Update capture resolution
    * @param {number} width - New width
    * @param {number} height - New height
+   * @param {Object} captureMode - New camera mode to switch to in the same restart (optional)
+   * @param {Object} viewport - New scale mode and cell aspect, also applied in the same restart (optional)
    */
-  updateResolution(width, height) {
-    if (width === this.width && height === this.height) {
+  updateResolution(width, height, captureMode = this.captureMode, viewport = this.viewport) {
+    if (width === this.width && height === this.height &&
+        isSameCaptureMode(captureMode, this.captureMode) &&
+        viewport.mode === this.viewport.mode && viewport.cellAspect === this.viewport.cellAspect) {
       return;
     }
 
-    // Stop current process
+    this._restart(() => {
+      this.width = width;
+      this.height = height;
+      this.bytesPerFrame = getFrameSize(this.pixelFormat, width, height);
+      this.captureMode = captureMode;
+      this.viewport = { ...this.viewport, ...viewport };
+    });
+  }
+
+  /**
+   * Change the scale mode or cell aspect ratio
+   * Restarts FFmpeg with the new filter chain
+   * @param {Object} viewport - { mode: 'fit'|'fill'|'stretch', cellAspect }
+   */
+  setViewport(viewport) {
+    this._restart(() => {
+      this.viewport = { ...this.viewport, ...viewport };
+    });
+  }
+
+  /**
+   * Change the output pixel format
+   * Restarts FFmpeg; frames already queued keep their old format, which the
+   * converter handles since every frame carries its own
+   * @param {string} pixelFormat - 'gray' or 'yuv444p'
+   */
+  setPixelFormat(pixelFormat) {
+    if (pixelFormat === this.pixelFormat) return;
+
+    this._restart(() => {
+      this.pixelFormat = pixelFormat;
+      this.bytesPerFrame = getFrameSize(pixelFormat, this.width, this.height);
+    });
+  }
+
+  /**
+   * Restart FFmpeg after changing its output settings
+   * A capture that already gave up stays stopped; file playback resumes where it was
+   * @param {Function} apply - Applies the new settings while FFmpeg is stopped
+   * @private
+   */
+  _restart(apply) {
+    const wasRunning = this.shouldRun;
+    const position = this.input ? this.getPlaybackPosition() : 0;
     this.stop();
 
-    // Update dimensions
-    this.width = width;
-    this.height = height;
-    this.bytesPerFrame = width * height;
+    apply();
 
-    // Restart with new dimensions
-    this.start();
+    if (this.input) {
+      this.seekOffset = position;
+      this.playbackTime = 0;
+    }
+    if (wasRunning) {
+      this.start();
+    }
+  }
+
+  /**
+   * Switch to a different camera device
+   * Restarts FFmpeg if it was running
+   * @param {string} device - Device path, index or name
+   * @param {Object} captureMode - Camera mode to use on the new device (default: keep the current one)
+   */
+  setDevice(device, captureMode = this.captureMode) {
+    const wasRunning = this.shouldRun;
+    this.stop();
+    this.device = device;
+    this.captureMode = captureMode;
+    this.consecutiveFailures = 0;
+    if (wasRunning) {
+      this.start();
+    }
   }
 
   /**
    * Stop the FFmpeg process
    */
   stop() {
+    this.shouldRun = false;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+
     if (!this.isRunning) return;
 
     if (this.ffmpeg) {
@@ -233,8 +787,7 @@ class FFmpegCapture {
     }
 
     this.isRunning = false;
-    this.currentBuffer = null;
-    this.incompleteBuffer = Buffer.alloc(0);
+    this._clearFrame();
   }
 
   /**
@@ -242,6 +795,11 @@ class FFmpegCapture {
    */
   async cleanup() {
     this.stop();
+
+    if (this.frameList) {
+      await fs.unlink(this.frameList).catch(() => {});
+      this.frameList = null;
+    }
   }
 
   /**
@@ -259,13 +817,39 @@ class FFmpegCapture {
   getStats() {
     return {
       platform: this.platform,
+      device: this.input ? null : (this.platform === 'linux' ? this._getV4L2Device() : this.device),
+      hwaccel: this.hwaccel,
+      captureMode: this.input ? null : this.captureMode,
       width: this.width,
       height: this.height,
+      pixelFormat: this.pixelFormat,
       bytesPerFrame: this.bytesPerFrame,
       isRunning: this.isRunning,
-      hasFrame: !!this.currentBuffer
+      crashCount: this.crashCount,
+      lastFailureReason: this.lastFailureReason,
+      hasFrame: !!this.latestFrame,
+      ...this.parser.getStats(),
+      ...(this.input && {
+        playback: {
+          path: this.input.path,
+          position: this.getPlaybackPosition(),
+          duration: this.duration,
+          loop: this.loop,
+          paused: this.paused,
+          speed: this.speed
+        }
+      })
     };
   }
 }
 
+/**
+ * Convert an HH:MM:SS.ms regex match to seconds
+ * @param {Array} match - Regex match with hours, minutes, seconds groups
+ * @returns {number} Seconds
+ */
+function parseTimestamp(match) {
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
 export default FFmpegCapture;
@@ -0,0 +1,73 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Base class for everything that produces video frames
+ *
+ * Frames are plain objects describing themselves, so consumers never have to
+ * guess what a buffer contains:
+ *   {
+ *     data,       // Buffer - pixel data, or an encoded image for 'jpeg'
+ *     width,      // number - frame width in pixels
+ *     height,     // number - frame height in pixels
+ *     format,     // string - FFmpeg pix_fmt name (gray, rgb24, yuv420p...) or 'jpeg'
+ *     timestamp,  // number - capture time (ms since epoch)
+ *     sequence    // number - increases by one per frame from this source
+ *   }
+ *
+ * Subclasses call _emitFrame() for each new frame. Consumers either listen
+ * for 'frame' events or poll getLatestFrame().
+ */
+class FrameSource extends EventEmitter {
+  constructor() {
+    super();
+    this.latestFrame = null;
+    this.sequence = 0;
+  }
+
+  /**
+   * Publish a new frame
+   * @param {Object} frame - { data, width, height, format, timestamp }
+   * @returns {Object} The published frame, with its sequence number
+   * @protected
+   */
+  _emitFrame({ data, width, height, format, timestamp }) {
+    const frame = {
+      data,
+      width,
+      height,
+      format,
+      timestamp: timestamp || Date.now(),
+      sequence: ++this.sequence
+    };
+
+    this.latestFrame = frame;
+    this.emit('frame', frame);
+    return frame;
+  }
+
+  /**
+   * Drop the latest frame (e.g. when the source stops)
+   * @protected
+   */
+  _clearFrame() {
+    this.latestFrame = null;
+  }
+
+  /**
+   * Get the most recent frame
+   * @returns {Object|null} Frame object, or null before the first frame
+   */
+  getLatestFrame() {
+    return this.latestFrame;
+  }
+
+  /**
+   * Get the latest frame's capture time
+   * @returns {number} Timestamp in milliseconds (0 before the first frame)
+   */
+  getFrameTimestamp() {
+    return this.latestFrame ? this.latestFrame.timestamp : 0;
+  }
+}
+
+export default FrameSource;
@@ -1,59 +1,519 @@
+import os from 'os';
+import { promises as fs } from 'fs';
+import FrameSource from './frame-source.js';
 import FFmpegCapture from './ffmpeg-capture.js';
 import WebcamCapture from './capture.js';
+import TestPatternCapture from './test-pattern.js';
+import StdinCapture from './stdin-capture.js';
+import { resolveInput } from './input-source.js';
+import { listDevices, probeV4L2Formats } from './devices.js';
+import { selectCaptureMode, getFallbackCaptureMode } from './capture-mode.js';
+import { getOptimalCaptureResolution } from './config.js';
+import { DEFAULT_CELL_ASPECT } from '../utils/viewport.js';
+import { encodeFrame } from '../utils/snapshot.js';
 
 /**
  * Hybrid capture manager
  * Tries FFmpeg hardware acceleration first, falls back to software rendering
+ * When given an input path, plays the file back through FFmpeg instead
+ * The 'test' source generates synthetic frames with no camera or FFmpeg
+ * The 'stdin' source reads a Y4M or rawvideo stream piped into the process
+ *
+ * Frames from whichever capture is active are re-published as 'frame' events,
+ * numbered by this manager so sequences keep increasing across mode switches
+ *
+ * While the native output is on (setNativeOutput), 'nativeframe' events carry
+ * full-size frames for recording: FFmpeg's unscaled color output, or the
+ * published frames of sources that do not scale for the terminal
+ *
+ * FFmpeg failures are reported through events so the UI can show them:
+ *   'status'     ({ message })          - FFmpeg is retrying or changed strategy
+ *   'modechange' ({ mode, reason })     - switched to software capture at runtime
+ *   'failed'     ({ reason })           - file playback could not be recovered
+ * and the end of the input as
+ *   'ended'      ()                     - file playback or the stdin stream finished
  */
-class HybridCapture {
-  constructor() {
+class HybridCapture extends FrameSource {
+  /**
+   * @param {Object} options - Capture options
+   * @param {string} options.source - 'test' for the synthetic test pattern, 'stdin' for a piped
+   *   stream (default: camera or input)
+   * @param {string} options.stdinFormat - Stdin stream format: 'y4m', 'rawvideo' or 'auto'
+   * @param {string} options.pixelFormat - Stdin rawvideo pixel format
+   * @param {string} options.pattern - Initial test pattern name
+   * @param {number} options.fps - Test pattern frame rate
+   * @param {string} options.device - Camera device
+   * @param {boolean} options.hwaccel - Use GPU decoding in FFmpeg (default true)
+   * @param {boolean} options.forceSoftware - Skip FFmpeg and use node-webcam
+   * @param {Object} options.inputSize - Camera capture size, or stdin rawvideo frame size { width, height }
+   *   (default: negotiated from the camera's native modes)
+   * @param {string} options.captureFormat - Camera input format, e.g. 'mjpeg' or 'yuyv422' (default: negotiated)
+   * @param {number} options.captureFps - Camera frame rate (default: negotiated)
+   * @param {number} options.quality - JPEG quality for software capture
+   * @param {string} options.tmpFile - Temp frame file for software capture
+   * @param {string} options.input - Video file or frame directory to play instead of the camera
+   * @param {boolean} options.loop - Loop file playback (default true)
+   * @param {number} options.seek - Start offset in seconds for file playback
+   * @param {Object} options.viewport - Scale mode and cell aspect { mode, cellAspect }
+   * @param {boolean} options.color - Have FFmpeg deliver color frames instead of grayscale
+   */
+  constructor(options = {}) {
+    super();
+    this.options = options;
     this.ffmpegCapture = null;
     this.softwareCapture = null;
+    this.testCapture = null;
+    this.stdinCapture = null;
     this.activeCapture = null;
-    this.mode = null;  // 'hardware' or 'software'
+    this.mode = null;  // 'hardware', 'software', 'file', 'test' or 'stdin'
     this.width = 600;
     this.height = 150;
+    this.device = options.device || null;
+    this.devices = null;  // Cached device list for camera cycling
+    this.deviceFormats = null;  // Native modes of the camera in use, null if unknown
+    this.captureTarget = null;  // Size the current capture mode was negotiated for
+    this.fallbackReason = null;  // Why FFmpeg was abandoned, if it was
+    this.viewport = { mode: 'fit', cellAspect: DEFAULT_CELL_ASPECT, ...options.viewport };
+    this.color = !!options.color;
+    this.nativeOutput = false;  // Whether 'nativeframe' events are wanted
+    this.onCaptureFrame = (frame) => {
+      const published = this._emitFrame(frame);
+      if (this.nativeOutput && !this._hasNativeTap()) {
+        this.emit('nativeframe', published);
+      }
+    };
   }
 
   /**
    * Initialize capture with the best available method
    * @param {number} width - Capture width
    * @param {number} height - Capture height
-   * @returns {Promise<string>} Mode used ('hardware' or 'software')
+   * @param {Object} viewport - Scale mode and cell aspect to start with (default: options.viewport)
+   * @returns {Promise<string>} Mode used ('hardware', 'software', 'file', 'test' or 'stdin')
    */
-  async initialize(width, height) {
+  async initialize(width, height, viewport = this.viewport) {
     this.width = width;
     this.height = height;
+    this.viewport = { ...this.viewport, ...viewport };
+
+    if (this.options.source === 'test') {
+      return this._initializeTestPattern(width, height);
+    }
+
+    if (this.options.source === 'stdin') {
+      return this._initializeStdin(width, height);
+    }
+
+    if (this.options.input) {
+      return this._initializeFile(width, height);
+    }
 
     // Silent initialization - mode details available with 'l' key
-    this.ffmpegCapture = new FFmpegCapture();
-    const ffmpegAvailable = await this.ffmpegCapture.initialize(width, height);
+    if (!this.options.forceSoftware) {
+      this.deviceFormats = await this._probeDeviceFormats();
+    }
+
+    this.ffmpegCapture = new FFmpegCapture({
+      device: this.options.device,
+      hwaccel: this.options.hwaccel,
+      captureMode: this._negotiateCaptureMode(width, height),
+      viewport: this.viewport,
+      pixelFormat: this._getFFmpegPixelFormat()
+    });
+    const ffmpegAvailable = !this.options.forceSoftware &&
+      await this.ffmpegCapture.initialize(width, height);
 
     if (ffmpegAvailable) {
-      this.activeCapture = this.ffmpegCapture;
-      this.mode = 'hardware';
+      this._superviseFFmpeg();
       this.ffmpegCapture.start();
-      return 'hardware';
+
+      // ffmpeg -version only proves FFmpeg exists, wait for a real frame
+      const { ok, reason } = await this.ffmpegCapture.waitForFirstFrame();
+      if (ok) {
+        this._setActiveCapture(this.ffmpegCapture, 'hardware');
+        return 'hardware';
+      }
+
+      // The FFmpeg error line says more than the timeout, e.g. a busy device
+      this.fallbackReason = this.ffmpegCapture.lastFailureReason ?? reason;
+      this.ffmpegCapture.cleanup();
     }
 
     // Fallback to software rendering (silent)
+    this._startSoftware(width, height);
+    return 'software';
+  }
 
-    this.softwareCapture = new WebcamCapture();
-    this.softwareCapture.initialize(width, height);
+  /**
+   * Start node-webcam software capture
+   * @param {number} width - Capture width
+   * @param {number} height - Capture height
+   * @private
+   */
+  _startSoftware(width, height) {
+    this.softwareCapture = new WebcamCapture({
+      ...this._getSoftwareOverrides(),
+      ...(this.device && { device: this.device })
+    });
+    const size = this._getSoftwareCaptureSize(width, height);
+    this.softwareCapture.initialize(size.width, size.height);
     this.softwareCapture.startContinuousCapture();
 
-    this.activeCapture = this.softwareCapture;
-    this.mode = 'software';
-    return 'software';
+    this._setActiveCapture(this.softwareCapture, 'software');
+  }
+
+  /**
+   * Probe the native modes of the camera in use
+   * Only V4L2 devices can be probed; elsewhere the defaults are used
+   * @returns {Promise<Array<Object>|null>} Formats, or null if unknown
+   * @private
+   */
+  async _probeDeviceFormats() {
+    if (os.platform() !== 'linux') return null;
+
+    const device = this.device || '0';
+    return probeV4L2Formats(/^\d+$/.test(device) ? `/dev/video${device}` : device);
+  }
+
+  /**
+   * Choose the camera mode for a grid size
+   * The cheapest native mode covering getOptimalCaptureResolution() wins;
+   * --input-size, --capture-format and --capture-fps narrow the choice
+   * @param {number} cols - Grid width in cells
+   * @param {number} rows - Grid height in cells
+   * @returns {Object} Capture mode { format, width, height, fps }
+   * @private
+   */
+  _negotiateCaptureMode(cols, rows) {
+    const { captureFormat, captureFps, inputSize } = this.options;
+    const constraints = { format: captureFormat, ...inputSize, fps: captureFps };
+
+    this.captureTarget = { ...getOptimalCaptureResolution(cols, rows), fps: this.options.fps };
+    return selectCaptureMode(this.deviceFormats, this.captureTarget, constraints) ||
+      getFallbackCaptureMode(constraints);
   }
 
   /**
-   * Get the latest frame
-   * @returns {Buffer|null} Frame buffer
+   * Check whether a resize changed the useful capture size enough to switch modes
+   * @param {number} cols - New grid width in cells
+   * @param {number} rows - New grid height in cells
+   * @returns {boolean}
+   * @private
    */
-  getLatestFrame() {
-    if (!this.activeCapture) return null;
-    return this.activeCapture.getLatestFrame();
+  _shouldRenegotiate(cols, rows) {
+    if (!this.deviceFormats || !this.captureTarget) return false;
+
+    const target = getOptimalCaptureResolution(cols, rows);
+    const mode = this.ffmpegCapture.captureMode;
+    const ratio = (target.width * target.height) / (this.captureTarget.width * this.captureTarget.height);
+    const covered = mode.width >= target.width && mode.height >= target.height;
+
+    return ratio >= 2 || ratio <= 0.5 || !covered;
+  }
+
+  /**
+   * Pick the node-webcam capture size for a grid
+   * The camera's aspect ratio (from the capture mode, 16:9 by default) is kept, so
+   * the capture tool does not distort the picture before the converter
+   * places it; the size only has to cover the grid in square pixels
+   * @param {number} cols - Grid width in cells
+   * @param {number} rows - Grid height in cells
+   * @returns {Object} { width, height }
+   * @private
+   */
+  _getSoftwareCaptureSize(cols, rows) {
+    const { width, height } = this.options.inputSize || this.ffmpegCapture?.captureMode ||
+      { width: 1280, height: 720 };
+    const aspect = width / height;
+    const minHeight = Math.max(rows * this.viewport.cellAspect, cols / aspect);
+
+    return {
+      width: Math.ceil((minHeight * aspect) / 2) * 2,
+      height: Math.ceil(minHeight / 2) * 2
+    };
+  }
+
+  /**
+   * Make a capture the frame source, relaying its frames
+   * @param {FrameSource} capture - Capture to activate
+   * @param {string} mode - Capture mode it represents
+   * @private
+   */
+  _setActiveCapture(capture, mode) {
+    this.activeCapture?.off('frame', this.onCaptureFrame);
+
+    this.activeCapture = capture;
+    this.mode = mode;
+    capture.on('frame', this.onCaptureFrame);
+
+    // A capture that was already running may have a frame waiting
+    const latest = capture.getLatestFrame();
+    if (latest) {
+      this._emitFrame(latest);
+    }
+  }
+
+  /**
+   * Relay FFmpeg supervisor events, falling back to software capture
+   * when FFmpeg gives up on the camera
+   * @private
+   */
+  _superviseFFmpeg() {
+    const capture = this.ffmpegCapture;
+
+    capture.on('fallback', ({ reason }) => {
+      this.emit('status', { message: `Hardware decoding failed (${reason}), retrying without it` });
+    });
+
+    capture.on('restart', ({ attempt, delay, reason }) => {
+      this.emit('status', {
+        message: `FFmpeg stopped (${reason}), restart ${attempt} in ${(delay / 1000).toFixed(1)}s`
+      });
+    });
+
+    capture.on('failed', ({ reason }) => {
+      // During initialize() the caller handles the failure itself
+      if (this.activeCapture !== capture) return;
+
+      if (this.mode === 'file') {
+        this.emit('failed', { reason });
+        return;
+      }
+
+      this.fallbackReason = capture.lastFailureReason ?? reason;
+      this.ffmpegCapture.cleanup();
+      this._startSoftware(this.width, this.height);
+      this.emit('modechange', { mode: 'software', reason: this.fallbackReason });
+    });
+
+    capture.on('ended', () => {
+      this.emit('status', { message: 'Playback finished' });
+      this.emit('ended');
+    });
+
+    capture.on('nativeframe', (frame) => {
+      if (this.activeCapture === capture && this.nativeOutput) {
+        this.emit('nativeframe', frame);
+      }
+    });
+  }
+
+  /**
+   * Get why FFmpeg capture was abandoned
+   * @returns {string|null}
+   */
+  getFallbackReason() {
+    return this.fallbackReason;
+  }
+
+  /**
+   * Build node-webcam config overrides from the options that were set
+   * @returns {Object}
+   * @private
+   */
+  _getSoftwareOverrides() {
+    const { device, quality, tmpFile } = this.options;
+    return {
+      ...(device && { device }),
+      ...(quality && { quality }),
+      ...(tmpFile && { tmpFile })
+    };
+  }
+
+  /**
+   * Start file playback through FFmpeg
+   * @param {number} width - Capture width
+   * @param {number} height - Capture height
+   * @returns {Promise<string>} 'file'
+   * @private
+   */
+  async _initializeFile(width, height) {
+    const input = await resolveInput(this.options.input);
+
+    this.ffmpegCapture = new FFmpegCapture({
+      input,
+      loop: this.options.loop,
+      seek: this.options.seek,
+      viewport: this.viewport,
+      pixelFormat: this._getFFmpegPixelFormat()
+    });
+
+    const ffmpegAvailable = await this.ffmpegCapture.initialize(width, height);
+    if (!ffmpegAvailable) {
+      throw new Error('FFmpeg is required to play video files and image sequences');
+    }
+
+    this._setActiveCapture(this.ffmpegCapture, 'file');
+    this._superviseFFmpeg();
+    this.ffmpegCapture.start();
+    return 'file';
+  }
+
+  /**
+   * Start the synthetic test-pattern generator
+   * @param {number} width - Capture width
+   * @param {number} height - Capture height
+   * @returns {string} 'test'
+   * @private
+   */
+  _initializeTestPattern(width, height) {
+    this.testCapture = new TestPatternCapture({
+      pattern: this.options.pattern,
+      fps: this.options.fps
+    });
+    this.testCapture.initialize(width, height);
+    this._setActiveCapture(this.testCapture, 'test');
+    this.testCapture.start();
+    return 'test';
+  }
+
+  /**
+   * Start reading a video stream from stdin
+   * @param {number} width - Capture width
+   * @param {number} height - Capture height
+   * @returns {string} 'stdin'
+   * @private
+   */
+  _initializeStdin(width, height) {
+    this.stdinCapture = new StdinCapture({
+      format: this.options.stdinFormat,
+      pixelFormat: this.options.pixelFormat,
+      size: this.options.inputSize
+    });
+    this.stdinCapture.initialize(width, height);
+
+    this.stdinCapture.on('ended', () => {
+      this.emit('status', { message: 'Input stream ended' });
+      this.emit('ended');
+    });
+    this.stdinCapture.on('failed', ({ reason }) => {
+      this.emit('failed', { reason });
+    });
+
+    this._setActiveCapture(this.stdinCapture, 'stdin');
+    this.stdinCapture.start();
+    return 'stdin';
+  }
+
+  /**
+   * Stop or resume reading piped input, for consumers that use every frame
+   * Only stdin can deliver frames faster than they are used: files are read
+   * at their frame rate and cameras capture at theirs
+   * @param {boolean} held - Whether to stop reading
+   */
+  holdInput(held) {
+    if (this.stdinCapture) {
+      this.stdinCapture.holdInput(held);
+    }
+  }
+
+  /**
+   * Switch to the next test pattern (test mode only)
+   * @returns {Object|null} New pattern descriptor, or null outside test mode
+   */
+  nextTestPattern() {
+    if (this.mode !== 'test') return null;
+    return this.testCapture.nextPattern();
+  }
+
+  /**
+   * Switch to the next available camera (camera modes only)
+   * @returns {Promise<Object|null>} Device switched to, or null if there is nothing to switch to
+   */
+  async nextDevice() {
+    if (this.mode !== 'hardware' && this.mode !== 'software') return null;
+
+    // Re-list each time so cameras plugged in after startup are found
+    this.devices = await listDevices();
+    if (this.devices.length < 2) return null;
+
+    const currentIndex = this.devices.findIndex(device => this._isCurrentDevice(device));
+    const next = this.devices[(currentIndex + 1) % this.devices.length];
+
+    this.switchDevice(next);
+    return next;
+  }
+
+  /**
+   * Tear down the active capture and restart it on another camera
+   * @param {Object} device - Device from listDevices()
+   */
+  switchDevice(device) {
+    this.device = device.id;
+
+    if (this.mode === 'hardware') {
+      // Listed devices come with their modes already probed
+      this.deviceFormats = device.formats;
+      this.ffmpegCapture.setDevice(device.id, this._negotiateCaptureMode(this.width, this.height));
+    } else if (this.mode === 'software') {
+      // node-webcam (imagesnap) selects macOS cameras by name
+      this.softwareCapture.setDevice(device.path || device.name);
+    }
+  }
+
+  /**
+   * Check whether a listed device is the one in use
+   * With no explicit device, the first listed device is the default
+   * @private
+   */
+  _isCurrentDevice(device) {
+    if (!this.device) {
+      return device === this.devices[0];
+    }
+    return device.id === this.device || device.path === this.device ||
+      device.name === this.device || device.path === `/dev/video${this.device}`;
+  }
+
+  /**
+   * Get the camera device in use
+   * @returns {string|null} Device id, or null for the platform default
+   */
+  getDevice() {
+    return this.device;
+  }
+
+  /**
+   * Seek file playback (file mode only)
+   * @param {number} delta - Seconds to move (negative seeks backwards)
+   * @returns {boolean} Whether the seek was applied
+   */
+  seek(delta) {
+    if (this.mode !== 'file') return false;
+    this.ffmpegCapture.seek(delta);
+    return true;
+  }
+
+  /**
+   * Pause or resume file playback (file mode only)
+   * @param {boolean} paused - Whether to pause
+   * @returns {boolean} Whether the change was applied
+   */
+  setPaused(paused) {
+    if (this.mode !== 'file') return false;
+    this.ffmpegCapture.setPaused(paused);
+    return true;
+  }
+
+  /**
+   * Pause file playback and move by frames (file mode only)
+   * @param {number} count - Frames to move, negative to go back
+   * @returns {boolean} Whether the step was applied
+   */
+  step(count) {
+    if (this.mode !== 'file') return false;
+    this.ffmpegCapture.step(count);
+    return true;
+  }
+
+  /**
+   * Change the file playback speed (file mode only)
+   * @param {number} speed - Speed factor (1 = native frame rate)
+   * @returns {boolean} Whether the change was applied
+   */
+  setSpeed(speed) {
+    if (this.mode !== 'file') return false;
+    this.ffmpegCapture.setSpeed(speed);
+    return true;
   }
 
   /**
@@ -69,26 +529,102 @@ class HybridCapture {
 
   /**
    * Update capture resolution
+   * FFmpeg applies a new viewport in its filter chain within the same restart;
+   * other sources are scaled by the renderer
    * @param {number} width - New width
    * @param {number} height - New height
+   * @param {Object} viewport - New scale mode and cell aspect { mode, cellAspect } (optional)
    */
-  updateResolution(width, height) {
-    if (width === this.width && height === this.height) {
+  updateResolution(width, height, viewport = this.viewport) {
+    const viewportChanged = viewport.mode !== this.viewport.mode ||
+      viewport.cellAspect !== this.viewport.cellAspect;
+    if (width === this.width && height === this.height && !viewportChanged) {
       return;
     }
 
     this.width = width;
     this.height = height;
+    this.viewport = { ...this.viewport, ...viewport };
 
-    if (this.activeCapture) {
+    if (this.mode === 'software') {
+      const size = this._getSoftwareCaptureSize(width, height);
+      this.softwareCapture.updateResolution(size.width, size.height);
+    } else if (this.activeCapture === this.ffmpegCapture && this.ffmpegCapture) {
+      // While recording, the camera mode (and so the recorded frame size) stays
+      const captureMode = this.mode === 'hardware' && !this.nativeOutput &&
+        this._shouldRenegotiate(width, height)
+        ? this._negotiateCaptureMode(width, height)
+        : this.ffmpegCapture.captureMode;
+      this.ffmpegCapture.updateResolution(width, height, captureMode, this.viewport);
+    } else if (this.activeCapture) {
       this.activeCapture.updateResolution(width, height);
     }
   }
 
+  /**
+   * Change the scale mode or cell aspect ratio
+   * @param {Object} viewport - { mode: 'fit'|'fill'|'stretch', cellAspect }
+   */
+  setViewport(viewport) {
+    this.updateResolution(this.width, this.height, { ...this.viewport, ...viewport });
+  }
+
+  /**
+   * Switch between color and grayscale frames
+   * Only FFmpeg output changes; the other sources deliver whatever they have
+   * and the converter reduces it to what it needs
+   * @param {boolean} enabled - Color frames wanted
+   */
+  setColorOutput(enabled) {
+    this.color = enabled;
+    this.ffmpegCapture?.setPixelFormat(this._getFFmpegPixelFormat());
+  }
+
+  /**
+   * Turn 'nativeframe' events on or off
+   * FFmpeg capture restarts with a second, unscaled output, and keeps its
+   * camera mode on terminal resizes so the frames keep their size
+   * @param {boolean} enabled - Whether native frames are wanted
+   */
+  setNativeOutput(enabled) {
+    this.nativeOutput = enabled;
+    if (this._hasNativeTap()) {
+      this.ffmpegCapture.setNativeOutput(enabled);
+    }
+  }
+
+  /**
+   * Get the shape of the pixels in 'nativeframe' frames
+   * @returns {number} Pixel height / width
+   */
+  getNativePixelAspect() {
+    // FFmpeg's native output has the camera's (or file's) own pixels
+    return this._hasNativeTap() ? 1 : this.getPixelAspect();
+  }
+
+  /**
+   * Check whether native frames come from FFmpeg's second output
+   * @returns {boolean}
+   * @private
+   */
+  _hasNativeTap() {
+    return !!this.ffmpegCapture && this.activeCapture === this.ffmpegCapture;
+  }
+
+  /**
+   * Get the FFmpeg output pixel format for the current color setting
+   * @returns {string} 'yuv444p' (Y4M has no RGB format) or 'gray'
+   * @private
+   */
+  _getFFmpegPixelFormat() {
+    return this.color ? 'yuv444p' : 'gray';
+  }
+
   /**
    * Cleanup resources
    */
   async cleanup() {
+    this.activeCapture?.off('frame', this.onCaptureFrame);
 
     if (this.ffmpegCapture) {
       await this.ffmpegCapture.cleanup();
@@ -98,23 +634,45 @@ class HybridCapture {
       await this.softwareCapture.cleanup();
     }
 
+    if (this.testCapture) {
+      await this.testCapture.cleanup();
+    }
+
+    if (this.stdinCapture) {
+      await this.stdinCapture.cleanup();
+    }
+
     this.activeCapture = null;
+    this._clearFrame();
   }
 
   /**
    * Get current capture mode
-   * @returns {string} 'hardware' or 'software'
+   * @returns {string} 'hardware', 'software', 'file', 'test' or 'stdin'
    */
   getMode() {
     return this.mode;
   }
 
+  /**
+   * Get the shape of the pixels in published frames
+   * FFmpeg scales frames to the render grid and the test pattern is drawn at
+   * that size, so their pixels have the shape of the grid's (see
+   * TerminalRenderer.getCaptureSettings); software and stdin frames come at
+   * their own size with square pixels
+   * @returns {number} Pixel height / width
+   */
+  getPixelAspect() {
+    return this.mode === 'software' || this.mode === 'stdin' ? 1 : this.viewport.cellAspect;
+  }
+
   /**
    * Check if using hardware acceleration
    * @returns {boolean}
    */
   isHardwareAccelerated() {
-    return this.mode === 'hardware';
+    // The supervisor turns GPU decoding off when it keeps FFmpeg from producing frames
+    return this.mode === 'hardware' && this.ffmpegCapture.hwaccel;
   }
 
   /**
@@ -124,26 +682,28 @@ class HybridCapture {
   getStats() {
     return {
       mode: this.mode,
+      fallbackReason: this.fallbackReason,
       width: this.width,
       height: this.height,
+      scaleMode: this.viewport.mode,
+      cellAspect: this.viewport.cellAspect,
       hardwareAccelerated: this.isHardwareAccelerated(),
       ...(this.activeCapture?.getStats?.() || {})
     };
   }
 
   /**
-   * Save snapshot (software mode only)
-   * For hardware mode, we need to capture a separate snapshot
+   * Save the latest frame as an image, in any capture mode
+   * @param {string} filepath - Where to write it
+   * @param {string} format - 'png' or 'jpg'
+   * @returns {Promise<string|null>} The path written, or null if there is no frame yet
    */
-  async saveSnapshot() {
-    if (this.mode === 'software' && this.softwareCapture) {
-      // Return the temp file path for copying
-      return this.softwareCapture.getLatestFramePath();
-    } else if (this.mode === 'hardware') {
-      // For hardware mode, snapshots not yet supported
-      return null;
-    }
-    return null;
+  async saveSnapshot(filepath, format) {
+    const frame = this.getLatestFrame();
+    if (!frame) return null;
+
+    await fs.writeFile(filepath, await encodeFrame(frame, format));
+    return filepath;
   }
 }
 
@@ -0,0 +1,87 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.webm', '.mov', '.avi', '.m4v'];
+const FRAME_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+// Frame rate used for image sequences, which carry no timing of their own
+const DEFAULT_SEQUENCE_FPS = 20;
+
+/**
+ * Resolve a file-playback input for FFmpegCapture
+ * Accepts a video file (mp4/mkv/webm...) or a directory of JPEG/PNG frames
+ * @param {string} inputPath - Path to a video file or frame directory
+ * @param {Object} options - Resolution options
+ * @param {number} options.fps - Playback rate for image sequences
+ * @returns {Promise<Object>} Input descriptor ({ type, path, fps, duration }, plus frames
+ *   for a directory)
+ */
+export async function resolveInput(inputPath, options = {}) {
+  const resolved = path.resolve(inputPath);
+
+  let stat;
+  try {
+    stat = await fs.stat(resolved);
+  } catch (error) {
+    throw new Error(`Input not found: ${inputPath}`);
+  }
+
+  if (stat.isDirectory()) {
+    return resolveSequence(resolved, options.fps || DEFAULT_SEQUENCE_FPS);
+  }
+
+  const ext = path.extname(resolved).toLowerCase();
+  if (!VIDEO_EXTENSIONS.includes(ext)) {
+    throw new Error(`Unsupported input file type "${ext || 'none'}" (expected ${VIDEO_EXTENSIONS.join(', ')})`);
+  }
+
+  return {
+    type: 'file',
+    path: resolved,
+    duration: 0  // Read from FFmpeg once playback starts
+  };
+}
+
+/**
+ * Build an image-sequence input from a directory of frames
+ * Uses the most common frame extension so mixed folders still play. The
+ * frames are listed here rather than matched by an FFmpeg glob, which breaks
+ * on directory names with glob characters and is missing on Windows
+ * @param {string} dir - Absolute directory path
+ * @param {number} fps - Playback rate
+ * @returns {Promise<Object>} Input descriptor with the frame paths in playback order
+ * @private
+ */
+async function resolveSequence(dir, fps) {
+  const entries = await fs.readdir(dir);
+  const counts = new Map();
+
+  for (const entry of entries) {
+    // Keep the original case, a.JPG and b.jpg are not the same kind of frame
+    const ext = path.extname(entry);
+    if (FRAME_EXTENSIONS.includes(ext.toLowerCase())) {
+      counts.set(ext, (counts.get(ext) || 0) + 1);
+    }
+  }
+
+  if (counts.size === 0) {
+    throw new Error(`No JPEG/PNG frames found in ${dir}`);
+  }
+
+  const [ext] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+
+  // Numbers compare by value, so frame2 comes before frame10
+  const frames = entries
+    .filter(entry => path.extname(entry) === ext)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(entry => path.join(dir, entry));
+
+  return {
+    type: 'sequence',
+    path: dir,
+    frames,
+    fps,
+    frameCount: frames.length,
+    duration: frames.length / fps
+  };
+}
@@ -0,0 +1,222 @@
+import FrameSource from './frame-source.js';
+import Y4MParser from './y4m-parser.js';
+import { getFrameSize } from '../utils/pixels.js';
+
+const Y4M_MAGIC = Buffer.from('YUV4MPEG2');
+
+/**
+ * Capture from a video stream piped on stdin
+ * Accepts Y4M (self-describing) or rawvideo with a declared size and pixel format,
+ * so any FFmpeg/GStreamer pipeline or `ssh host ffmpeg ...` can feed the renderer
+ *
+ * Frames are published at the stream's own size and pixel format; scaling
+ * and grayscale conversion happen in the renderer, only for frames it draws
+ * Events:
+ *   'frame' (frame) - new frame (see FrameSource)
+ *   'ended' () - the stream closed
+ *   'failed' ({ reason }) - the stream could not be parsed
+ */
+class StdinCapture extends FrameSource {
+  /**
+   * @param {Object} options - Stream options
+   * @param {Readable} options.stream - Stream to read (default process.stdin)
+   * @param {string} options.format - 'y4m', 'rawvideo' or 'auto' (default: detect from the first bytes)
+   * @param {string} options.pixelFormat - rawvideo pixel format: gray, rgb24, yuv420p... (default gray)
+   * @param {Object} options.size - rawvideo frame size { width, height }
+   */
+  constructor(options = {}) {
+    super();
+    this.stream = options.stream || process.stdin;
+    this.format = options.format || 'auto';
+    this.pixelFormat = options.pixelFormat || 'gray';
+    this.size = options.size || null;
+    this.width = 600;
+    this.height = 150;
+    this.isRunning = false;
+    this.y4mParser = null;
+    this.rawPending = Buffer.alloc(0);
+    this.framesReceived = 0;
+    this.onData = (chunk) => this._handleData(chunk);
+    this.onEnd = () => {
+      this.isRunning = false;
+      this.emit('ended');
+    };
+  }
+
+  /**
+   * Initialize the capture
+   * @param {number} width - Output width
+   * @param {number} height - Output height
+   */
+  initialize(width, height) {
+    this.width = width;
+    this.height = height;
+
+    if (this.format === 'rawvideo' && !this.size) {
+      throw new Error('rawvideo input needs a frame size (--input-size WxH)');
+    }
+    if (this.format === 'rawvideo') {
+      // Validates the pixel format early
+      getFrameSize(this.pixelFormat, this.size.width, this.size.height);
+    }
+  }
+
+  /**
+   * Start reading the stream
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.stream.on('data', this.onData);
+    this.stream.on('end', this.onEnd);
+    this.stream.resume();
+  }
+
+  /**
+   * Stop reading the stream
+   */
+  stop() {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    this.stream.off('data', this.onData);
+    this.stream.off('end', this.onEnd);
+    this.stream.pause();
+  }
+
+  /**
+   * Stop or resume reading while staying attached, so the writer waits until
+   * the frames already read are used
+   * @param {boolean} held - Whether to stop reading
+   */
+  holdInput(held) {
+    if (!this.isRunning) return;
+
+    if (held) {
+      this.stream.pause();
+    } else {
+      this.stream.resume();
+    }
+  }
+
+  /**
+   * Route incoming data to the Y4M or rawvideo parser
+   * @param {Buffer} chunk - Stream data
+   * @private
+   */
+  _handleData(chunk) {
+    try {
+      if (this.format === 'auto') {
+        // Y4M streams announce themselves, anything else must be rawvideo
+        const isY4M = chunk.subarray(0, Y4M_MAGIC.length).equals(Y4M_MAGIC);
+        if (!isY4M && !this.size) {
+          throw new Error('Input is not Y4M; rawvideo needs --input-size WxH');
+        }
+        this.format = isY4M ? 'y4m' : 'rawvideo';
+      }
+
+      if (this.format === 'y4m') {
+        if (!this.y4mParser) {
+          this.y4mParser = new Y4MParser((frame) => this._acceptFrame(frame));
+        }
+        this.y4mParser.push(chunk);
+      } else {
+        this._handleRawData(chunk);
+      }
+    } catch (error) {
+      this.stop();
+      this.emit('failed', { reason: error.message });
+    }
+  }
+
+  /**
+   * Split rawvideo data into frames by size
+   * @param {Buffer} chunk - Stream data
+   * @private
+   */
+  _handleRawData(chunk) {
+    const { width, height } = this.size;
+    const frameSize = getFrameSize(this.pixelFormat, width, height);
+
+    this.rawPending = this.rawPending.length > 0 ? Buffer.concat([this.rawPending, chunk]) : chunk;
+
+    let offset = 0;
+    while (this.rawPending.length - offset >= frameSize) {
+      this._acceptFrame({
+        data: this.rawPending.subarray(offset, offset + frameSize),
+        width,
+        height,
+        format: this.pixelFormat,
+        timestamp: Date.now()
+      });
+      offset += frameSize;
+    }
+
+    this.rawPending = offset > 0 ? Buffer.from(this.rawPending.subarray(offset)) : this.rawPending;
+  }
+
+  /**
+   * Publish a parsed frame as received; frames arriving faster than the
+   * render rate are never converted
+   * @private
+   */
+  _acceptFrame(frame) {
+    this._emitFrame(frame);
+    this.framesReceived++;
+  }
+
+  /**
+   * Update output resolution
+   * @param {number} width - New width
+   * @param {number} height - New height
+   */
+  updateResolution(width, height) {
+    if (width === this.width && height === this.height) {
+      return;
+    }
+
+    // Frames keep the stream's size, the renderer scales them
+    this.width = width;
+    this.height = height;
+  }
+
+  /**
+   * Cleanup resources
+   */
+  async cleanup() {
+    this.stop();
+    this._clearFrame();
+  }
+
+  /**
+   * Check if the stream is being read
+   * @returns {boolean}
+   */
+  isCapturing() {
+    return this.isRunning;
+  }
+
+  /**
+   * Get capture statistics
+   * @returns {Object}
+   */
+  getStats() {
+    const header = this.y4mParser?.getHeader();
+    const source = header || (this.size && { ...this.size, format: this.pixelFormat });
+
+    return {
+      inputFormat: this.format,
+      sourceWidth: source?.width || 0,
+      sourceHeight: source?.height || 0,
+      sourcePixelFormat: source?.format || null,
+      width: this.width,
+      height: this.height,
+      isRunning: this.isRunning,
+      hasFrame: !!this.latestFrame,
+      framesReceived: this.framesReceived
+    };
+  }
+}
+
+export default StdinCapture;
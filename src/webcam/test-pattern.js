@@ -0,0 +1,341 @@
+import FrameSource from './frame-source.js';
+
+/**
+ * Synthetic test-pattern capture
+ * Generates grayscale frames without a camera or FFmpeg, using the same
+ * raw pixel format as FFmpegCapture (1 byte per pixel, width*height bytes)
+ *
+ * Every pattern except the clock depends only on the frame index, so a given
+ * frame always renders the same pixels
+ */
+
+export const testPatterns = [
+  {
+    name: 'gradient',
+    description: 'Horizontal brightness ramp'
+  },
+  {
+    name: 'bars',
+    description: 'Moving brightness bars'
+  },
+  {
+    name: 'checkerboard',
+    description: 'Scrolling checkerboard'
+  },
+  {
+    name: 'bounce',
+    description: 'Bouncing shaded ball'
+  },
+  {
+    name: 'clock',
+    description: 'Analog wall clock'
+  }
+];
+
+class TestPatternCapture extends FrameSource {
+  /**
+   * @param {Object} options - Generator options
+   * @param {string} options.pattern - Initial pattern name (default 'gradient')
+   * @param {number} options.fps - Frames generated per second (default 30)
+   */
+  constructor(options = {}) {
+    super();
+    this.width = 600;
+    this.height = 150;
+    this.fps = options.fps || 30;
+    this.patternIndex = Math.max(0, testPatterns.findIndex(p => p.name === options.pattern));
+    this.frameIndex = 0;
+    this.intervalId = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Initialize the generator
+   * @param {number} width - Frame width in pixels
+   * @param {number} height - Frame height in pixels
+   */
+  initialize(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  /**
+   * Start generating frames
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this._tick();
+    this.intervalId = setInterval(() => this._tick(), Math.floor(1000 / this.fps));
+  }
+
+  /**
+   * Stop generating frames
+   */
+  stop() {
+    if (!this.isRunning) return;
+
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Generate the next frame
+   * @private
+   */
+  _tick() {
+    this._emitFrame({
+      data: this.renderFrame(this.frameIndex),
+      width: this.width,
+      height: this.height,
+      format: 'gray'
+    });
+    this.frameIndex++;
+  }
+
+  /**
+   * Render a single frame of the active pattern
+   * @param {number} index - Frame index (drives all animation)
+   * @returns {Buffer} Raw grayscale pixel data
+   */
+  renderFrame(index) {
+    const buffer = Buffer.alloc(this.width * this.height);
+
+    switch (this.getPattern().name) {
+      case 'bars':
+        this._drawBars(buffer, index);
+        break;
+      case 'checkerboard':
+        this._drawCheckerboard(buffer, index);
+        break;
+      case 'bounce':
+        this._drawBounce(buffer, index);
+        break;
+      case 'clock':
+        this._drawClock(buffer, new Date());
+        break;
+      default:
+        this._drawGradient(buffer);
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Full 0-255 ramp left to right, covering every step of any character set
+   * @private
+   */
+  _drawGradient(buffer) {
+    const { width, height } = this;
+    const row = Buffer.alloc(width);
+
+    for (let x = 0; x < width; x++) {
+      row[x] = width > 1 ? Math.round((x / (width - 1)) * 255) : 255;
+    }
+
+    for (let y = 0; y < height; y++) {
+      row.copy(buffer, y * width);
+    }
+  }
+
+  /**
+   * Eight brightness bars scrolling right, one pixel per frame
+   * @private
+   */
+  _drawBars(buffer, index) {
+    const { width, height } = this;
+    const barCount = 8;
+    const barWidth = Math.max(1, Math.ceil(width / barCount));
+    const period = barWidth * barCount;
+
+    for (let x = 0; x < width; x++) {
+      const position = (((x - index) % period) + period) % period;
+      const bar = Math.floor(position / barWidth);
+      const value = Math.round((bar / (barCount - 1)) * 255);
+      for (let y = 0; y < height; y++) {
+        buffer[y * width + x] = value;
+      }
+    }
+  }
+
+  /**
+   * Checkerboard drifting diagonally
+   * @private
+   */
+  _drawCheckerboard(buffer, index) {
+    const { width, height } = this;
+    const cell = Math.max(2, Math.floor(Math.min(width, height) / 8));
+    const offset = Math.floor(index / 2);
+
+    for (let y = 0; y < height; y++) {
+      const cy = Math.floor((y + offset) / cell);
+      for (let x = 0; x < width; x++) {
+        const cx = Math.floor((x + offset) / cell);
+        buffer[y * width + x] = (cx + cy) % 2 === 0 ? 255 : 0;
+      }
+    }
+  }
+
+  /**
+   * Shaded ball bouncing off the frame edges
+   * @private
+   */
+  _drawBounce(buffer, index) {
+    const { width, height } = this;
+    const radius = Math.max(2, Math.floor(Math.min(width, height) / 4));
+    const cx = radius + bounce(index * 2, Math.max(1, width - radius * 2));
+    const cy = radius + bounce(index, Math.max(1, height - radius * 2));
+
+    // Dim vertical gradient background so the ball is never on flat black
+    for (let y = 0; y < height; y++) {
+      const value = Math.round((y / Math.max(1, height - 1)) * 48);
+      buffer.fill(value, y * width, (y + 1) * width);
+    }
+
+    for (let y = Math.max(0, cy - radius); y < Math.min(height, cy + radius); y++) {
+      for (let x = Math.max(0, cx - radius); x < Math.min(width, cx + radius); x++) {
+        const dx = (x - cx) / radius;
+        const dy = (y - cy) / radius;
+        const distance = dx * dx + dy * dy;
+        if (distance <= 1) {
+          // Lit from the top left
+          const light = 1 - Math.min(1, Math.hypot(dx + 0.4, dy + 0.4) / 1.6);
+          buffer[y * width + x] = Math.round(96 + light * 159);
+        }
+      }
+    }
+  }
+
+  /**
+   * Analog clock face showing the given time
+   * @private
+   */
+  _drawClock(buffer, date) {
+    const { width, height } = this;
+    const cx = (width - 1) / 2;
+    const cy = (height - 1) / 2;
+    const radius = Math.min(width, height) / 2 - 1;
+
+    // Face
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const distance = Math.hypot(x - cx, y - cy);
+        if (distance <= radius) {
+          buffer[y * width + x] = distance >= radius - 1.5 ? 255 : 40;
+        }
+      }
+    }
+
+    // Hour ticks
+    for (let hour = 0; hour < 12; hour++) {
+      const angle = (hour / 12) * Math.PI * 2;
+      drawLine(buffer, width, height, cx, cy, angle, radius * 0.85, radius * 0.95, 200);
+    }
+
+    const seconds = date.getSeconds() + date.getMilliseconds() / 1000;
+    const minutes = date.getMinutes() + seconds / 60;
+    const hours = (date.getHours() % 12) + minutes / 60;
+
+    drawLine(buffer, width, height, cx, cy, (hours / 12) * Math.PI * 2, 0, radius * 0.5, 255);
+    drawLine(buffer, width, height, cx, cy, (minutes / 60) * Math.PI * 2, 0, radius * 0.75, 220);
+    drawLine(buffer, width, height, cx, cy, (seconds / 60) * Math.PI * 2, 0, radius * 0.9, 140);
+  }
+
+  /**
+   * Get the active pattern descriptor
+   * @returns {Object} { name, description }
+   */
+  getPattern() {
+    return testPatterns[this.patternIndex];
+  }
+
+  /**
+   * Switch to the next pattern
+   * @returns {Object} New pattern descriptor
+   */
+  nextPattern() {
+    this.patternIndex = (this.patternIndex + 1) % testPatterns.length;
+    this.frameIndex = 0;
+    return this.getPattern();
+  }
+
+  /**
+   * Update frame resolution
+   * @param {number} width - New width
+   * @param {number} height - New height
+   */
+  updateResolution(width, height) {
+    if (width === this.width && height === this.height) {
+      return;
+    }
+
+    // Frames carry their own size, so the current one stays usable
+    this.width = width;
+    this.height = height;
+  }
+
+  /**
+   * Cleanup resources
+   */
+  async cleanup() {
+    this.stop();
+    this._clearFrame();
+  }
+
+  /**
+   * Check if generator is running
+   * @returns {boolean}
+   */
+  isCapturing() {
+    return this.isRunning;
+  }
+
+  /**
+   * Get capture statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      pattern: this.getPattern().name,
+      width: this.width,
+      height: this.height,
+      bytesPerFrame: this.width * this.height,
+      isRunning: this.isRunning,
+      hasFrame: !!this.latestFrame,
+      frameIndex: this.frameIndex
+    };
+  }
+}
+
+/**
+ * Triangle wave bouncing between 0 and range
+ * @param {number} t - Position along the path
+ * @param {number} range - Distance between the walls
+ * @returns {number}
+ */
+function bounce(t, range) {
+  const phase = t % (range * 2);
+  return Math.round(phase <= range ? phase : range * 2 - phase);
+}
+
+/**
+ * Draw a radial line from the center, with 0 angle pointing up
+ */
+function drawLine(buffer, width, height, cx, cy, angle, from, to, value) {
+  const steps = Math.ceil(to - from) * 2;
+  const sin = Math.sin(angle);
+  const cos = Math.cos(angle);
+
+  for (let i = 0; i <= steps; i++) {
+    const r = from + ((to - from) * i) / Math.max(1, steps);
+    const x = Math.round(cx + sin * r);
+    const y = Math.round(cy - cos * r);
+    if (x >= 0 && x < width && y >= 0 && y < height) {
+      buffer[y * width + x] = value;
+    }
+  }
+}
+
+export default TestPatternCapture;
@@ -0,0 +1,273 @@
+import { getFrameSize } from '../utils/pixels.js';
+
+const STREAM_MAGIC = 'YUV4MPEG2';
+const FRAME_MAGIC = Buffer.from('FRAME');
+
+// Longest FRAME header line we accept before treating it as corrupt
+const MAX_FRAME_HEADER = 256;
+
+// Frame buffers handed out in rotation, so a frame stays intact while
+// the renderer converts it and the next ones are being filled
+const FRAME_POOL_SIZE = 3;
+
+// Y4M colorspace tags mapped to pixel formats
+const COLORSPACES = {
+  '420jpeg': 'yuv420p',
+  '420paldv': 'yuv420p',
+  '420mpeg2': 'yuv420p',
+  '420': 'yuv420p',
+  '422': 'yuv422p',
+  '444': 'yuv444p',
+  'mono': 'gray'
+};
+
+/**
+ * Streaming parser for YUV4MPEG2 (Y4M) video
+ * Feed it chunks with push(); it calls onFrame for every complete frame
+ *
+ * Stream header: "YUV4MPEG2 W640 H480 F30:1 C420jpeg ...\n"
+ * Each frame:    "FRAME[ params]\n" followed by the raw planes
+ *
+ * Every frame carries its own size and pixel format from the stream header,
+ * so a consumer never has to infer them from byte counts. A frame without a
+ * valid FRAME header is dropped and the parser resynchronises on the next one.
+ *
+ * Input is staged in a preallocated buffer that grows only when a frame does
+ * not fit, instead of concatenating on every chunk.
+ */
+class Y4MParser {
+  /**
+   * @param {Function} onFrame - Called with { data, width, height, format, fps, timestamp }
+   *   data is only valid until FRAME_POOL_SIZE more frames have been parsed
+   */
+  constructor(onFrame) {
+    this.onFrame = onFrame;
+    this.header = null;
+    this.frameSize = 0;
+    this.buffer = Buffer.allocUnsafe(64 * 1024);
+    this.length = 0;  // Bytes of unparsed data at the start of buffer
+    this.framePool = [];
+    this.poolIndex = 0;
+    this.framesParsed = 0;
+    this.corruptFrames = 0;
+  }
+
+  /**
+   * Parse a chunk of stream data
+   * @param {Buffer} chunk - Data read from the stream
+   */
+  push(chunk) {
+    this._append(chunk);
+
+    let offset = 0;
+    while (true) {
+      if (!this.header) {
+        const newline = this.buffer.indexOf(0x0a, offset);
+        if (newline === -1 || newline >= this.length) break;
+        this._setHeader(parseStreamHeader(this.buffer.toString('latin1', offset, newline)));
+        offset = newline + 1;
+        continue;
+      }
+
+      if (this.length - offset < FRAME_MAGIC.length) break;
+
+      if (!this._isFrameMagicAt(offset)) {
+        // Corrupt or truncated frame: skip to the next FRAME marker
+        const next = this._findFrameMagic(offset + 1);
+        this.corruptFrames++;
+        if (next === -1) {
+          // Keep a few bytes in case the marker is split across chunks
+          offset = Math.max(offset, this.length - (FRAME_MAGIC.length - 1));
+          break;
+        }
+        offset = next;
+        continue;
+      }
+
+      const newline = this.buffer.indexOf(0x0a, offset);
+      if (newline === -1 || newline >= this.length) {
+        if (this.length - offset > MAX_FRAME_HEADER) {
+          // A header this long is garbage, resync past it
+          this.corruptFrames++;
+          offset += FRAME_MAGIC.length;
+          continue;
+        }
+        break;
+      }
+
+      const dataStart = newline + 1;
+      if (this.length - dataStart < this.frameSize) break;
+
+      // A FRAME marker inside the planes means the frame was cut short
+      const nextMagic = this._findFrameMagic(dataStart, dataStart + this.frameSize);
+      if (nextMagic !== -1 && this._looksLikeFrameHeader(nextMagic)) {
+        this.corruptFrames++;
+        offset = nextMagic;
+        continue;
+      }
+
+      this._emitFrame(dataStart);
+      offset = dataStart + this.frameSize;
+    }
+
+    this._consume(offset);
+  }
+
+  /**
+   * Copy a chunk to the end of the staging buffer, growing it if needed
+   * @private
+   */
+  _append(chunk) {
+    const required = this.length + chunk.length;
+    if (required > this.buffer.length) {
+      const grown = Buffer.allocUnsafe(Math.max(required, this.buffer.length * 2));
+      this.buffer.copy(grown, 0, 0, this.length);
+      this.buffer = grown;
+    }
+    chunk.copy(this.buffer, this.length);
+    this.length = required;
+  }
+
+  /**
+   * Drop parsed bytes from the front of the staging buffer
+   * @private
+   */
+  _consume(offset) {
+    if (offset === 0) return;
+    this.buffer.copyWithin(0, offset, this.length);
+    this.length -= offset;
+  }
+
+  /**
+   * Apply a stream header and size the frame pool for it
+   * @private
+   */
+  _setHeader(header) {
+    this.header = header;
+    this.frameSize = getFrameSize(header.format, header.width, header.height);
+    this.framePool = Array.from({ length: FRAME_POOL_SIZE }, () => Buffer.allocUnsafe(this.frameSize));
+    this.poolIndex = 0;
+
+    // Make sure a whole frame plus its header fits without reallocating
+    if (this.buffer.length < this.frameSize * 2 + MAX_FRAME_HEADER) {
+      const grown = Buffer.allocUnsafe(this.frameSize * 2 + MAX_FRAME_HEADER);
+      this.buffer.copy(grown, 0, 0, this.length);
+      this.buffer = grown;
+    }
+  }
+
+  /**
+   * Copy a complete frame into the pool and hand it out
+   * @private
+   */
+  _emitFrame(dataStart) {
+    const data = this.framePool[this.poolIndex];
+    this.poolIndex = (this.poolIndex + 1) % FRAME_POOL_SIZE;
+    this.buffer.copy(data, 0, dataStart, dataStart + this.frameSize);
+    this.framesParsed++;
+
+    this.onFrame({
+      data,
+      width: this.header.width,
+      height: this.header.height,
+      format: this.header.format,
+      fps: this.header.fps,
+      timestamp: Date.now()
+    });
+  }
+
+  _isFrameMagicAt(offset) {
+    return this.buffer.compare(FRAME_MAGIC, 0, FRAME_MAGIC.length, offset, offset + FRAME_MAGIC.length) === 0;
+  }
+
+  _findFrameMagic(from, to = this.length) {
+    const index = this.buffer.subarray(0, to).indexOf(FRAME_MAGIC, from);
+    return index;
+  }
+
+  /**
+   * Check for "FRAME" followed by a newline or parameters, so pixel data that
+   * happens to spell FRAME is not mistaken for a header
+   * @private
+   */
+  _looksLikeFrameHeader(offset) {
+    const next = this.buffer[offset + FRAME_MAGIC.length];
+    return next === 0x0a || next === 0x20;
+  }
+
+  /**
+   * Forget the current stream (the next data must start with a stream header)
+   */
+  reset() {
+    this.header = null;
+    this.frameSize = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Get the parsed stream header
+   * @returns {Object|null} { width, height, format, fps }
+   */
+  getHeader() {
+    return this.header;
+  }
+
+  /**
+   * Get parser statistics
+   * @returns {Object} { framesParsed, corruptFrames }
+   */
+  getStats() {
+    return {
+      framesParsed: this.framesParsed,
+      corruptFrames: this.corruptFrames
+    };
+  }
+}
+
+/**
+ * Parse the Y4M stream header line
+ * @param {string} line - Header line without the trailing newline
+ * @returns {Object} { width, height, format, fps }
+ */
+function parseStreamHeader(line) {
+  const [magic, ...params] = line.split(' ');
+  if (magic !== STREAM_MAGIC) {
+    throw new Error('Not a Y4M stream (missing YUV4MPEG2 header)');
+  }
+
+  const header = { width: 0, height: 0, format: 'yuv420p', fps: 0 };
+
+  for (const param of params) {
+    const value = param.slice(1);
+    switch (param[0]) {
+      case 'W':
+        header.width = Number(value);
+        break;
+      case 'H':
+        header.height = Number(value);
+        break;
+      case 'F': {
+        const [num, den] = value.split(':').map(Number);
+        header.fps = den ? num / den : 0;
+        break;
+      }
+      case 'C': {
+        const format = COLORSPACES[value];
+        if (!format) {
+          throw new Error(`Unsupported Y4M colorspace: ${value}`);
+        }
+        header.format = format;
+        break;
+      }
+    }
+  }
+
+  if (!header.width || !header.height) {
+    throw new Error('Y4M header is missing the frame size');
+  }
+
+  return header;
+}
+
+export { parseStreamHeader };
+export default Y4MParser;
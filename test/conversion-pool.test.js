@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ConversionPool from '../src/renderer/conversion-pool.js';
+import CellGrid from '../src/renderer/cell-grid.js';
+
+const rawFrame = (value) => ({
+  data: Buffer.alloc(16 * 8, value),
+  width: 16,
+  height: 8,
+  format: 'gray',
+  timestamp: Date.now()
+});
+
+const corruptJpeg = {
+  data: Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00]),
+  width: 16,
+  height: 8,
+  format: 'jpeg',
+  timestamp: Date.now()
+};
+
+test('a corrupt frame rejects its own job only, without writing to stderr', async () => {
+  const stderr = [];
+  const write = process.stderr.write;
+  process.stderr.write = (chunk, ...rest) => {
+    stderr.push(String(chunk));
+    return write.call(process.stderr, chunk, ...rest);
+  };
+
+  const pool = new ConversionPool(1);
+  pool.start();
+  try {
+    const before = await pool.convert(rawFrame(40), 8, 4);
+    assert.ok(before.result instanceof CellGrid);
+
+    await assert.rejects(pool.convert(corruptJpeg, 8, 4));
+
+    const after = await pool.convert(rawFrame(200), 8, 4);
+    assert.ok(after.result instanceof CellGrid);
+    assert.equal(pool.workers.length, 1);
+
+    // Let worker output reach the main thread
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepEqual(stderr, []);
+  } finally {
+    process.stderr.write = write;
+    await pool.stop();
+  }
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+
+const CLI = new URL('../src/index.js', import.meta.url).pathname;
+
+/**
+ * Run the CLI with a stream on stdin
+ * @param {Array<string>} args - CLI arguments
+ * @param {Buffer} input - Stdin data
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+function run(args, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, ...args]);
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', (code) => resolve({ code, stdout, stderr }));
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Build a grayscale Y4M stream, each frame one shade
+ * @param {number} count - Number of frames
+ * @returns {Buffer}
+ */
+function y4mStream(count, width = 32, height = 16) {
+  const parts = [Buffer.from(`YUV4MPEG2 W${width} H${height} F25:1 Cmono\n`)];
+  for (let i = 0; i < count; i++) {
+    parts.push(Buffer.from('FRAME\n'), Buffer.alloc(width * height, Math.round(i * 255 / count)));
+  }
+  return Buffer.concat(parts);
+}
+
+// Dense has enough characters to tell every test frame apart
+const headless = ['--headless', '--source', 'stdin', '--format', 'json', '--size', '8x4', '--charset', 'dense'];
+
+test('every frame piped on stdin is written, then the run ends', async () => {
+  const { code, stdout, stderr } = await run(headless, y4mStream(5));
+
+  assert.equal(code, 0, stderr);
+  const frames = stdout.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(frames.map(frame => frame.frame), [1, 2, 3, 4, 5]);
+  assert.equal(new Set(frames.map(frame => frame.lines.join('\n'))).size, 5);
+});
+
+test('--frames counts captured frames', async () => {
+  const five = await run([...headless, '--frames', '5'], y4mStream(5));
+  assert.equal(five.stdout.trim().split('\n').length, 5);
+
+  const three = await run([...headless, '--frames', '3'], y4mStream(5));
+  assert.equal(three.code, 0, three.stderr);
+  assert.equal(three.stdout.trim().split('\n').length, 3);
+});
+
+test('a stream larger than the frame queue is written in full', async () => {
+  const { code, stdout, stderr } = await run(headless, y4mStream(200, 160, 120));
+
+  assert.equal(code, 0, stderr);
+  assert.equal(stdout.trim().split('\n').length, 200);
+});